@@ -0,0 +1,217 @@
+// Course analysis
+// Checks that the aircraft can physically fly a course (JSON course format): for every leg -
+// start to gate 1, gate to gate, last gate to the finish - the turn radius and climb angle the
+// leg needs are compared with the aircraft's flight envelope (Aircraft.getPerformance).
+// nudgeCourse() moves gates until every leg is flyable; course_generator.js uses both.
+//
+// A leg is flown in the horizontal plane as a biarc: two circular arcs that leave the previous
+// gate along its facing, meet in a smooth S or C, and enter the next gate along its facing.
+// The tighter of the two arcs is the turn radius the leg needs.
+
+import Aircraft from '../entities/aircraft.js';
+
+// The yaw settles within a few steps, but the bank takes about a second to roll in, so a leg
+// needs some slack over the aircraft's steady-state turn radius
+const TURN_RADIUS_MARGIN = 1.5;
+const FINISH_PASS_HEIGHT = 8; // Middle of the bridge arch, above its base (see checkBridgeCompletion)
+
+const NUDGE_FACTOR = 0.8; // Share of the offset from the previous gate a nudge keeps
+const MAX_NUDGE_ITERATIONS = 20;
+
+const toRadians = degrees => degrees * Math.PI / 180;
+const toDegrees = radians => radians * 180 / Math.PI;
+const roundValue = value => Math.round(value * 100) / 100;
+
+let defaultPerformance = null;
+
+// Flight envelope of a default Aircraft, computed once
+function getDefaultPerformance() {
+  if (!defaultPerformance) {
+    defaultPerformance = new Aircraft(null).getPerformance();
+  }
+  return defaultPerformance;
+}
+
+// Direction of a heading in degrees (0 = +Z, 90 = +X) in the XZ plane
+function headingVector(degrees) {
+  const radians = toRadians(degrees);
+  return { x: Math.sin(radians), z: Math.cos(radians) };
+}
+
+const dot = (a, b) => a.x * b.x + a.z * b.z;
+const cross = (a, b) => a.x * b.z - a.z * b.x;
+
+// Radius and length of the arc that leaves `from` along `tangent` and reaches `to`
+function arcTo(from, tangent, to) {
+  const chord = { x: to.x - from.x, z: to.z - from.z };
+  const chordLength = Math.hypot(chord.x, chord.z);
+  const side = Math.abs(cross(tangent, chord));
+  if (side < 1e-9) {
+    return { radius: Infinity, length: chordLength };
+  }
+  const radius = (chordLength * chordLength) / (2 * side);
+  const angle = 2 * Math.asin(Math.min(1, chordLength / (2 * radius)));
+  // Past a half circle the arc turns back on itself
+  const sweep = dot(tangent, chord) < 0 ? 2 * Math.PI - angle : angle;
+  return { radius, length: radius * sweep, turnsBack: dot(tangent, chord) < 0 };
+}
+
+// Equal-tangent biarc from point p0 heading t0 to point p1 heading t1 (XZ plane)
+function fitBiarc(p0, t0, p1, t1) {
+  const v = { x: p1.x - p0.x, z: p1.z - p0.z };
+  const t = { x: t0.x + t1.x, z: t0.z + t1.z };
+  const vv = dot(v, v);
+  const vt = dot(v, t);
+  const denominator = 2 * (1 - dot(t0, t1));
+
+  let d;
+  if (Math.abs(denominator) < 1e-9) {
+    const forward = dot(v, t0);
+    if (forward <= 0) return null; // Parallel headings and the target is behind
+    d = vv / (4 * forward);
+  } else {
+    d = (-vt + Math.sqrt(vt * vt + denominator * vv)) / denominator;
+  }
+  if (!(d > 0)) return null;
+
+  const join = {
+    x: (p0.x + d * t0.x + p1.x - d * t1.x) / 2,
+    z: (p0.z + d * t0.z + p1.z - d * t1.z) / 2
+  };
+  const first = arcTo(p0, t0, join);
+  const second = arcTo(p1, { x: -t1.x, z: -t1.z }, join);
+  return {
+    radius: Math.min(first.radius, second.radius),
+    length: first.length + second.length,
+    turnsBack: Boolean(first.turnsBack || second.turnsBack)
+  };
+}
+
+// The points a race passes in order, each with the heading it is passed in. A circuit goes on
+// from the finish (the lap line) to gate 1 again.
+function coursePoints(course) {
+  const gates = course.gates.map((gate, index) => ({
+    label: `gate ${index + 1}`,
+    gateIndex: index,
+    position: gate.position,
+    heading: (gate.orientation && gate.orientation.yaw) || 0
+  }));
+  const { x, y, z } = course.finish.position;
+
+  const points = [
+    { label: 'the start', gateIndex: null, position: course.start.position, heading: course.start.heading || 0 },
+    ...gates,
+    { label: 'the finish', gateIndex: null, position: { x, y: y + FINISH_PASS_HEIGHT, z }, heading: 0 }
+  ];
+  if ((course.laps || 1) > 1) {
+    // Nudging gate 1 would also move it on the first lap - leave this leg to the designer
+    points.push({ ...gates[0], label: 'gate 1 on the next lap', gateIndex: null });
+  }
+  return points;
+}
+
+// One leg from point `from` to point `to` ({ label, position, heading in degrees }), e.g. of a
+// course (coursePoints) or between generated gates (see endless_course.js)
+function analyzeLeg(from, to, performance = getDefaultPerformance()) {
+  const requiredTurn = performance.minTurnRadius * TURN_RADIUS_MARGIN;
+  const biarc = fitBiarc(from.position, headingVector(from.heading), to.position, headingVector(to.heading));
+  const climb = to.position.y - from.position.y;
+  const problems = [];
+
+  let turnRadius = null;
+  let climbAngle = null;
+  if (!biarc || biarc.turnsBack) {
+    problems.push({ kind: 'turn', message: `${to.label} is behind ${from.label} - the aircraft would have to turn back` });
+  } else {
+    turnRadius = biarc.radius;
+    climbAngle = Math.atan2(Math.abs(climb), biarc.length);
+    if (turnRadius < requiredTurn) {
+      problems.push({
+        kind: 'turn',
+        message: `${from.label} to ${to.label} needs a ${turnRadius.toFixed(1)} unit turn radius ` +
+          `(the aircraft needs at least ${requiredTurn.toFixed(1)})`
+      });
+    }
+    if (climbAngle > performance.maxClimbAngle) {
+      problems.push({
+        kind: 'climb',
+        message: `${from.label} to ${to.label} needs a ${toDegrees(climbAngle).toFixed(0)}° ` +
+          `${climb > 0 ? 'climb' : 'dive'} (the aircraft manages ${toDegrees(performance.maxClimbAngle).toFixed(0)}°)`
+      });
+    }
+  }
+
+  return {
+    from: from.label,
+    to: to.label,
+    fromGateIndex: from.gateIndex,
+    toGateIndex: to.gateIndex,
+    turnRadius,
+    climbAngle: climbAngle === null ? null : toDegrees(climbAngle),
+    flyable: problems.length === 0,
+    problems
+  };
+}
+
+// Leg-by-leg check of a course. Returns { flyable, legs, problems, performance }.
+function analyzeCourse(course, performance = getDefaultPerformance()) {
+  const points = coursePoints(course);
+  const legs = points.slice(1).map((point, index) => analyzeLeg(points[index], point, performance));
+  const problems = legs.flatMap(leg => leg.problems.map(problem => problem.message));
+
+  return { flyable: problems.length === 0, legs, problems, performance };
+}
+
+// Pull `gate` NUDGE_FACTOR of the way back towards `anchor`: sideways (and its facing towards
+// the leg direction) for turn problems, vertically for climb problems
+function nudgeGate(gate, anchor, kind) {
+  if (kind === 'climb') {
+    gate.position.y = roundValue(anchor.y + (gate.position.y - anchor.y) * NUDGE_FACTOR);
+    return;
+  }
+  gate.position.x = roundValue(anchor.x + (gate.position.x - anchor.x) * NUDGE_FACTOR);
+  if (gate.orientation && gate.orientation.yaw) {
+    gate.orientation.yaw = roundValue(gate.orientation.yaw * NUDGE_FACTOR);
+  }
+}
+
+// Move gates, a little at a time, until every leg is flyable (or give up after
+// maxIterations). The course passed in is not changed. Returns { course, flyable,
+// iterations, nudgedGates, analysis }.
+function nudgeCourse(course, { performance = getDefaultPerformance(), maxIterations = MAX_NUDGE_ITERATIONS } = {}) {
+  const result = JSON.parse(JSON.stringify(course));
+  const nudgedGates = new Set();
+  let analysis = analyzeCourse(result, performance);
+  let iterations = 0;
+
+  while (!analysis.flyable && iterations < maxIterations) {
+    iterations++;
+    analysis.legs.filter(leg => !leg.flyable).forEach(leg => {
+      // Move the gate the leg leads to; the finish cannot move, so its leg moves the last gate
+      const movesTarget = leg.toGateIndex !== null;
+      const gateIndex = movesTarget ? leg.toGateIndex : leg.fromGateIndex;
+      if (gateIndex === null) return; // Start straight to the finish - nothing to move
+
+      const gate = result.gates[gateIndex];
+      const anchor = movesTarget
+        ? (gateIndex === 0 ? result.start.position : result.gates[gateIndex - 1].position)
+        : { ...result.finish.position, y: result.finish.position.y + FINISH_PASS_HEIGHT };
+      leg.problems.forEach(problem => nudgeGate(gate, anchor, problem.kind));
+      nudgedGates.add(gateIndex);
+    });
+    analysis = analyzeCourse(result, performance);
+  }
+
+  return { course: result, flyable: analysis.flyable, iterations, nudgedGates: [...nudgedGates], analysis };
+}
+
+export {
+  FINISH_PASS_HEIGHT,
+  TURN_RADIUS_MARGIN,
+  analyzeCourse,
+  analyzeLeg,
+  getDefaultPerformance,
+  nudgeCourse
+};
+
+export default analyzeCourse;
@@ -0,0 +1,478 @@
+// Course editor
+// Edits a course definition (JSON course format) in the 3D scene: place, drag, rotate and
+// renumber gates, move the finish bridge, preview the course line and export/import JSON.
+// Gates and the bridge are the same Gate/FinishBridge entities a race is flown with, built
+// by course_loader.js, so an edited course looks exactly as it will in the race.
+
+import * as THREE from 'three';
+import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
+import { FlyControls } from 'three/examples/jsm/controls/FlyControls.js';
+import { TransformControls } from 'three/examples/jsm/controls/TransformControls.js';
+import EventEmitter from '../utils/event_emitter.js';
+import {
+  createFinish,
+  createGate,
+  defaultGateRadius,
+  parseCourse,
+  validateCourse,
+  CourseValidationError
+} from './course_loader.js';
+import { analyzeCourse, nudgeCourse, FINISH_PASS_HEIGHT } from './course_analysis.js';
+import { orientGatesAlongRacingLine } from './course_generator.js';
+
+const NEW_GATE_SPACING = 50; // Distance along +Z of a gate added after the last one
+const FREE_CAMERA_SPEED = 60; // units per second
+const CLICK_TOLERANCE = 4; // px the pointer may move between down and up and still select
+
+// What "Type (T)" switches the selected gate through, in order
+const GATE_TYPE_CYCLE = [
+  { type: 'ring', label: 'ring' },
+  { type: 'pylons', label: 'twin pylons (level)' },
+  { type: 'knifeEdge', label: 'knife-edge pylons' },
+  { type: 'pylon', side: 'left', label: 'single pylon, keep left' },
+  { type: 'pylon', side: 'right', label: 'single pylon, keep right' }
+];
+
+const roundValue = value => Math.round(value * 100) / 100; // Two decimals, like the generator
+const toDegrees = radians => roundValue(radians * 180 / Math.PI);
+
+// Editor-side copy, so editing never changes the definition the race was loaded from
+function cloneCourse(course) {
+  return JSON.parse(JSON.stringify(course));
+}
+
+class CourseEditor extends EventEmitter {
+  constructor({ scene, domElement, course }) {
+    super();
+    this.scene = scene;
+    this.domElement = domElement;
+    this.course = cloneCourse(course);
+
+    this.gates = []; // Gate entities, in course order
+    this.finishBridge = null;
+    this.selection = null; // { kind: 'gate', index } or { kind: 'finish' }
+    this.transformMode = 'translate'; // 'translate' or 'rotate'
+    this.cameraMode = 'orbit'; // 'orbit' or 'free'
+    this.active = false;
+
+    this.group = new THREE.Group(); // Everything the editor adds to the scene
+    this.group.name = 'course-editor';
+
+    this.camera = new THREE.PerspectiveCamera(60, window.innerWidth / window.innerHeight, 0.5, 3000);
+    this.orbitControls = null;
+    this.flyControls = null;
+    this.transformControls = null;
+    this.raycaster = new THREE.Raycaster();
+    this.pointerDown = null;
+
+    this.createCourseLine();
+    this.rebuild();
+
+    this.handlePointerDown = (event) => { this.pointerDown = { x: event.clientX, y: event.clientY }; };
+    this.handlePointerUp = (event) => this.onPointerUp(event);
+  }
+
+  // --- Activation ---
+
+  enable() {
+    if (this.active) return;
+    this.active = true;
+    this.scene.add(this.group);
+
+    this.transformControls = new TransformControls(this.camera, this.domElement);
+    this.transformControls.setMode(this.transformMode);
+    this.transformControls.addEventListener('dragging-changed', (event) => {
+      if (this.orbitControls) this.orbitControls.enabled = !event.value;
+      // Pylons reach down to the ground from wherever the gate ended up
+      if (!event.value && this.isSelectedGateUpright()) this.rebuild();
+    });
+    this.transformControls.addEventListener('objectChange', () => this.onObjectMoved());
+    this.scene.add(this.transformControls);
+
+    this.setCameraMode(this.cameraMode);
+    this.frameCourse();
+
+    this.domElement.addEventListener('pointerdown', this.handlePointerDown);
+    this.domElement.addEventListener('pointerup', this.handlePointerUp);
+    this.select(this.selection);
+  }
+
+  disable() {
+    if (!this.active) return;
+    this.active = false;
+
+    this.domElement.removeEventListener('pointerdown', this.handlePointerDown);
+    this.domElement.removeEventListener('pointerup', this.handlePointerUp);
+    this.disposeCameraControls();
+
+    this.transformControls.detach();
+    this.scene.remove(this.transformControls);
+    this.transformControls.dispose();
+    this.transformControls = null;
+
+    this.scene.remove(this.group);
+  }
+
+  // --- Cameras ---
+
+  setCameraMode(mode) {
+    this.cameraMode = mode;
+    this.disposeCameraControls();
+
+    if (mode === 'free') {
+      // WASD to move, R/F up/down, Q/E roll, drag to look
+      this.flyControls = new FlyControls(this.camera, this.domElement);
+      this.flyControls.movementSpeed = FREE_CAMERA_SPEED;
+      this.flyControls.rollSpeed = 0.6;
+      this.flyControls.dragToLook = true;
+    } else {
+      const target = new THREE.Vector3(0, 0, -1).applyQuaternion(this.camera.quaternion)
+        .multiplyScalar(100).add(this.camera.position);
+      this.orbitControls = new OrbitControls(this.camera, this.domElement);
+      this.orbitControls.target.copy(target);
+      this.orbitControls.enableDamping = true;
+      this.orbitControls.update();
+    }
+    this.emit('change', this.getState());
+  }
+
+  disposeCameraControls() {
+    if (this.orbitControls) {
+      this.orbitControls.dispose();
+      this.orbitControls = null;
+    }
+    if (this.flyControls) {
+      this.flyControls.dispose();
+      this.flyControls = null;
+    }
+  }
+
+  // Look at the whole course from behind and above the start
+  frameCourse() {
+    const { x, y, z } = this.course.start.position;
+    const finish = this.course.finish.position;
+    const centre = new THREE.Vector3((x + finish.x) / 2, 10, (z + finish.z) / 2);
+    this.camera.position.set(x + 150, y + 180, z - 120);
+    this.camera.lookAt(centre);
+    if (this.orbitControls) {
+      this.orbitControls.target.copy(centre);
+      this.orbitControls.update();
+    }
+  }
+
+  // Orbit around the selected gate or bridge
+  focusSelection() {
+    const object = this.getSelectedObject();
+    if (!object || !this.orbitControls) return;
+    this.orbitControls.target.copy(object.position);
+    this.orbitControls.update();
+  }
+
+  update(deltaTime) {
+    if (!this.active) return;
+    if (this.orbitControls) this.orbitControls.update();
+    if (this.flyControls) this.flyControls.update(deltaTime);
+  }
+
+  handleResize() {
+    this.camera.aspect = window.innerWidth / window.innerHeight;
+    this.camera.updateProjectionMatrix();
+  }
+
+  // --- Entities ---
+
+  // Recreate the Gate/FinishBridge entities from the definition. Gate numbers are drawn into
+  // the gate model, so adding, deleting or renumbering gates rebuilds them.
+  rebuild() {
+    this.gates.forEach(gate => this.group.remove(gate.getObject()));
+    if (this.finishBridge) this.group.remove(this.finishBridge.getObject());
+
+    this.gates = this.course.gates.map(createGate);
+    this.gates.forEach(gate => this.group.add(gate.getObject()));
+    this.finishBridge = createFinish(this.course.finish);
+    this.group.add(this.finishBridge.getObject());
+
+    this.updateCourseLine();
+    this.select(this.selection);
+  }
+
+  createCourseLine() {
+    this.courseLine = new THREE.Line(
+      new THREE.BufferGeometry(),
+      new THREE.LineBasicMaterial({ color: 0xFFFF00 })
+    );
+    this.group.add(this.courseLine);
+
+    // Marks the start position and heading
+    this.startMarker = new THREE.ArrowHelper(new THREE.Vector3(0, 0, 1), new THREE.Vector3(), 20, 0x00FFFF, 5, 3);
+    this.group.add(this.startMarker);
+  }
+
+  // Start -> gates in order -> through the finish bridge
+  updateCourseLine() {
+    const { start, gates, finish } = this.course;
+    const points = [
+      start.position,
+      ...gates.map(gate => gate.position),
+      { ...finish.position, y: finish.position.y + FINISH_PASS_HEIGHT }
+    ].map(({ x, y, z }) => new THREE.Vector3(x, y, z));
+    this.courseLine.geometry.setFromPoints(points);
+
+    const heading = (start.heading || 0) * Math.PI / 180;
+    this.startMarker.position.copy(points[0]);
+    this.startMarker.setDirection(new THREE.Vector3(Math.sin(heading), 0, Math.cos(heading)));
+
+    this.emit('change', this.getState());
+  }
+
+  // --- Selection ---
+
+  onPointerUp(event) {
+    const down = this.pointerDown;
+    this.pointerDown = null;
+    if (!down || event.button !== 0) return;
+    if (Math.hypot(event.clientX - down.x, event.clientY - down.y) > CLICK_TOLERANCE) return;
+    if (this.transformControls && this.transformControls.dragging) return;
+
+    const rect = this.domElement.getBoundingClientRect();
+    const pointer = new THREE.Vector2(
+      ((event.clientX - rect.left) / rect.width) * 2 - 1,
+      -((event.clientY - rect.top) / rect.height) * 2 + 1
+    );
+    this.raycaster.setFromCamera(pointer, this.camera);
+    this.select(this.pick());
+  }
+
+  // Selection under the raycaster - the gate or bridge whose model was hit first
+  pick() {
+    const targets = [...this.gates.map(gate => gate.getObject()), this.finishBridge.getObject()];
+    const [hit] = this.raycaster.intersectObjects(targets, true);
+    if (!hit) return null;
+
+    let object = hit.object;
+    while (object && !targets.includes(object)) {
+      object = object.parent;
+    }
+    const index = this.gates.findIndex(gate => gate.getObject() === object);
+    if (index !== -1) return { kind: 'gate', index };
+    return object ? { kind: 'finish' } : null;
+  }
+
+  select(selection) {
+    if (selection && selection.kind === 'gate' && !this.gates[selection.index]) {
+      selection = null;
+    }
+    this.selection = selection;
+
+    if (this.transformControls) {
+      const object = this.getSelectedObject();
+      if (object) {
+        // The finish format has no orientation - the bridge can only be moved
+        const isFinish = selection.kind === 'finish';
+        this.transformControls.setMode(isFinish ? 'translate' : this.transformMode);
+        // Pylons stand upright - they can only be turned
+        const turnOnly = this.transformMode === 'rotate' && this.isSelectedGateUpright();
+        this.transformControls.showX = !turnOnly;
+        this.transformControls.showZ = !turnOnly;
+        this.transformControls.attach(object);
+      } else {
+        this.transformControls.detach();
+      }
+    }
+    this.emit('change', this.getState());
+  }
+
+  isSelectedGateUpright() {
+    if (!this.selection || this.selection.kind !== 'gate') return false;
+    return (this.course.gates[this.selection.index].type || 'ring') !== 'ring';
+  }
+
+  getSelectedObject() {
+    if (!this.selection) return null;
+    if (this.selection.kind === 'finish') return this.finishBridge.getObject();
+    return this.gates[this.selection.index].getObject();
+  }
+
+  setTransformMode(mode) {
+    this.transformMode = mode;
+    this.select(this.selection);
+  }
+
+  // Copy the dragged/rotated model back into the definition
+  onObjectMoved() {
+    const object = this.getSelectedObject();
+    if (!object) return;
+
+    const position = {
+      x: roundValue(object.position.x),
+      y: roundValue(object.position.y),
+      z: roundValue(object.position.z)
+    };
+    if (this.selection.kind === 'finish') {
+      this.course.finish.position = position;
+      this.finishBridge.position.copy(object.position);
+    } else {
+      const gate = this.gates[this.selection.index];
+      this.course.gates[this.selection.index] = {
+        ...this.course.gates[this.selection.index],
+        position,
+        orientation: {
+          pitch: -toDegrees(object.rotation.x), // Gate rotation.x tilts the facing down (see gateRotation)
+          yaw: toDegrees(object.rotation.y),
+          roll: toDegrees(object.rotation.z)
+        }
+      };
+      gate.position = { ...position };
+      gate.rotation = { x: object.rotation.x, y: object.rotation.y, z: object.rotation.z };
+    }
+    this.updateCourseLine();
+  }
+
+  // --- Editing ---
+
+  // New gate after the selected gate (halfway to the next one) or after the last gate
+  addGate() {
+    const gates = this.course.gates;
+    const index = this.selection && this.selection.kind === 'gate' ? this.selection.index : gates.length - 1;
+    const previous = gates[index] || { position: this.course.start.position, radius: 15 };
+    const next = gates[index + 1];
+
+    const position = next
+      ? {
+        x: roundValue((previous.position.x + next.position.x) / 2),
+        y: roundValue((previous.position.y + next.position.y) / 2),
+        z: roundValue((previous.position.z + next.position.z) / 2)
+      }
+      : { ...previous.position, z: previous.position.z + NEW_GATE_SPACING };
+
+    gates.splice(index + 1, 0, {
+      position,
+      orientation: { pitch: 0, yaw: 0, roll: 0 },
+      radius: previous.radius || 15,
+      type: previous.type || 'ring',
+      ...(previous.side ? { side: previous.side } : {})
+    });
+    this.selection = { kind: 'gate', index: index + 1 };
+    this.rebuild();
+  }
+
+  deleteGate() {
+    if (!this.selection || this.selection.kind !== 'gate') return;
+    if (this.course.gates.length <= 1) {
+      console.warn('A course needs at least one gate');
+      return;
+    }
+    this.course.gates.splice(this.selection.index, 1);
+    this.selection = null;
+    this.rebuild();
+  }
+
+  // Renumber: move the selected gate `offset` places earlier (-1) or later (+1) in the course
+  moveGate(offset) {
+    if (!this.selection || this.selection.kind !== 'gate') return;
+    const from = this.selection.index;
+    const to = from + offset;
+    if (to < 0 || to >= this.course.gates.length) return;
+
+    const [gate] = this.course.gates.splice(from, 1);
+    this.course.gates.splice(to, 0, gate);
+    this.selection = { kind: 'gate', index: to };
+    this.rebuild();
+  }
+
+  // Switch the selected gate to the next type in GATE_TYPE_CYCLE, with that type's default size
+  changeGateType() {
+    if (!this.selection || this.selection.kind !== 'gate') return;
+    const gate = this.course.gates[this.selection.index];
+    const current = GATE_TYPE_CYCLE.findIndex(option =>
+      option.type === (gate.type || 'ring') && (option.side || null) === (gate.side || null));
+    const { type, side } = GATE_TYPE_CYCLE[(current + 1) % GATE_TYPE_CYCLE.length];
+
+    const changed = { ...gate, type, radius: defaultGateRadius(type) };
+    delete changed.side;
+    if (side) changed.side = side;
+    if (type !== 'ring') {
+      // Pylons stand upright (see validateCourse)
+      changed.orientation = { ...(gate.orientation || {}), pitch: 0, roll: 0 };
+    }
+    this.course.gates[this.selection.index] = changed;
+    this.rebuild();
+  }
+
+  // Face every gate along the course line (see orientGatesAlongRacingLine)
+  orientGates() {
+    this.course = orientGatesAlongRacingLine(this.course);
+    this.rebuild();
+  }
+
+  // Move gates until the aircraft can fly every leg (see course_analysis.js)
+  makeFlyable() {
+    const { course, flyable, nudgedGates } = nudgeCourse(this.course);
+    this.course = course;
+    console.log(`Nudged gates ${nudgedGates.map(index => index + 1).join(', ') || '-'}: ` +
+      `course is ${flyable ? 'flyable' : 'still not flyable'}`);
+    this.rebuild();
+  }
+
+  // --- Import / export ---
+
+  toJSON() {
+    return cloneCourse(this.course);
+  }
+
+  exportCourse() {
+    return JSON.stringify(this.course, null, 2);
+  }
+
+  // Open a course (object or JSON text). Layout problems are fine - fixing them is what the
+  // editor is for - but the structure must be readable. Throws CourseValidationError.
+  importCourse(source) {
+    const course = typeof source === 'string' ? parseCourse(source) : source;
+    const { valid, errors } = validateCourse(course, { layout: false });
+    if (!valid) {
+      throw new CourseValidationError(errors);
+    }
+    this.course = cloneCourse(course);
+    this.selection = null;
+    this.rebuild();
+    this.frameCourse();
+  }
+
+  validate() {
+    return validateCourse(this.course);
+  }
+
+  // Snapshot for the editor panel
+  getState() {
+    const { valid, errors, warnings } = this.validate();
+    const { flyable, problems } = analyzeCourse(this.course);
+    let selectionLabel = 'Nothing selected - click a gate or the bridge';
+    if (this.selection && this.selection.kind === 'finish') {
+      selectionLabel = 'Finish bridge';
+    } else if (this.selection) {
+      const { position, type = 'ring', side, motion } = this.course.gates[this.selection.index];
+      const typeOption = GATE_TYPE_CYCLE.find(option => option.type === type && (!side || option.side === side));
+      // Moving gates are shown and edited at their start pose
+      const motionLabel = motion && typeof motion === 'object' ? `, moving: ${Object.keys(motion).join(', ')}` : '';
+      selectionLabel = `Gate ${this.selection.index + 1} of ${this.course.gates.length}, ` +
+        `${typeOption ? typeOption.label : type}${motionLabel} (${position.x}, ${position.y}, ${position.z})`;
+    }
+
+    return {
+      courseName: this.course.name || this.course.id,
+      selection: this.selection,
+      selectionLabel,
+      transformMode: this.transformMode,
+      cameraMode: this.cameraMode,
+      valid,
+      errors,
+      warnings,
+      flyable,
+      flightProblems: problems // Legs the aircraft cannot fly
+    };
+  }
+}
+
+export { cloneCourse };
+
+export default CourseEditor;
@@ -0,0 +1,177 @@
+// Course generator
+// Builds a procedural course (in the JSON course format) from a seed. The same seed always
+// gives the same gates and scenery, so pilots flying one seed race the same course.
+// Layouts the aircraft cannot fly (see course_analysis.js) are regenerated, then nudged.
+
+import { COURSE_FORMAT, COURSE_FORMAT_VERSION } from './course_loader.js';
+import { analyzeCourse, nudgeCourse, FINISH_PASS_HEIGHT } from './course_analysis.js';
+import { createRandom, deriveSeed } from '../utils/random.js';
+
+// Constants for gate arrangement
+const GATE_COUNT = 8;
+const MIN_DISTANCE_BETWEEN_GATES = 40;
+const MIN_GATE_HEIGHT = 8;
+const MAX_GATE_HEIGHT = 20;
+const COURSE_START_Z = 50; // Starting distance from aircraft
+const COURSE_LENGTH = 400;
+const GENERATION_ATTEMPTS = 5; // Layouts tried before nudging the last one
+const BANK_PER_DEGREE_OF_TURN = 0.5; // Gate roll for each degree the racing line turns at it
+const MAX_GATE_BANK = 45; // degrees
+
+const roundValue = value => Math.round(value * 100) / 100;
+const toDegrees = radians => radians * 180 / Math.PI;
+
+function generateGatePositions(random) {
+  const positions = [];
+
+  // Generate gates with semi-random placement and increasing difficulty
+  for (let i = 0; i < GATE_COUNT; i++) {
+    // Calculate progression factor (0 to 1) to increase difficulty
+    const progressFactor = i / (GATE_COUNT - 1);
+
+    // Determine z position (distance along the course)
+    // First few gates are easier to find
+    const zPosition = COURSE_START_Z + (COURSE_LENGTH * (progressFactor * 0.8 + 0.2));
+
+    // Calculate position variation range based on progression
+    const lateralRange = 30 + progressFactor * 30;
+    const heightVariation = progressFactor * (MAX_GATE_HEIGHT - MIN_GATE_HEIGHT);
+
+    // Generate multiple candidate positions for this gate
+    const candidateCount = 10;
+    const candidates = [];
+
+    for (let j = 0; j < candidateCount; j++) {
+      // Randomize position with constraints
+      let x = (random() * 2 - 1) * lateralRange;
+
+      // First gates stay closer to the river (starter area)
+      if (i < 2) {
+        x = (random() * 2 - 1) * 15;
+      }
+
+      // Height increases with progression, with some randomness (never below 6)
+      const baseHeight = MIN_GATE_HEIGHT + heightVariation;
+      const y = Math.max(baseHeight + (random() * 4 - 2), 6);
+
+      const position = { x, y, z: zPosition };
+
+      // Check if this position is valid (not too close to other gates)
+      const isValid = positions.every(existing => Math.hypot(
+        position.x - existing.x,
+        position.y - existing.y,
+        position.z - existing.z
+      ) >= MIN_DISTANCE_BETWEEN_GATES);
+
+      if (isValid) {
+        candidates.push(position);
+      }
+    }
+
+    // If no valid candidates, create a fallback position
+    if (candidates.length === 0) {
+      candidates.push({
+        x: (random() * 2 - 1) * 20,
+        y: MIN_GATE_HEIGHT + 5,
+        z: zPosition + (MIN_DISTANCE_BETWEEN_GATES * 0.5)
+      });
+    }
+
+    // Choose a random valid candidate position
+    positions.push(candidates[Math.floor(random() * candidates.length)]);
+  }
+
+  // Two decimals keep the exported JSON readable
+  return positions.map(({ x, y, z }) => ({ x: roundValue(x), y: roundValue(y), z: roundValue(z) }));
+}
+
+// Heading in degrees (0 = +Z, 90 = +X) from one point to another
+function headingBetween(from, to) {
+  return toDegrees(Math.atan2(to.x - from.x, to.z - from.z));
+}
+
+// Turn every gate to face along the racing line - the direction from the previous gate (or the
+// start) to the next one (or the finish) - pitched up or down with it and banked into the turn
+// the line makes at the gate. Returns a new course.
+function orientGatesAlongRacingLine(course) {
+  const { x, y, z } = course.finish.position;
+  const points = [
+    course.start.position,
+    ...course.gates.map(gate => gate.position),
+    { x, y: y + FINISH_PASS_HEIGHT, z }
+  ];
+
+  const gates = course.gates.map((gate, index) => {
+    const previous = points[index];
+    const position = points[index + 1];
+    const next = points[index + 2];
+
+    const horizontal = Math.hypot(next.x - previous.x, next.z - previous.z);
+    const pitch = toDegrees(Math.atan2(next.y - previous.y, horizontal));
+
+    // Positive turn = towards +X; banking into it tips the top of the gate that way
+    let turn = headingBetween(position, next) - headingBetween(previous, position);
+    turn = ((turn + 540) % 360) - 180;
+    const roll = Math.max(-MAX_GATE_BANK, Math.min(MAX_GATE_BANK, -turn * BANK_PER_DEGREE_OF_TURN));
+
+    // Pylon gates stand upright and are only turned (see validateCourse)
+    const upright = (gate.type || 'ring') !== 'ring';
+    return {
+      ...gate,
+      orientation: {
+        pitch: upright ? 0 : roundValue(pitch),
+        yaw: roundValue(headingBetween(previous, next)),
+        roll: upright ? 0 : roundValue(roll) || 0 // No -0 in the JSON
+      }
+    };
+  });
+
+  return { ...course, gates };
+}
+
+// The layout for one attempt - attempt 0 is the seed's own gate stream
+function buildCourse(seed, attempt, id, name) {
+  const random = createRandom(deriveSeed(seed, attempt === 0 ? 'gates' : `gates:${attempt}`));
+
+  return orientGatesAlongRacingLine({
+    format: COURSE_FORMAT,
+    version: COURSE_FORMAT_VERSION,
+    id,
+    name,
+    seed,
+    start: {
+      position: { x: 0, y: 20, z: -20 },
+      heading: 0
+    },
+    scenerySeed: seed,
+    gates: generateGatePositions(random).map(position => ({
+      position,
+      orientation: { pitch: 0, yaw: 0, roll: 0 },
+      radius: 15,
+      type: 'ring'
+    })),
+    finish: {
+      type: 'bridge',
+      position: { x: 0, y: -4, z: 500 }
+    }
+  });
+}
+
+// performance: Aircraft.getPerformance() of the aircraft the course is for (default aircraft if omitted)
+function generateCourse(seed, { id = `seed-${seed}`, name = `Seed ${seed}`, performance } = {}) {
+  let course = null;
+  for (let attempt = 0; attempt < GENERATION_ATTEMPTS; attempt++) {
+    course = buildCourse(seed, attempt, id, name);
+    if (analyzeCourse(course, performance).flyable) return course;
+  }
+
+  const nudged = nudgeCourse(course, { performance });
+  if (!nudged.flyable) {
+    console.warn(`Course for seed ${seed} is still not flyable:`, nudged.analysis.problems);
+  }
+  return nudged.course;
+}
+
+export { generateCourse, orientGatesAlongRacingLine };
+
+export default generateCourse;
@@ -0,0 +1,372 @@
+// Course loader
+// Reads the versioned JSON course format, checks it and builds the Gate and FinishBridge
+// instances a race is flown on. See courses/default.json for an example.
+//
+// {
+//   "format": "air-race-course", "version": 1, "id": "default", "name": "River Run",
+//   "start": { "position": { x, y, z }, "heading": 0 },    // degrees, 0 = along +Z, 90 = along +X
+//   "scenerySeed": 1,                                       // trees, people, clouds
+//   "seed": 1234,                                           // optional - generator seed (course_generator.js)
+//   "gates": [{ "position": { x, y, z },
+//               "orientation": { "pitch": 0, "yaw": 0, "roll": 0 }, // degrees, see gateFacing
+//               "radius": 15, "type": "ring" }],                     // see GATE_TYPES
+//               // "type": "pylon" also takes "side": "left" or "right" - where the pylon is kept
+//               // optional "motion": moving gates, see entities/gate_motion.js
+//   "finish": { "type": "bridge", "position": { x, y, z } },
+//   "laps": 3                                               // optional - a circuit, the bridge is the lap line
+// }
+
+import * as THREE from 'three';
+import Gate, { GATE_RADIUS } from '../entities/gate.js';
+import {
+  KNIFE_EDGE_GATE_RADIUS,
+  KnifeEdgeGate,
+  PYLON_GATE_RADIUS,
+  SINGLE_PYLON_RADIUS,
+  SinglePylonGate,
+  TwinPylonGate
+} from '../entities/pylon_gate.js';
+import GateMotion, { GATE_MOTIONS } from '../entities/gate_motion.js';
+import FinishBridge from '../entities/finish_bridge.js';
+
+const COURSE_FORMAT = 'air-race-course';
+const COURSE_FORMAT_VERSION = 1;
+
+// Entity and default radius of each gate type. The radius is the opening of a ring, half the
+// gap between twin pylons, or how far from a single pylon it may be rounded.
+const GATE_TYPE_DEFINITIONS = {
+  ring: { entity: Gate, radius: GATE_RADIUS },
+  pylons: { entity: TwinPylonGate, radius: PYLON_GATE_RADIUS, upright: true },
+  knifeEdge: { entity: KnifeEdgeGate, radius: KNIFE_EDGE_GATE_RADIUS, upright: true },
+  pylon: { entity: SinglePylonGate, radius: SINGLE_PYLON_RADIUS, upright: true }
+};
+const GATE_TYPES = Object.keys(GATE_TYPE_DEFINITIONS);
+const PYLON_SIDES = ['left', 'right'];
+const FINISH_TYPES = ['bridge'];
+
+const GROUND_LEVEL = -5; // Matches the ground plane in GameEngine.createGroundPlane
+const MAX_CLIMB_ANGLE = 60; // degrees - Aircraft.maxPitchAngle
+const MAX_ENTRY_ANGLE = 60; // degrees between a gate's facing and the line it is approached on
+const MAX_LAPS = 20;
+
+class CourseValidationError extends Error {
+  constructor(errors) {
+    super(`Invalid course: ${errors.join('; ')}`);
+    this.name = 'CourseValidationError';
+    this.errors = errors;
+  }
+}
+
+const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+const isVector = value => value && isNumber(value.x) && isNumber(value.y) && isNumber(value.z);
+const isObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+const toRadians = degrees => degrees * Math.PI / 180;
+const toDegrees = radians => radians * 180 / Math.PI;
+
+const subtract = (a, b) => ({ x: a.x - b.x, y: a.y - b.y, z: a.z - b.z });
+const dot = (a, b) => a.x * b.x + a.y * b.y + a.z * b.z;
+const length = a => Math.sqrt(dot(a, a));
+
+function gateOrientation(gate) {
+  return { pitch: 0, yaw: 0, roll: 0, ...(gate.orientation || {}) };
+}
+
+// Unit vector a gate is flown through along. yaw turns it like a heading (0 = +Z, 90 = +X),
+// pitch tilts it up (90 = a vertical gate flown climbing straight up), roll banks the gate
+// around it.
+function gateFacing(gate) {
+  const { pitch, yaw } = gateOrientation(gate);
+  const p = toRadians(pitch);
+  const y = toRadians(yaw);
+  return { x: Math.sin(y) * Math.cos(p), y: Math.sin(p), z: Math.cos(y) * Math.cos(p) };
+}
+
+// Gate rotation (Euler, applied yaw-pitch-roll - see Gate) that gives gateFacing
+function gateRotation(gate) {
+  const { pitch, yaw, roll } = gateOrientation(gate);
+  return { x: -toRadians(pitch), y: toRadians(yaw), z: toRadians(roll) };
+}
+
+function headingFacing(heading = 0) {
+  return { x: Math.sin(toRadians(heading)), y: 0, z: Math.cos(toRadians(heading)) };
+}
+
+// Check the structure, then the layout. Errors make the course unusable; warnings are
+// things a course designer probably wants to look at. { layout: false } checks only the
+// structure, e.g. for a course editor that has to open half-finished layouts.
+function validateCourse(course, { layout = true } = {}) {
+  const errors = [];
+  const warnings = [];
+
+  if (!course || typeof course !== 'object') {
+    return { valid: false, errors: ['Course must be a JSON object'], warnings };
+  }
+  if (course.format !== COURSE_FORMAT) {
+    errors.push(`format must be "${COURSE_FORMAT}"`);
+  }
+  if (course.version !== COURSE_FORMAT_VERSION) {
+    errors.push(`Unsupported course version ${course.version} (expected ${COURSE_FORMAT_VERSION})`);
+  }
+  if (typeof course.id !== 'string' || course.id.trim() === '') {
+    errors.push('id is required');
+  }
+  if (!course.start || !isVector(course.start.position)) {
+    errors.push('start.position must be { x, y, z }');
+  } else if (course.start.heading !== undefined && !isNumber(course.start.heading)) {
+    errors.push('start.heading must be a number of degrees');
+  }
+  if (course.scenerySeed !== undefined && !Number.isInteger(course.scenerySeed)) {
+    errors.push('scenerySeed must be an integer');
+  }
+  if (course.seed !== undefined && !Number.isInteger(course.seed)) {
+    errors.push('seed must be an integer');
+  }
+  if (course.laps !== undefined && !(Number.isInteger(course.laps) && course.laps >= 1 && course.laps <= MAX_LAPS)) {
+    errors.push(`laps must be a whole number from 1 to ${MAX_LAPS}`);
+  }
+  if (!course.finish || !FINISH_TYPES.includes(course.finish.type) || !isVector(course.finish.position)) {
+    errors.push(`finish must have a type (${FINISH_TYPES.join(', ')}) and a position { x, y, z }`);
+  }
+  if (!Array.isArray(course.gates) || course.gates.length === 0) {
+    errors.push('gates must be a non-empty array');
+    return { valid: false, errors, warnings };
+  }
+
+  course.gates.forEach((gate, index) => {
+    const label = `Gate ${index + 1}`;
+    if (!gate || !isVector(gate.position)) {
+      errors.push(`${label}: position must be { x, y, z }`);
+    }
+    if (gate && gate.radius !== undefined && !(isNumber(gate.radius) && gate.radius > 0)) {
+      errors.push(`${label}: radius must be a positive number`);
+    }
+    if (gate && gate.type !== undefined && !GATE_TYPES.includes(gate.type)) {
+      errors.push(`${label}: unknown type "${gate.type}" (expected ${GATE_TYPES.join(', ')})`);
+    }
+    if (gate && gate.orientation !== undefined) {
+      const { pitch, yaw, roll } = gateOrientation(gate);
+      if (![pitch, yaw, roll].every(isNumber)) {
+        errors.push(`${label}: orientation pitch/yaw/roll must be numbers of degrees`);
+      }
+    }
+    const definition = gate && GATE_TYPE_DEFINITIONS[gate.type || 'ring'];
+    if (definition && definition.upright) {
+      // Pylons stand on the ground - they can only be turned, not tilted or banked
+      const { pitch, roll } = gateOrientation(gate);
+      if (pitch !== 0 || roll !== 0) {
+        errors.push(`${label}: pylon gates stand upright - pitch and roll must be 0`);
+      }
+    }
+    if (gate && gate.side !== undefined && !(gate.type === 'pylon' && PYLON_SIDES.includes(gate.side))) {
+      errors.push(`${label}: side must be ${PYLON_SIDES.join(' or ')}, and only on a pylon gate`);
+    }
+    if (gate && gate.motion !== undefined && definition) {
+      checkGateMotion(gate.motion, definition, label, errors);
+    }
+  });
+
+  // Layout checks need well-formed positions
+  if (layout && errors.length === 0) {
+    checkLayout(course, errors, warnings);
+  }
+
+  return { valid: errors.length === 0, errors, warnings };
+}
+
+// Motion of a moving gate (see entities/gate_motion.js). Pylons stand on the ground, so they
+// can only swing sideways and never spin; only a ring can close with an iris.
+function checkGateMotion(motion, definition, label, errors) {
+  if (!isObject(motion)) {
+    errors.push(`${label}: motion must be an object`);
+    return;
+  }
+  Object.keys(motion).filter(name => !GATE_MOTIONS.includes(name)).forEach(name => {
+    errors.push(`${label}: unknown motion "${name}" (expected ${GATE_MOTIONS.join(', ')})`);
+  });
+
+  const checkCycle = (name, part) => {
+    if (!(isNumber(part.period) && part.period > 0)) {
+      errors.push(`${label}: motion.${name}.period must be a positive number of seconds`);
+    }
+    if (part.phase !== undefined && !isNumber(part.phase)) {
+      errors.push(`${label}: motion.${name}.phase must be a number (share of the period)`);
+    }
+  };
+
+  const { oscillate, spin, iris } = motion;
+  if (oscillate !== undefined) {
+    if (!isObject(oscillate) || !isVector(oscillate.offset)) {
+      errors.push(`${label}: motion.oscillate.offset must be { x, y, z }`);
+    } else if (definition.upright && oscillate.offset.y !== 0) {
+      errors.push(`${label}: pylon gates stand on the ground - motion.oscillate.offset.y must be 0`);
+    }
+    if (isObject(oscillate)) checkCycle('oscillate', oscillate);
+  }
+  if (spin !== undefined) {
+    if (!isObject(spin) || !isNumber(spin.speed)) {
+      errors.push(`${label}: motion.spin.speed must be a number of degrees per second`);
+    } else if (definition.upright) {
+      errors.push(`${label}: pylon gates stand upright - they cannot spin`);
+    }
+  }
+  if (iris !== undefined) {
+    if (definition !== GATE_TYPE_DEFINITIONS.ring) {
+      errors.push(`${label}: only a ring gate can have an iris`);
+    }
+    if (!isObject(iris)) {
+      errors.push(`${label}: motion.iris must be { period, open, phase }`);
+      return;
+    }
+    checkCycle('iris', iris);
+    if (!(isNumber(iris.open) && iris.open > 0 && iris.open < iris.period)) {
+      errors.push(`${label}: motion.iris.open must be a number of seconds, shorter than its period`);
+    }
+  }
+}
+
+// Overlapping and unreachable gates. A gate is passed flying through it along its facing, so
+// every gate has to lie ahead of the previous one (along that one's facing) and face away
+// from it. The bridge is flown along +Z, so the finish must also lie further along Z - and on a
+// circuit the first gate must lie ahead of the bridge, where the next lap starts.
+function checkLayout(course, errors, warnings) {
+  // A single pylon's radius is how wide it may be rounded, not an opening - only the pylon
+  // itself can overlap anything
+  const radiusOf = gate => (gate.type === 'pylon' ? 0 : gate.radius || defaultGateRadius(gate.type));
+  let previous = {
+    position: course.start.position,
+    facing: headingFacing(course.start.heading),
+    label: 'the start'
+  };
+
+  course.gates.forEach((gate, index) => {
+    const label = `Gate ${index + 1}`;
+    const { x, y, z } = gate.position;
+
+    // Overlap: the openings of two gates intersect
+    course.gates.slice(0, index).forEach((other, otherIndex) => {
+      const distance = Math.hypot(x - other.position.x, y - other.position.y, z - other.position.z);
+      if (distance < radiusOf(gate) + radiusOf(other)) {
+        errors.push(`${label} overlaps gate ${otherIndex + 1} (${distance.toFixed(1)} units apart)`);
+      }
+    });
+
+    // Unreachable: the whole opening is underground
+    if (GATE_TYPE_DEFINITIONS[gate.type || 'ring'].upright) {
+      if (y <= GROUND_LEVEL) {
+        errors.push(`${label} is unreachable: its pylons are below the ground`);
+      }
+    } else if (y + radiusOf(gate) <= GROUND_LEVEL) {
+      errors.push(`${label} is unreachable: its opening is below the ground`);
+    } else if (y <= GROUND_LEVEL) {
+      warnings.push(`${label}: centre is below the ground, only the top of the opening can be flown`);
+    }
+
+    // Unreachable: behind the previous gate / start, or entered from the wrong side
+    const offset = subtract(gate.position, previous.position);
+    const facing = gateFacing(gate);
+    if (dot(offset, previous.facing) <= 0) {
+      errors.push(`${label} is unreachable: it is behind ${previous.label}`);
+    } else if (dot(offset, facing) <= 0) {
+      errors.push(`${label} is unreachable: it faces back towards ${previous.label}`);
+    } else {
+      // Unreachable: steeper than the aircraft can climb or dive
+      const horizontal = Math.hypot(offset.x, offset.z);
+      const climbAngle = toDegrees(Math.atan2(Math.abs(offset.y), horizontal));
+      if (climbAngle > MAX_CLIMB_ANGLE) {
+        errors.push(`${label} is unreachable: ${climbAngle.toFixed(0)}° climb from ${previous.label}`);
+      }
+
+      const entryAngle = toDegrees(Math.acos(Math.min(1, dot(offset, facing) / length(offset))));
+      if (entryAngle > MAX_ENTRY_ANGLE) {
+        warnings.push(`${label} is turned ${entryAngle.toFixed(0)}° away from the line from ${previous.label}`);
+      }
+    }
+
+    previous = { position: gate.position, facing: gateFacing(gate), label: `gate ${index + 1}` };
+  });
+
+  const toFinish = subtract(course.finish.position, previous.position);
+  if (toFinish.z <= 0 || dot(toFinish, previous.facing) <= 0) {
+    errors.push(`Finish ${course.finish.type} is not ahead of ${previous.label} along +Z`);
+  }
+
+  if ((course.laps || 1) > 1) {
+    const firstGate = course.gates[0];
+    const toFirstGate = subtract(firstGate.position, course.finish.position);
+    if (toFirstGate.z <= 0) {
+      errors.push(`Gate 1 is unreachable on the next lap: it is behind the finish ${course.finish.type}`);
+    } else if (dot(toFirstGate, gateFacing(firstGate)) <= 0) {
+      errors.push(`Gate 1 is unreachable on the next lap: it faces back towards the finish ${course.finish.type}`);
+    }
+  }
+}
+
+function parseCourse(json) {
+  try {
+    return JSON.parse(json);
+  } catch (error) {
+    throw new CourseValidationError([`Course is not valid JSON: ${error.message}`]);
+  }
+}
+
+function defaultGateRadius(type = 'ring') {
+  return GATE_TYPE_DEFINITIONS[type].radius;
+}
+
+// Gate entity for the gate definition at `index` in the course's gates array - a Gate for a
+// ring, one of the pylon gates (entities/pylon_gate.js) otherwise
+function createGate(definition, index) {
+  const type = definition.type || 'ring';
+  const GateEntity = GATE_TYPE_DEFINITIONS[type].entity;
+  return new GateEntity(index, { ...definition.position }, gateRotation(definition), {
+    radius: definition.radius || defaultGateRadius(type),
+    type,
+    side: definition.side,
+    motion: definition.motion ? new GateMotion(definition.motion) : null
+  });
+}
+
+function createFinish(finish) {
+  const { x, y, z } = finish.position;
+  return new FinishBridge(new THREE.Vector3(x, y, z));
+}
+
+// Validate a course (object or JSON text) and build its entities. Throws
+// CourseValidationError when the course has errors; warnings are logged.
+function loadCourse(source) {
+  const course = typeof source === 'string' ? parseCourse(source) : source;
+  const { valid, errors, warnings } = validateCourse(course);
+  if (!valid) {
+    throw new CourseValidationError(errors);
+  }
+  warnings.forEach(warning => console.warn(`Course "${course.id}": ${warning}`));
+
+  const gates = course.gates.map(createGate);
+  const finishBridge = createFinish(course.finish);
+
+  // Course heading 0 points along +Z; the aircraft model's nose points along -Z
+  const start = {
+    position: new THREE.Vector3(course.start.position.x, course.start.position.y, course.start.position.z),
+    heading: toRadians(course.start.heading || 0) + Math.PI
+  };
+
+  const laps = course.laps || 1;
+  console.log(`Course "${course.name || course.id}" loaded: ${gates.length} gates` + (laps > 1 ? `, ${laps} laps` : ''));
+  return { course, gates, finishBridge, start, laps, scenerySeed: course.scenerySeed || 0 };
+}
+
+export {
+  COURSE_FORMAT,
+  COURSE_FORMAT_VERSION,
+  CourseValidationError,
+  GATE_TYPES,
+  createFinish,
+  createGate,
+  defaultGateRadius,
+  gateFacing,
+  loadCourse,
+  parseCourse,
+  validateCourse
+};
+
+export default loadCourse;
@@ -0,0 +1,198 @@
+// Endless course
+// Gates without end for the endless mode, generated a few at a time ahead of the aircraft from
+// a seed - the same seed always gives the same gates, so everyone on its leaderboard flies the
+// same course. Each gate is one GATE_SPACING on from the last, with the racing line turned by a
+// random share of the lateral spread and the height changed by up to the height variation.
+// Difficulty ramps with the distance along the course (endlessDifficulty): a wider spread, more
+// height variation and smaller gates. Past WORLD_RADIUS from the middle of the world the line
+// turns back towards it, so the course stays over the ground.
+// RaceSimulation keeps ENDLESS_GATES_AHEAD gates waiting after the target (extend) and the gates
+// behind it are disposed of; the run ends on the first crash or the missLimit-th missed gate.
+
+import * as THREE from 'three';
+import { createGate } from './course_loader.js';
+import { analyzeLeg, getDefaultPerformance } from './course_analysis.js';
+import { createRandom, deriveSeed } from '../utils/random.js';
+
+const ENDLESS_COURSE_ID = 'endless';
+const ENDLESS_SEED = 1; // Course of the main endless leaderboard (?endless without a seed)
+const ENDLESS_MISS_LIMIT = 3; // Missed gates that end a run
+const ENDLESS_GATES_AHEAD = 4; // Gates waiting after the target gate
+const ENDLESS_GATES_BEHIND = 2; // Gates kept behind the target before they are disposed of
+
+const GATE_SPACING = 80; // Distance from one gate to the next
+const RAMP_DISTANCE = 4000; // Course distance over which the difficulty ramps up to the hardest
+const WORLD_RADIUS = 700; // The ground is 2000 across (see GameEngine.createGroundPlane)
+const HOMING_TURN = 25; // Degrees the line turns towards the middle at each gate once outside
+const MIN_GATE_HEIGHT = 10;
+const MAX_GATE_HEIGHT = 45;
+const CANDIDATE_COUNT = 5; // Placements tried per gate before flying straight on
+
+const START = { position: { x: 0, y: 20, z: -20 }, heading: 0 }; // Course heading 0 = +Z
+
+// Difficulty from the easiest (distance 0) to the hardest (RAMP_DISTANCE and beyond)
+const EASIEST = { lateralSpread: 10, heightVariation: 2, radius: 15 };
+const HARDEST = { lateralSpread: 45, heightVariation: 10, radius: 8 };
+
+const toRadians = degrees => degrees * Math.PI / 180;
+const toDegrees = radians => radians * 180 / Math.PI;
+const roundValue = value => Math.round(value * 100) / 100;
+
+// Lateral spread (sideways offset per gate), height variation and gate radius at a distance
+// along the course; level is the share of the ramp covered (0-1)
+function endlessDifficulty(distance) {
+  const level = Math.min(1, Math.max(0, distance / RAMP_DISTANCE));
+  const ramp = key => EASIEST[key] + (HARDEST[key] - EASIEST[key]) * level;
+  return {
+    level,
+    lateralSpread: ramp('lateralSpread'),
+    heightVariation: ramp('heightVariation'),
+    radius: Math.round(ramp('radius'))
+  };
+}
+
+// Leaderboard of an endless seed - the main one has no seed in its id
+function endlessCourseId(seed = ENDLESS_SEED) {
+  return seed === ENDLESS_SEED ? ENDLESS_COURSE_ID : `${ENDLESS_COURSE_ID}-seed-${seed}`;
+}
+
+// Endless stream of gate definitions in the JSON course format, each facing along the leg
+// that leads to it
+class EndlessGateGenerator {
+  constructor(seed = ENDLESS_SEED, performance = getDefaultPerformance()) {
+    this.random = createRandom(deriveSeed(seed, 'endless'));
+    this.performance = performance;
+    this.position = { ...START.position };
+    this.heading = START.heading; // Degrees, 0 = +Z
+    this.distance = 0; // Along the course, at the last gate
+  }
+
+  next() {
+    const difficulty = endlessDifficulty(this.distance + GATE_SPACING);
+    const maxTurn = toDegrees(Math.atan2(difficulty.lateralSpread, GATE_SPACING));
+    const from = { label: 'the previous gate', position: this.position, heading: this.heading };
+
+    let candidate = null;
+    for (let attempt = 0; attempt < CANDIDATE_COUNT && !candidate; attempt++) {
+      const placement = this.place(this.chooseTurn(maxTurn), difficulty.heightVariation);
+      if (analyzeLeg(from, { label: 'the next gate', ...placement }, this.performance).flyable) {
+        candidate = placement;
+      }
+    }
+    // Straight on at the same height is always flyable
+    candidate = candidate || this.place(0, 0);
+
+    const climb = candidate.position.y - this.position.y;
+    this.position = candidate.position;
+    this.heading = candidate.heading;
+    this.distance += GATE_SPACING;
+
+    return {
+      position: candidate.position,
+      orientation: {
+        pitch: roundValue(toDegrees(Math.atan2(climb, GATE_SPACING))),
+        yaw: roundValue(((candidate.heading + 540) % 360) - 180),
+        roll: 0
+      },
+      radius: difficulty.radius,
+      type: 'ring'
+    };
+  }
+
+  // Random turn within maxTurn either way - or back towards the middle once outside WORLD_RADIUS
+  // and heading further out
+  chooseTurn(maxTurn) {
+    const turn = (this.random() * 2 - 1) * maxTurn;
+    const { x, z } = this.position;
+    const direction = { x: Math.sin(toRadians(this.heading)), z: Math.cos(toRadians(this.heading)) };
+    if (Math.hypot(x, z) < WORLD_RADIUS || direction.x * x + direction.z * z <= 0) return turn;
+
+    // Turning towards +X is a positive heading change; the middle is on the side of -position
+    const towardsMiddle = Math.sign(direction.z * -x - direction.x * -z) || 1;
+    return towardsMiddle * Math.max(HOMING_TURN, Math.abs(turn));
+  }
+
+  place(turn, heightVariation) {
+    const heading = this.heading + turn;
+    const y = this.position.y + (this.random() * 2 - 1) * heightVariation;
+    return {
+      heading,
+      position: {
+        x: roundValue(this.position.x + Math.sin(toRadians(heading)) * GATE_SPACING),
+        y: roundValue(Math.min(MAX_GATE_HEIGHT, Math.max(MIN_GATE_HEIGHT, y))),
+        z: roundValue(this.position.z + Math.cos(toRadians(heading)) * GATE_SPACING)
+      }
+    };
+  }
+}
+
+class EndlessCourse {
+  constructor({
+    seed = ENDLESS_SEED,
+    missLimit = ENDLESS_MISS_LIMIT,
+    onGateAdded = () => {}, // Called with every new Gate, e.g. to add it to the scene
+    onGateRemoved = () => {} // Called with every Gate disposed of
+  } = {}) {
+    this.seed = seed;
+    this.id = endlessCourseId(seed);
+    this.name = 'Endless';
+    this.missLimit = missLimit;
+    this.onGateAdded = onGateAdded;
+    this.onGateRemoved = onGateRemoved;
+
+    // Aircraft start pose - the model's nose points along -Z
+    this.start = {
+      position: new THREE.Vector3(START.position.x, START.position.y, START.position.z),
+      heading: toRadians(START.heading) + Math.PI
+    };
+
+    this.gates = []; // The live gates - always this array, so it can be shared
+    this.generator = null;
+    this.gateCount = 0; // Gates generated this run - the next gate's id
+  }
+
+  // Back to the first gates of the seed for a new run. Returns the live gates.
+  restart() {
+    this.gates.splice(0).forEach(gate => this.onGateRemoved(gate));
+    this.generator = new EndlessGateGenerator(this.seed);
+    this.gateCount = 0;
+    this.extend(0);
+    return this.gates;
+  }
+
+  // Keep ENDLESS_GATES_AHEAD gates after the target at `targetIndex` and no more than
+  // ENDLESS_GATES_BEHIND before it. Returns the target's index once the gates behind are gone.
+  extend(targetIndex) {
+    while (this.gates.length - 1 - targetIndex < ENDLESS_GATES_AHEAD) {
+      this.addGate();
+    }
+
+    let index = targetIndex;
+    while (index > ENDLESS_GATES_BEHIND) {
+      this.onGateRemoved(this.gates.shift());
+      index--;
+    }
+    return index;
+  }
+
+  addGate() {
+    const gate = createGate(this.generator.next(), this.gateCount++);
+    gate.getObject().updateMatrixWorld(true); // Collision checks read it straight away
+    this.gates.push(gate);
+    this.onGateAdded(gate);
+  }
+}
+
+export {
+  ENDLESS_COURSE_ID,
+  ENDLESS_GATES_AHEAD,
+  ENDLESS_GATES_BEHIND,
+  ENDLESS_MISS_LIMIT,
+  ENDLESS_SEED,
+  EndlessCourse,
+  EndlessGateGenerator,
+  endlessCourseId,
+  endlessDifficulty
+};
+
+export default EndlessCourse;
@@ -3,17 +3,52 @@
 
 import * as THREE from 'three';
 import Aircraft from '../entities/aircraft.js';
-import Gate from '../entities/gate.js';
 import InputHandler from '../utils/input.js';
-import FinishBridge from '../entities/finish_bridge.js';
 import Tree from '../entities/tree.js';
 import Person from '../entities/person.js';
-
-// Penalty constants
-const MISSED_GATE_PENALTY = 10; // seconds
+import RaceSimulation, { GateCollision, SIMULATION_STEP } from './race_simulation.js';
+import { loadCourse } from './course_loader.js';
+import CourseEditor from './course_editor.js';
+import { generateCourse } from './course_generator.js';
+import EndlessCourse from './endless_course.js';
+import { createRandom, deriveSeed, hashSeed } from '../utils/random.js';
+import DailyChallengeService, { createDailyCourse, dailyCourseId } from '../services/daily_challenge.js';
+import defaultCourse from '../courses/default.json';
+import { RaceState } from './race_state_machine.js';
+import { RaceEvent } from './race_events.js';
+import { splitDelta } from './split_times.js';
+import EventEmitter from '../utils/event_emitter.js';
+import { createLeaderboardService, createRunRecord, DEFAULT_COURSE_ID } from '../services/leaderboard.js';
+import PilotProfileService from '../services/pilot_profile.js';
+import ScoreOutbox from '../services/score_outbox.js';
+import StartScreen from '../ui/start_screen.js';
+import Hud from '../ui/hud.js';
+import ResultScreen from '../ui/result_screen.js';
+import MainMenu from '../ui/main_menu.js';
+import PauseMenu from '../ui/pause_menu.js';
+import KeyBindings from '../ui/key_bindings.js';
+import CourseEditorPanel from '../ui/course_editor_panel.js';
+import PausableTimers from '../utils/pausable_timers.js';
+
+// Frame timing - the simulation itself advances in fixed SIMULATION_STEP steps
+const MAX_FRAME_TIME = 0.25; // Longer frames (tab switch, debugger) are clamped
+
+// Leaderboard server URL (set VITE_LEADERBOARD_URL to use the REST backend)
+const LEADERBOARD_URL = (import.meta.env && import.meta.env.VITE_LEADERBOARD_URL) || null;
+
+// Notification text of each penalty reason (RaceSimulation.applyTimePenalty)
+const PENALTY_LABELS = {
+  falseStart: 'FALSE START',
+  missedGate: 'MISSED GATE',
+  gateHit: 'GATE HIT',
+  incorrectLevel: 'INCORRECT LEVEL',
+  noKnifeEdge: 'NO KNIFE EDGE',
+  tooHigh: 'TOO HIGH',
+  wrongSide: 'WRONG SIDE OF PYLON'
+};
 
 class GameEngine {
-  constructor(canvasId) {
+  constructor(canvasId, options = {}) {
     // Get the canvas element
     this.canvas = document.getElementById(canvasId);
     if (!this.canvas) {
@@ -26,27 +61,76 @@ class GameEngine {
     this.deltaTime = 0;
     this.elapsedTime = 0;
     this.isRunning = false;
+
+    // Unsimulated frame time carried to the next frame
+    this.accumulator = 0;
     
     // Arrays to track objects
     this.objects = [];
     this.clouds = [];
     this.gates = [];
-    this.currentGateIndex = 0;
     this.finishBridge = null;
     this.targetArrow = null; // Add property for the arrow
-    
-    // Frame rate control
-    this.lastFrameTime = 0;
-    this.minFrameMs = 1000 / 60; // Cap at 60 FPS to prevent flashing
 
     // Initialize input handler
     this.inputHandler = new InputHandler();
 
-    // Game State & Timing
-    this.gameState = 'ready'; // 'ready', 'playing', 'finished'
-    this.gameStartTime = 0;
-    this.finalTime = 0;
-    this.penaltyTime = 0; // Total accumulated penalty time
+    // Race state & timing live in this.simulation (see the getters below)
+    this.simulation = null;
+
+    // Race events (RaceEvent) for HUD, audio, replay, telemetry and leaderboard subscribers
+    this.events = new EventEmitter();
+
+    // Notification delays run on these so they stop while the game is paused
+    this.notificationTimers = new PausableTimers();
+
+    // Player settings (changed from the pause menu)
+    this.showTargetArrow = true;
+
+    // Outcome of flying into a gate's structure (GateCollision) - a crash unless a mode says otherwise
+    this.gateCollision = options.gateCollision || GateCollision.CRASH;
+
+    // Daily challenge - options.daily is the 'YYYY-MM-DD' of the daily course to fly
+    this.dailyChallenges = options.dailyChallenges || new DailyChallengeService();
+    this.dailyDateKey = options.daily || null;
+
+    // Course - a course definition in the JSON course format (see core/course_loader.js),
+    // the daily course, or generated from options.seed if one is given
+    this.courseSeed = Number.isInteger(options.seed) ? options.seed : null;
+    if (options.course) {
+      this.courseDefinition = options.course;
+    } else if (this.dailyDateKey) {
+      this.courseDefinition = createDailyCourse(this.dailyDateKey);
+    } else {
+      this.courseDefinition = this.courseSeed !== null ? generateCourse(this.courseSeed) : defaultCourse;
+    }
+    // Endless mode (?endless): gates generated ahead of the aircraft without end, with a
+    // leaderboard of its own per seed (see core/endless_course.js)
+    this.endless = options.endless && !this.dailyDateKey ? new EndlessCourse({
+      seed: this.courseSeed !== null ? this.courseSeed : undefined,
+      onGateAdded: (gate) => {
+        this.scene.add(gate.getObject());
+        this.objects.push(gate);
+      },
+      onGateRemoved: (gate) => this.removeObject(gate)
+    }) : null;
+    this.course = null;
+    this.laps = 1; // Laps of the course - more than 1 is a circuit (see RaceSimulation)
+    this.bestSplits = null; // Splits of the pilot's personal best on the course (see loadBestSplits)
+    this.practice = false; // Practice mode: respawns instead of crashes, no penalties, never ranked
+    this.editor = null; // CourseEditor, created the first time the editor is opened
+    this.editorPanel = null;
+    this.scenerySeed = this.courseDefinition.scenerySeed || 0; // Clouds, trees, people, river banks
+
+    // Leaderboard - local storage unless a server URL is configured
+    this.courseId = options.courseId || (this.endless ? this.endless.id : this.courseDefinition.id) || DEFAULT_COURSE_ID;
+    this.leaderboard = options.leaderboard || createLeaderboardService({ url: LEADERBOARD_URL });
+    this.scoreOutbox = new ScoreOutbox(this.leaderboard); // Keeps runs until they are uploaded
+    this.lastResult = null; // Result of the most recent run
+
+    // Pilot profile - a pilot must be chosen before the race can start
+    this.pilotProfiles = options.pilotProfiles || new PilotProfileService();
+    this.pilot = null;
 
     // Initialize components
     this.initThreeJs();
@@ -94,14 +178,40 @@ class GameEngine {
     
     // Regular component setup
     this.setupAircraft();
-    this.setupGates();
-    this.setupFinishBridge();
+    this.setupCourse();
+    this.setupSimulation(); // Race rules run in RaceSimulation, the engine presents them
+    this.setupEventSubscribers();
     this.setupTargetArrow(); // Call setup for the arrow
     this.setupHUD(); // Call setup for the HUD
+    this.setupKeyBindings();
+    this.setupPilotProfile(); // Ask for a callsign unless one is active this session
+    this.scoreOutbox.onChange((count) => this.hud.setPendingUploads(count));
+    this.scoreOutbox.flush(); // Upload anything left over from earlier sessions
     
     console.log('Game engine initialized successfully');
   }
 
+  // Race state is owned by the simulation; these keep the engine's public fields working
+  get gameState() {
+    return this.simulation ? this.simulation.state : 'initializing';
+  }
+
+  get currentGateIndex() {
+    return this.simulation ? this.simulation.currentGateIndex : 0;
+  }
+
+  get penaltyTime() {
+    return this.simulation ? this.simulation.penaltyTime : 0;
+  }
+
+  get finalTime() {
+    return this.simulation ? this.simulation.finalTime : 0;
+  }
+
+  get simulationTime() {
+    return this.simulation ? this.simulation.simulationTime : 0;
+  }
+
   initThreeJs() {
     console.log("Starting initThreeJs with tree creation");
     
@@ -252,6 +362,11 @@ class GameEngine {
     console.log('Three.js initialized with trees');
   }
   
+  // Random numbers for one kind of scenery, reproducible from the course's scenery seed
+  createSceneryRandom(name) {
+    return createRandom(deriveSeed(this.scenerySeed, name));
+  }
+
   setupSkyGradient() {
     // Create a simpler sky with just a solid color
     this.scene.background = new THREE.Color(0x87CEEB); // Sky blue background
@@ -354,7 +469,7 @@ class GameEngine {
       this.river = river;
       
       // Add river banks - slightly raised areas along the river
-      this.createRiverBanks(river);
+      this.createRiverBanks();
       
       console.log('River created');
     } catch (error) {
@@ -362,7 +477,9 @@ class GameEngine {
     }
   }
   
-  createRiverBanks(river) {
+  createRiverBanks() {
+    const random = this.createSceneryRandom('riverBanks');
+
     // Create raised areas along the river banks
     const bankWidth = 5;
     const bankLength = 1000; // Match river length
@@ -389,7 +506,7 @@ class GameEngine {
       eastVertices[i] += Math.sin(z * 0.01) * 10;
       
       // Add some height variation
-      eastVertices[i + 1] = Math.random() * 0.5;
+      eastVertices[i + 1] = random() * 0.5;
     }
     
     eastBankGeometry.attributes.position.needsUpdate = true;
@@ -413,7 +530,7 @@ class GameEngine {
       westVertices[i] += Math.sin(z * 0.01) * 10;
       
       // Add some height variation
-      westVertices[i + 1] = Math.random() * 0.5;
+      westVertices[i + 1] = random() * 0.5;
     }
     
     westBankGeometry.attributes.position.needsUpdate = true;
@@ -423,6 +540,8 @@ class GameEngine {
   }
   
   createClouds() {
+    const random = this.createSceneryRandom('clouds');
+
     // Create voxel-style clouds
     const cloudCount = 20; // Fewer clouds
     const cloudMaterial = new THREE.MeshStandardMaterial({
@@ -436,24 +555,24 @@ class GameEngine {
       const cloudGroup = new THREE.Group();
       
       // Randomize cloud position
-      const x = (Math.random() * 2 - 1) * 100;
-      const y = 30 + Math.random() * 20;
-      const z = (Math.random() * 2 - 1) * 100;
+      const x = (random() * 2 - 1) * 100;
+      const y = 30 + random() * 20;
+      const z = (random() * 2 - 1) * 100;
       
       cloudGroup.position.set(x, y, z);
       
       // Add cloud sections - fewer blocks per cloud
-      const blockCount = 3 + Math.floor(Math.random() * 3);
+      const blockCount = 3 + Math.floor(random() * 3);
       
       for (let j = 0; j < blockCount; j++) {
-        const blockSize = 3 + Math.random() * 4;
-        const blockGeometry = new THREE.BoxGeometry(blockSize, 2 + Math.random() * 2, blockSize);
+        const blockSize = 3 + random() * 4;
+        const blockGeometry = new THREE.BoxGeometry(blockSize, 2 + random() * 2, blockSize);
         const block = new THREE.Mesh(blockGeometry, cloudMaterial);
         
         // Position blocks relative to cloud center
-        const blockX = (Math.random() * 2 - 1) * 4;
-        const blockY = (Math.random() * 2 - 1) * 1;
-        const blockZ = (Math.random() * 2 - 1) * 4;
+        const blockX = (random() * 2 - 1) * 4;
+        const blockY = (random() * 2 - 1) * 1;
+        const blockZ = (random() * 2 - 1) * 4;
         
         block.position.set(blockX, blockY, blockZ);
         cloudGroup.add(block);
@@ -462,9 +581,9 @@ class GameEngine {
       // Add cloud movement properties
       const cloud = {
         group: cloudGroup,
-        speed: 0.5 + Math.random(),
-        bobSpeed: 0.5 + Math.random() * 0.5,
-        bobHeight: 0.1 + Math.random() * 0.3,
+        speed: 0.5 + random(),
+        bobSpeed: 0.5 + random() * 0.5,
+        bobHeight: 0.1 + random() * 0.3,
         startY: cloudGroup.position.y
       };
       
@@ -497,131 +616,133 @@ class GameEngine {
     }
   }
   
-  setupGates() {
-    try {
-      // Constants for gate arrangement
-      const gateCount = 8;
-      const minDistanceBetweenGates = 40; // Increased minimum distance
-      const minHeight = 8; // Minimum height for gates
-      const maxHeight = 20; // Reduced maximum height
-      const startZ = 50; // Starting distance from aircraft
-      const courseLength = 400; // Length of the course
-      
-      console.log('Setting up gates...');
-      
-      // Generate gates with semi-random placement and increasing difficulty
-      for (let i = 0; i < gateCount; i++) {
-        // Calculate progression factor (0 to 1) to increase difficulty
-        const progressFactor = i / (gateCount - 1);
-        
-        // Determine z position (distance along the course)
-        // First few gates are easier to find
-        const zPosition = startZ + (courseLength * (progressFactor * 0.8 + 0.2));
-        
-        // Calculate position variation range based on progression
-        const lateralRange = 30 + progressFactor * 30; // Reduced lateral range
-        const heightVariation = progressFactor * (maxHeight - minHeight);
-        
-        // Generate multiple candidate positions for this gate
-        const candidateCount = 10;
-        let candidates = [];
-        
-        for (let j = 0; j < candidateCount; j++) {
-          // Randomize position with constraints
-          let x = (Math.random() * 2 - 1) * lateralRange;
-          
-          // Bias toward river for first few gates, then more variation
-          if (i < 2) {
-            // First gates stay closer to the river (starter area)
-            x = (Math.random() * 2 - 1) * 15;
-          }
-          
-          // Height increases with progression, with some randomness
-          const baseHeight = minHeight + heightVariation;
-          let y = baseHeight + (Math.random() * 4 - 2); // Reduced height variation
-          
-          // Ensure gate is not below ground
-          y = Math.max(y, 6);
-          
-          // Create candidate position
-          const position = { x, y, z: zPosition };
-          
-          // Check if this position is valid (not too close to other gates)
-          let isValid = true;
-          for (let k = 0; k < this.gates.length; k++) {
-            const existingGate = this.gates[k];
-            const existingPos = existingGate.position;
-            const dist = Math.sqrt(
-              Math.pow(position.x - existingPos.x, 2) + 
-              Math.pow(position.y - existingPos.y, 2) + 
-              Math.pow(position.z - existingPos.z, 2)
-            );
-            
-            if (dist < minDistanceBetweenGates) {
-              isValid = false;
-              break;
-            }
-          }
-          
-          if (isValid) {
-            candidates.push(position);
-          }
-        }
-        
-        // If no valid candidates, create a fallback position
-        if (candidates.length === 0) {
-          const fallbackX = (Math.random() * 2 - 1) * 20;
-          const fallbackY = minHeight + 5;
-          const fallbackZ = zPosition + (minDistanceBetweenGates * 0.5);
-          candidates.push({ x: fallbackX, y: fallbackY, z: fallbackZ });
-        }
-        
-        // Choose a random valid candidate position
-        const chosenPosition = candidates[Math.floor(Math.random() * candidates.length)];
-        
-        // Determine gate rotation (looking at next gate or oriented for difficulty)
-        let rotation = { x: 0, y: 0, z: 0 };
-        
-        // Create the gate
-        const gate = new Gate(i, chosenPosition, rotation);
-        this.gates.push(gate);
-        this.scene.add(gate.getObject());
-        this.objects.push(gate);
-        
-        console.log(`Created gate ${i+1} at position`, chosenPosition);
-      }
-      
-      // Set the first gate as the current target
-      if (this.gates.length > 0) {
-        this.gates[0].setTarget();
-        this.gates[0].startPulseEffect(); // Start pulsing
-      }
-      
-      // Example: Ensure gates are reset visually at start
-      this.gates.forEach(gate => gate.reset ? gate.reset() : null);
-      
-      console.log(`Created ${this.gates.length} gates`);
-    } catch (error) {
-      console.error('Error setting up gates:', error);
+  // Build the gates, finish bridge and start pose from the course definition.
+  // An invalid course throws a CourseValidationError (main.js shows the message).
+  setupCourse() {
+    if (this.endless) {
+      this.setupEndlessCourse();
+      return;
     }
-  }
 
-  setupFinishBridge() {
-    try {
-      // Position the bridge after the last gate
-      // Estimate position based on course length and gate setup
-      const bridgeZPosition = 500; // Place bridge further down the Z axis
-      const bridgeYPosition = -4; // Align roughly with ground level
-      const bridgePosition = new THREE.Vector3(0, bridgeYPosition, bridgeZPosition);
+    const { course, gates, finishBridge, start, laps } = loadCourse(this.courseDefinition);
+    this.course = course;
+    this.laps = laps;
 
-      this.finishBridge = new FinishBridge(bridgePosition);
-      this.scene.add(this.finishBridge.getObject());
-      this.objects.push(this.finishBridge); // Add bridge to updatable objects
+    this.gates = gates;
+    this.gates.forEach(gate => {
+      this.scene.add(gate.getObject());
+      this.objects.push(gate);
+    });
 
-      console.log('Finish bridge created at position', bridgePosition);
-    } catch (error) {
-      console.error('Error setting up finish bridge:', error);
+    this.finishBridge = finishBridge;
+    this.scene.add(this.finishBridge.getObject());
+    this.objects.push(this.finishBridge); // Add bridge to updatable objects
+
+    if (this.aircraft) {
+      this.aircraft.setStartPose(start.position, start.heading);
+      this.aircraft.reset();
+    }
+
+    console.log(`Course "${course.name || course.id}": ${gates.length} gates, finish at`, finishBridge.position);
+  }
+
+  // Endless mode: the gates come from the EndlessCourse (the simulation restarts it for every
+  // run) and there is no finish bridge - a run ends on a crash or too many missed gates
+  setupEndlessCourse() {
+    this.course = { id: this.endless.id, name: this.endless.name, seed: this.endless.seed };
+    this.gates = this.endless.restart(); // The live gates array, shared with the simulation
+    this.finishBridge = null;
+
+    if (this.aircraft) {
+      this.aircraft.setStartPose(this.endless.start.position, this.endless.start.heading);
+      this.aircraft.reset();
     }
+
+    console.log(`Endless course (seed ${this.endless.seed}): a run ends after ${this.endless.missLimit} missed gates`);
+  }
+
+  // Create the race simulation and present its events
+  setupSimulation() {
+    this.simulation = new RaceSimulation({
+      aircraft: this.aircraft,
+      gates: this.gates,
+      finishBridge: this.finishBridge,
+      gateCollision: this.gateCollision,
+      laps: this.laps,
+      practice: this.practice,
+      endless: this.endless
+    });
+
+    // Republish every race event on the engine's bus
+    this.simulation.on('*', (event, type) => this.events.emit(type, event));
+
+    // The HUD follows state changes instead of checking the state every frame
+    this.simulation.stateMachine.on('change', ({ to }) => this.applyHUDState(to));
+
+    // Notifications wait while paused, however the pause ends (resume, restart or quit)
+    this.simulation.stateMachine.onEnter(RaceState.PAUSED, () => this.notificationTimers.pause());
+    this.simulation.stateMachine.onExit(RaceState.PAUSED, () => this.notificationTimers.resume());
+  }
+
+  // Independent subscribers to the race events - HUD notifications, result screen, leaderboard
+  setupEventSubscribers() {
+    // Precision of every gate pass floats up from where the gate was crossed
+    this.events.on(RaceEvent.GATE_PASSED, (event) => {
+      this.hud.showPrecisionLabel(this.getScreenPosition(event.position), event.precision);
+    });
+
+    this.events.on(RaceEvent.PENALTY, (event) => {
+      const label = PENALTY_LABELS[event.reason] || 'PENALTY';
+      this.hud.showPenaltyNotification(`✖ ${label} – Penalty +${event.seconds}s`);
+    });
+
+    // Crashes and penalties have their own notifications; damage is shown here
+    this.events.on(RaceEvent.GATE_HIT, (event) => {
+      if (event.outcome === GateCollision.DAMAGE) {
+        this.hud.showPenaltyNotification(`✖ GATE HIT – Damage ${Math.round(event.damage * 100)}%`);
+      }
+    });
+
+    // 3-2-1-GO in the centre of the screen
+    this.events.on(RaceEvent.COUNTDOWN, (event) => this.hud.showCountdown(`${event.count}`));
+    this.events.on(RaceEvent.GO, () => {
+      this.hud.showCountdown('GO!');
+      this.notificationTimers.setTimeout(() => this.hud.showCountdown(null), 800);
+    });
+
+    this.events.on(RaceEvent.ALL_GATES_CLEARED, (event) => {
+      // Let the player continue to the bridge where the end conditions will be triggered
+      if (this.targetArrow) {
+        this.targetArrow.visible = false;
+      }
+      const message = event.lap < event.laps
+        ? `Lap ${event.lap} gates cleared! Fly through the bridge to start lap ${event.lap + 1}.`
+        : "All gates cleared! Now fly through the bridge to finish the race.";
+      this.hud.showGuidanceNotification(message); // Use a different notification style for guidance
+    });
+
+    // Practice: say why the aircraft was put back, and where
+    this.events.on(RaceEvent.RESPAWNED, (event) => {
+      if (event.reason === 'jump') return; // Chosen from the pause menu
+      const cause = event.reason === 'missedGate' ? 'Gate missed' : event.reason;
+      const from = event.gateIndex < 0 ? 'the start' : `gate ${event.gateIndex + 1}`;
+      this.hud.showGuidanceNotification(`${cause} – practice again from ${from}`);
+    });
+
+    this.events.on(RaceEvent.LAP_COMPLETED, (event) => {
+      if (event.lap >= event.laps) return; // The result screen takes over
+      const best = event.lapTime === event.bestLap ? ' – best lap!' : '';
+      this.hud.showGuidanceNotification(`Lap ${event.lap}: ${event.lapTime.toFixed(2)}s${best}`);
+    });
+
+    // Gain or loss against the personal best at every gate and lap line
+    this.events.on(RaceEvent.SPLIT, (event) => {
+      const delta = splitDelta(this.simulation.splits, this.bestSplits, event.index);
+      if (delta !== null) this.hud.showSplitDelta(delta);
+    });
+
+    this.events.on(RaceEvent.FINISHED, (result) => this.showRaceResult(result));
+    this.events.on(RaceEvent.FINISHED, (result) => this.recordRun(result));
   }
 
   // Add method to setup the target arrow
@@ -652,7 +773,7 @@ class GameEngine {
     const groundY = -5; // Ground level
     
     // Add each tree individually
-    treePositions.forEach((pos, index) => {
+    treePositions.forEach((pos) => {
       try {
         console.log(`SETUP TREES: Creating ${pos.name} at (${pos.x}, ${groundY}, ${pos.z})`);
         const tree = new Tree(new THREE.Vector3(pos.x, groundY, pos.z));
@@ -691,6 +812,8 @@ class GameEngine {
 
   // Method to setup people
   setupPeople() {
+    const random = this.createSceneryRandom('people');
+
     const personCount = 50;
     const groundY = -5; // From createGroundPlane
     const placementRadius = 400; // Place people closer than trees
@@ -701,9 +824,9 @@ class GameEngine {
     const bankWidth = 5; // Extra buffer zone
     const totalRiverWidth = riverWidth + (bankWidth * 2); // Total area to avoid
     
-    // Bridge properties - based on setupFinishBridge method
-    const bridgeZPosition = 500; // Bridge Z position
-    const bridgeX = 0; // Bridge is centered at X=0
+    // Bridge properties - the course's finish bridge
+    const bridgeZPosition = this.finishBridge ? this.finishBridge.position.z : 500; // Bridge Z position
+    const bridgeX = this.finishBridge ? this.finishBridge.position.x : 0;
     const bridgeWidth = 50; // Bridge width (along X-axis)
     const bridgeLength = 50; // Bridge length (along Z-axis)
     const bridgeBufferRadius = 20; // Buffer around bridge (smaller than for trees)
@@ -720,8 +843,8 @@ class GameEngine {
         attemptCount++;
         
         // Generate random position
-        x = (Math.random() * 2 - 1) * placementRadius;
-        z = (Math.random() * 2 - 1) * placementRadius;
+        x = (random() * 2 - 1) * placementRadius;
+        z = (random() * 2 - 1) * placementRadius;
         
         // 1. Check if outside central exclusion zone
         if (Math.sqrt(x*x + z*z) <= exclusionRadius) {
@@ -754,7 +877,7 @@ class GameEngine {
       }
 
       // Create person at valid position
-      const person = new Person(new THREE.Vector3(x, groundY, z));
+      const person = new Person(new THREE.Vector3(x, groundY, z), random);
       this.scene.add(person.getObject());
     }
     
@@ -768,6 +891,10 @@ class GameEngine {
 
     // Update renderer size
     this.renderer.setSize(window.innerWidth, window.innerHeight);
+
+    if (this.editor) {
+      this.editor.handleResize();
+    }
   }
 
   // Game loop methods
@@ -776,8 +903,7 @@ class GameEngine {
     console.log('Starting game engine loop...');
     this.isRunning = true;
     this.clock.start(); // Ensure clock is running
-    this.lastFrameTime = performance.now(); // Initialize frame limiter time
-    requestAnimationFrame((time) => this.animate(time)); 
+    requestAnimationFrame(() => this.animate()); 
     // NOTE: Actual game start logic (timer, state) is now in startGame()
   }
 
@@ -789,48 +915,64 @@ class GameEngine {
     }
   }
 
-  animate(currentTime) {
+  // One frame per display refresh - the fixed timestep keeps the simulation independent of
+  // the frame rate, so frames are not throttled
+  animate() {
     if (!this.isRunning) return;
 
-    // Frame rate limiting to prevent flashing
-    const elapsed = currentTime - this.lastFrameTime;
-    if (elapsed < this.minFrameMs) {
-      // If frame is too fast, throttle it
-      requestAnimationFrame((time) => this.animate(time));
-      return;
-    }
-    
-    // Update last frame time
-    this.lastFrameTime = currentTime;
-
     // Request next frame first to ensure smoother animation
-    requestAnimationFrame((time) => this.animate(time));
+    requestAnimationFrame(() => this.animate());
 
     try {
-      // Calculate delta time and update elapsed time
-      this.deltaTime = Math.min(this.clock.getDelta(), 0.1); // Cap deltaTime to prevent jumps
+      // Real time since the last frame only feeds the accumulator
+      this.deltaTime = Math.min(this.clock.getDelta(), MAX_FRAME_TIME);
       this.elapsedTime = this.clock.getElapsedTime();
+      this.accumulator += this.deltaTime;
 
-      // Update game state
-      this.update(this.deltaTime, this.elapsedTime);
+      // Advance the simulation in whole fixed steps
+      while (this.accumulator >= SIMULATION_STEP) {
+        this.fixedUpdate(SIMULATION_STEP);
+        this.accumulator -= SIMULATION_STEP;
+      }
 
-      // Render the scene
+      // Update presentation, drawing the aircraft between its last two simulated poses
+      const alpha = this.accumulator / SIMULATION_STEP;
+      this.update(this.deltaTime, this.simulationTime, alpha);
+
+      // Render the scene, then put the aircraft back to its simulated pose
       this.renderer.render(this.scene, this.activeCamera);
+      if (this.aircraft) {
+        this.aircraft.restoreSimulatedState();
+      }
     } catch (error) {
       console.error('Error in animation loop:', error);
     }
   }
 
-  update(deltaTime, elapsedTime) {
+  // One simulation step of exactly `step` seconds - everything that affects the race result
+  fixedUpdate(step) {
+    if (this.isEditing()) return; // The race is frozen while the course is edited
+    try {
+      this.simulation.step(this.inputHandler.getInputState(), step);
+    } catch (error) {
+      console.error('Error in simulation step:', error);
+      this.stop(); // Stop the loop on critical error
+    }
+  }
+
+  // Per-frame presentation: interpolated aircraft pose, camera, scenery and HUD
+  update(deltaTime, elapsedTime, alpha = 1) {
     try {
-      // Update physics objects (only when playing)
-      if (this.aircraft && this.gameState === 'playing') {
-        this.aircraft.update(deltaTime, this.inputHandler.getInputState(), elapsedTime);
-      }
-      
-      // Always ensure the active camera is the aircraft's camera if the aircraft exists
       if (this.aircraft) {
-           this.activeCamera = this.aircraft.getCamera(); 
+        this.aircraft.applyInterpolatedState(alpha);
+
+        // Always ensure the active camera is the aircraft's camera if the aircraft exists
+        this.activeCamera = this.aircraft.getCamera(); 
+      }
+
+      if (this.isEditing()) {
+        this.editor.update(deltaTime);
+        this.activeCamera = this.editor.camera;
       }
 
       // Update other dynamic objects (e.g., clouds, effects)
@@ -839,16 +981,9 @@ class GameEngine {
         cloud.group.position.y = cloud.startY + Math.sin(elapsedTime * cloud.bobSpeed) * cloud.bobHeight;
       });
 
-      // Update target arrow
-      this.updateTargetArrow();
-
-      // Check game logic (collisions, gates) only when playing
-      if (this.gameState === 'playing') {
-        this.checkGateCollisions();
-        // Add other checks for end conditions
-        this.checkGroundCollision();
-        this.checkBridgeCollision();
-        this.checkBridgeCompletion();
+      // Update target arrow (hidden in the editor)
+      if (!this.isEditing()) {
+        this.updateTargetArrow();
       }
 
       // Update HUD (call placeholder)
@@ -859,181 +994,24 @@ class GameEngine {
       this.stop(); // Stop the loop on critical error
     }
   }
-  
-  checkGateCollisions() {
-    if (this.currentGateIndex >= this.gates.length) return; // No more gates to check
-    
-    const currentGate = this.gates[this.currentGateIndex];
-    const aircraftObject = this.aircraft.getObject();
-    
-    // Get world positions
-    const aircraftPosition = new THREE.Vector3();
-    aircraftObject.getWorldPosition(aircraftPosition);
-    const gatePosition = new THREE.Vector3();
-    currentGate.getObject().getWorldPosition(gatePosition);
-
-    // Define a threshold distance *past* the gate to consider it missed
-    const missedThreshold = 20; // If aircraft is 20 units beyond the gate's Z
-    const checkRadius = 30; // Only check collision/miss within this radius
 
-    // Calculate distance
-    const distance = aircraftPosition.distanceTo(gatePosition);
-
-    // Check only if aircraft is reasonably close or has potentially passed
-    if (distance < checkRadius || aircraftPosition.z > gatePosition.z) {
-        
-      // Check for PASS: Intersection with gate bounding box
-      const aircraftBounds = new THREE.Box3().setFromObject(aircraftObject);
-      const gateCollisionBox = currentGate.getCollisionBox(); // Assuming this is the trigger area
-      const gateBounds = new THREE.Box3().setFromObject(gateCollisionBox);
-      
-      if (aircraftBounds.intersectsBox(gateBounds)) {
-        // Check direction (ensure aircraft Z is *approaching* or *at* gate Z, not already far past)
-        // A simple check: aircraft Z should be less than or slightly past gate Z 
-        // Adjust tolerance as needed
-        const passTolerance = 5; 
-        if (aircraftPosition.z < gatePosition.z + passTolerance) {
-            console.log(`Passing through gate ${this.currentGateIndex + 1}`);
-            this.gateCompleted(currentGate);
-            return; // Gate passed, no need to check for miss
-        } else {
-            // Intersecting but already too far past? Treat as miss or ignore?
-            // For now, ignore this edge case, assuming normal pass check is sufficient.
-        }
-      } 
-      
-      // Check for MISS: Aircraft has passed the gate's Z position without intersecting
-      if (aircraftPosition.z > gatePosition.z + missedThreshold) {
-          console.log(`Missed gate ${this.currentGateIndex + 1}`);
-          this.gateMissed(currentGate);
-          // No return here, let the loop continue checking next frame if needed
-      }
-    }
+  // Race time in seconds, counted in simulation steps since the start
+  getRaceTime() {
+    return this.simulation.getRaceTime();
   }
-  
-  gateCompleted(gate) {
-    if (gate.isPassed || gate.isMissed || this.gameState !== 'playing') return; // Only score if playing
-
-    gate.setPassed(); // Use setPassed instead of setCompleted if that exists
-    gate.stopPulseEffect();
-    console.log(`Gate ${gate.id + 1} passed.`);
-
-    // Award points (implement later if needed)
-    // this.score += 100; 
-    // this.showPointsEarned(gate.getObject().position, 100);
 
-    // Advance to the next gate
-    this.currentGateIndex++;
-    
-    if (this.currentGateIndex < this.gates.length) {
-      const nextGate = this.gates[this.currentGateIndex];
-      nextGate.setTarget();
-      nextGate.startPulseEffect();
-      console.log(`Next gate: ${this.currentGateIndex + 1}`);
-    } else {
-      console.log('All gates completed! Continue flying to the bridge to finish the race.');
-      
-      // Don't finish the game yet - just hide the target arrow
-      // Let the player continue to the bridge where the end conditions will be triggered
-      if (this.targetArrow) {
-        this.targetArrow.visible = false;
-      }
-      
-      // Optional: Show a message guiding the player to the bridge
-      const message = "All gates cleared! Now fly through the bridge to finish the race.";
-      this.showGuidanceNotification(message); // Use a different notification style for guidance
-    }
-  }
-
-  // Add method to handle missed gates
-  gateMissed(gate) {
-    if (gate.isPassed || gate.isMissed || this.gameState !== 'playing') return; // Don't mark again, only penalize if playing
-
-    gate.setMissed();
-    gate.stopPulseEffect();
-    console.log(`Gate ${gate.id + 1} missed.`);
-
-    // Apply penalty (Step 12)
-    this.applyTimePenalty(MISSED_GATE_PENALTY, gate.getObject().position);
-
-    // Advance to the next gate anyway
-    this.currentGateIndex++;
-    
-    // Set the next gate as target
-    if (this.currentGateIndex < this.gates.length) {
-      const nextGate = this.gates[this.currentGateIndex];
-      nextGate.setTarget();
-      nextGate.startPulseEffect();
-      console.log(`Next gate (after miss): ${this.currentGateIndex + 1}`);
-    } else {
-      console.log('Last gate missed. Continue flying to the bridge to finish the race.');
-      
-      // Don't finish the game yet - just hide the target arrow
-      // Let the player continue to the bridge where the end conditions will be triggered
-      if (this.targetArrow) {
-        this.targetArrow.visible = false;
-      }
-      
-      // Optional: Show a message guiding the player to the bridge
-      const message = "All gates cleared! Now fly through the bridge to finish the race.";
-      this.showGuidanceNotification(message); // Use a different notification style for guidance
+  // Screen coordinates of a world position; points behind the camera go to the screen centre
+  getScreenPosition(position) {
+    const vector = new THREE.Vector3(position.x, position.y, position.z);
+    vector.project(this.activeCamera);
+    if (vector.z > 1) {
+      return { x: window.innerWidth / 2, y: window.innerHeight / 2 };
     }
-  }
-
-  applyTimePenalty(seconds, position = null) {
-    if (this.gameState !== 'playing') return;
 
-    this.penaltyTime += seconds;
-    console.log(`Applied penalty: +${seconds}s. Total penalty: ${this.penaltyTime}s`);
-    
-    // Show notification on screen
-    const message = `✖ MISSED GATE – Penalty +${seconds}s`;
-    this.showPenaltyNotification(message, position);
-
-    // Optional: Add sound effect here later
-    // this.audioManager.playSound('penalty'); 
-  }
-
-  showPenaltyNotification(message, position = null) {
-    // Create a notification element
-    const notificationElement = document.createElement('div');
-    notificationElement.textContent = message;
-    notificationElement.style.position = 'absolute';
-    notificationElement.style.color = 'red';
-    notificationElement.style.fontSize = '24px';
-    notificationElement.style.fontWeight = 'bold';
-    notificationElement.style.textShadow = '1px 1px 2px rgba(0, 0, 0, 0.7)';
-    notificationElement.style.zIndex = '1010'; // Above other HUD elements
-    notificationElement.style.opacity = '0'; // Start faded out
-    notificationElement.style.transition = 'opacity 0.3s ease-in-out, top 2.5s ease-out';
-    notificationElement.style.textAlign = 'center';
-    notificationElement.style.width = '100%'; // Center horizontally
-    notificationElement.style.pointerEvents = 'none'; // Don't block clicks
-
-    document.body.appendChild(notificationElement);
-
-    // Position calculation (Placeholder: top-center for now)
-    // TODO: Improve positioning based on 3D `position` if provided
-    notificationElement.style.left = '0'; 
-    notificationElement.style.top = '15%'; // Position below potential top HUD
-
-    // Fade in, hold, fade out
-    setTimeout(() => {
-      notificationElement.style.opacity = '1'; // Fade in
-    }, 10); // Small delay to allow transition
-
-    setTimeout(() => {
-      notificationElement.style.opacity = '0'; // Start fade out
-      // Optional: Move up slightly during fade out
-      // notificationElement.style.top = '10%'; 
-    }, 2500); // Hold for 2.5 seconds before fading out
-
-    // Remove element after animation
-    setTimeout(() => {
-      if (notificationElement.parentNode) {
-        notificationElement.parentNode.removeChild(notificationElement);
-      }
-    }, 3000); // Remove after 3 seconds (0.3s fade in + 2.5s hold + 0.2s buffer/fadeout)
+    return {
+      x: (vector.x * 0.5 + 0.5) * window.innerWidth,
+      y: (-(vector.y * 0.5) + 0.5) * window.innerHeight
+    };
   }
 
   addObject(object) {
@@ -1062,9 +1040,8 @@ class GameEngine {
       const aircraftPosition = new THREE.Vector3();
       aircraftObject.getWorldPosition(aircraftPosition);
       
-      // Use the gate's main object position as the target
-      const gatePosition = new THREE.Vector3();
-      targetGate.getObject().getWorldPosition(gatePosition);
+      // Aim at the centre of the opening where the gate is now - moving gates carry it along
+      const gatePosition = targetGate.getTargetPoint();
 
       // Calculate direction from aircraft to gate
       const direction = new THREE.Vector3().subVectors(gatePosition, aircraftPosition).normalize();
@@ -1084,7 +1061,7 @@ class GameEngine {
       // Adjust head size proportionally to length
       this.targetArrow.setLength(arrowLength, arrowLength * 0.2, arrowLength * 0.15); 
 
-      this.targetArrow.visible = true;
+      this.targetArrow.visible = this.showTargetArrow;
     } else {
       // Hide arrow if all gates are passed or aircraft doesn't exist
       this.targetArrow.visible = false;
@@ -1094,495 +1071,549 @@ class GameEngine {
   // --- Game State Methods (To be implemented/refined) ---
 
   setupHUD() {
-    // Remove existing HUD if any (e.g., during restart)
-    const existingHUD = document.getElementById('hud-container');
-    if (existingHUD) {
-      existingHUD.remove();
-    }
+    this.hud = new Hud(this.notificationTimers, {
+      onSwitchPilot: () => this.switchPilot(),
+      onPause: () => this.pauseGame()
+    });
+    this.hud.setPractice(this.practice);
 
-    // Create HUD container
-    this.hudContainer = document.createElement('div');
-    this.hudContainer.id = 'hud-container';
-    this.hudContainer.style.position = 'absolute';
-    this.hudContainer.style.top = '0';
-    this.hudContainer.style.left = '0';
-    this.hudContainer.style.width = '100%';
-    this.hudContainer.style.height = '100%'; // Cover whole screen for centering
-    this.hudContainer.style.pointerEvents = 'none'; // Allow clicks through
-    this.hudContainer.style.zIndex = '1000';
-    this.hudContainer.style.fontFamily = 'Arial, sans-serif';
-    this.hudContainer.style.color = 'white';
-    this.hudContainer.style.textShadow = '1px 1px 2px rgba(0,0,0,0.7)';
-    document.body.appendChild(this.hudContainer);
-
-    this.hudElements = {};
-
-    // Timer display (top-right)
-    const timerElement = document.createElement('div');
-    timerElement.id = 'timer-display';
-    timerElement.style.position = 'absolute';
-    timerElement.style.top = '20px';
-    timerElement.style.right = '20px';
-    timerElement.style.fontSize = '24px';
-    timerElement.textContent = 'Time: 0.0s';
-    this.hudContainer.appendChild(timerElement);
-    this.hudElements.timer = timerElement;
-
-    // Penalty display (below timer? or maybe integrated)
-    // Let's add it below the timer for now.
-    const penaltyElement = document.createElement('div');
-    penaltyElement.id = 'penalty-display';
-    penaltyElement.style.position = 'absolute';
-    penaltyElement.style.top = '50px'; // Below timer
-    penaltyElement.style.right = '20px';
-    penaltyElement.style.fontSize = '18px';
-    penaltyElement.style.color = '#ffdddd'; // Light red
-    penaltyElement.textContent = 'Penalty: 0s';
-    this.hudContainer.appendChild(penaltyElement);
-    this.hudElements.penalty = penaltyElement;
-
-    // Gate counter (top-left)
-    const gateElement = document.createElement('div');
-    gateElement.id = 'gate-counter';
-    gateElement.style.position = 'absolute';
-    gateElement.style.top = '20px';
-    gateElement.style.left = '20px';
-    gateElement.style.fontSize = '20px';
-    gateElement.textContent = 'Gates: 0/0';
-    this.hudContainer.appendChild(gateElement);
-    this.hudElements.gates = gateElement;
-
-    // Game state message (center)
-    const messageElement = document.createElement('div');
-    messageElement.id = 'game-message';
-    messageElement.style.position = 'absolute';
-    messageElement.style.top = '40%';
-    messageElement.style.left = '50%';
-    messageElement.style.transform = 'translate(-50%, -50%)';
-    messageElement.style.fontSize = '36px';
-    messageElement.style.textAlign = 'center';
-    messageElement.style.display = 'block'; // Show initially
-    messageElement.innerHTML = 'Air Race Challenge<br><span style="font-size: 20px">Press SPACE to Start</span>';
-    this.hudContainer.appendChild(messageElement);
-    this.hudElements.message = messageElement;
-
-    // Result screen (center, hidden initially)
-    const resultElement = document.createElement('div');
-    resultElement.id = 'result-screen';
-    resultElement.style.position = 'absolute';
-    resultElement.style.top = '50%';
-    resultElement.style.left = '50%';
-    resultElement.style.transform = 'translate(-50%, -50%)';
-    resultElement.style.backgroundColor = 'rgba(0, 0, 0, 0.7)';
-    resultElement.style.padding = '30px';
-    resultElement.style.borderRadius = '10px';
-    resultElement.style.fontSize = '20px';
-    resultElement.style.textAlign = 'center';
-    resultElement.style.display = 'none'; // Hidden initially
-    resultElement.style.pointerEvents = 'auto'; // Allow clicks on button
-    resultElement.innerHTML = `
-      <h2 id="result-title">FINISH!</h2>
-      <p id="result-reason" style="font-size: 18px; margin-bottom: 20px; display: none;"></p>
-      <p>Time: <span id="result-time">0.0s</span></p>
-      <p>Penalty: <span id="result-penalty">0s</span></p>
-      <p style="font-weight: bold;">Final Time: <span id="result-final-time">0.0s</span></p>
-      <p>Gates: <span id="result-gates">0/0</span></p>
-      <button id="restart-button" style="padding: 10px 20px; margin-top: 20px; font-size: 18px; cursor: pointer;">Restart Race</button>
-    `;
-    this.hudContainer.appendChild(resultElement);
-    this.hudElements.result = resultElement;
-
-    // Give the DOM time to update, then add the event listener
-    setTimeout(() => {
-      const restartButton = document.getElementById('restart-button');
-    if (restartButton) {
-        console.log("Adding click handler to restart button");
-        restartButton.addEventListener('click', () => {
-          console.log("Restart button clicked!");
-            this.restartGame();
-        });
-        
-        // Make button visually interactive to show it's clickable
-        restartButton.style.cursor = 'pointer';
-        restartButton.style.transition = 'background-color 0.3s';
-        restartButton.addEventListener('mouseover', () => {
-          restartButton.style.backgroundColor = '#4CAF50';
-        });
-        restartButton.addEventListener('mouseout', () => {
-          restartButton.style.backgroundColor = '';
-        });
+    this.resultScreen = new ResultScreen(this.leaderboard, this.hud.container, {
+      onRestart: () => this.restartGame()
+    });
+
+    this.mainMenu = new MainMenu(this.hud.container, {
+      leaderboard: this.leaderboard,
+      dailyChallenges: this.dailyChallenges,
+      leaderboardTitle: this.dailyDateKey ? `Daily Challenge ${this.dailyDateKey} - Top 10` : 'Top 10 - Fastest Pilots',
+      showPractice: !this.endless, // Endless runs have no gate to go back to
+      onLeaderboard: (visible) => this.toggleMenuLeaderboard(visible),
+      onDailyChallenges: (visible) => this.toggleDailyChallenges(visible),
+      onSelectDailyChallenge: (dateKey) => this.selectDailyChallenge(dateKey),
+      onEditor: () => this.openEditor(),
+      onPractice: () => this.togglePractice()
+    });
+    this.mainMenu.setPractice(this.practice);
+
+    this.pauseMenu = new PauseMenu(this.hud.container, {
+      onResume: () => this.resumeGame(),
+      onRestart: () => {
+        this.restartGame();
+        this.startGame();
+      },
+      onQuit: () => this.restartGame(),
+      getSettings: () => ({
+        showTargetArrow: this.showTargetArrow
+      }),
+      onSettingChange: (name, value) => this.changeSetting(name, value),
+      getJumpGates: () => (this.simulation.canJumpToGate() ? this.gates.map((gate, index) => `Gate ${index + 1}`) : []),
+      onJumpToGate: (index) => {
+        if (this.simulation.jumpToGate(index)) {
+          this.resumeGame();
+        }
+      }
+    });
+
+    this.applyHUDState(this.gameState);
+    console.log('HUD setup complete');
+  }
+
+  // Space starts the race; the ready screen keys need a pilot; Escape/P pause from anywhere.
+  // The course editor has its own keys.
+  setupKeyBindings() {
+    const onReadyScreen = (action) => () => {
+      if (this.gameState === RaceState.MENU && this.pilot) action();
+    };
+    this.keyBindings = new KeyBindings({
+      Space: () => {
+        if (this.gameState === RaceState.MENU) this.startGame();
+      },
+      KeyL: onReadyScreen(() => this.toggleMenuLeaderboard()),
+      KeyD: onReadyScreen(() => this.toggleDailyChallenges()),
+      KeyE: onReadyScreen(() => this.openEditor()),
+      KeyR: onReadyScreen(() => this.togglePractice()),
+      Escape: () => this.togglePause(),
+      KeyP: () => this.togglePause()
+    }, {
+      isEnabled: () => !this.isEditing()
+    });
+  }
+
+  updateHUD() {
+    if (!this.hud) return; // Check if HUD is initialized
+    this.hud.update(this.simulation);
+  }
+
+  // Show/Hide the HUD and overlays for a race state - called on every state change
+  applyHUDState(state) {
+    if (!this.hud) return; // HUD not built yet
+
+    this.hud.applyState(state, Boolean(this.pilot));
+    this.mainMenu.setVisible(state === RaceState.MENU && Boolean(this.pilot));
+    // Result screen content is filled in by showRaceResult
+    this.resultScreen.setVisible(state === RaceState.CRASHED || state === RaceState.FINISHED);
+    if (state === RaceState.PAUSED) {
+      this.pauseMenu.show();
     } else {
-        console.error('Restart button not found in DOM after adding result screen');
+      this.pauseMenu.hide();
     }
-    }, 100);
-    
-    // Setup space key listener for starting game
-    // Use a flag to prevent multiple listeners if setupHUD is called again
-    if (!this.spaceKeyListenerAdded) {
-        document.addEventListener('keydown', (event) => {
-            if (event.code === 'Space' && this.gameState === 'ready') {
-                this.startGame();
-            }
-        });
-        this.spaceKeyListenerAdded = true; // Mark listener as added
+  }
+
+  // Restore this session's pilot or ask for a callsign
+  setupPilotProfile() {
+    this.startScreen = new StartScreen(this.pilotProfiles, {
+      onPilotSelected: (pilot) => this.setPilot(pilot)
+    });
+
+    const currentPilot = this.pilotProfiles.getCurrentPilot();
+    if (currentPilot) {
+      this.setPilot(currentPilot);
+    } else {
+      this.startScreen.show();
     }
+  }
 
-    console.log('HUD setup complete');
+  setPilot(pilot) {
+    this.pilot = pilot;
+    console.log(`Pilot ready: ${pilot ? pilot.callsign : 'none'}`);
+
+    if (this.hud) {
+      this.hud.setPilot(pilot);
+    }
+    this.applyHUDState(this.gameState); // Menu prompt and leaderboard button need a pilot
   }
 
-  updateHUD() {
-    if (!this.hudElements) return; // Check if HUD is initialized
+  // Go back to the start screen to choose another pilot (not during a race)
+  switchPilot() {
+    if (this.simulation.stateMachine.is(RaceState.COUNTDOWN, RaceState.PLAYING, RaceState.PAUSED)) return;
 
-    const gatesTotal = this.gates.length;
-    const gatesPassed = this.currentGateIndex; // Approximation, could be refined
+    if (this.gameState !== RaceState.MENU) {
+      this.restartGame();
+    }
+    this.toggleMenuLeaderboard(false);
+    this.toggleDailyChallenges(false);
+    this.pilotProfiles.clearCurrentPilot();
+    this.setPilot(null);
+    this.startScreen.show();
+  }
 
-    // Update Gate Counter
-    this.hudElements.gates.textContent = `Gates: ${gatesPassed}/${gatesTotal}`;
+  // Open/close the leaderboard on the ready screen
+  toggleMenuLeaderboard(visible = !this.mainMenu.isLeaderboardVisible()) {
+    if (visible) {
+      this.toggleDailyChallenges(false);
+      this.mainMenu.showLeaderboard(this.courseId);
+    } else {
+      this.mainMenu.hideLeaderboard();
+    }
+  }
 
-    // Update Timer and Penalty only if playing
-    if (this.gameState === 'playing') {
-      const currentTime = this.clock.getElapsedTime() - this.gameStartTime;
-      this.hudElements.timer.textContent = `Time: ${currentTime.toFixed(1)}s`;
-      this.hudElements.penalty.textContent = `Penalty: ${this.penaltyTime}s`;
-      this.hudElements.penalty.style.display = this.penaltyTime > 0 ? 'block' : 'none'; // Show only if penalty > 0
+  // Open/close the daily challenge calendar on the ready screen
+  toggleDailyChallenges(visible = !this.mainMenu.isDailyChallengesVisible()) {
+    if (visible) {
+      this.toggleMenuLeaderboard(false);
+      this.mainMenu.showDailyChallenges(this.pilot, this.dailyDateKey);
+    } else {
+      this.mainMenu.hideDailyChallenges();
     }
+  }
 
-    // Show/Hide elements based on gameState
-    if (this.gameState === 'ready') {
-        this.hudElements.message.style.display = 'block';
-        this.hudElements.result.style.display = 'none';
-        // Reset timer/penalty display for ready state
-        this.hudElements.timer.textContent = 'Time: 0.0s';
-        this.hudElements.penalty.textContent = 'Penalty: 0s';
-        this.hudElements.penalty.style.display = 'none'; 
-    } else if (this.gameState === 'playing') {
-        this.hudElements.message.style.display = 'none';
-        this.hudElements.result.style.display = 'none';
-    } else if (this.gameState === 'finished') {
-        this.hudElements.message.style.display = 'none';
-        this.hudElements.result.style.display = 'block';
-        // Update result screen content (ensure this is done once in finishGame)
+  // Reload on the daily course of dateKey, or on the regular course for null
+  selectDailyChallenge(dateKey) {
+    const params = new URLSearchParams(window.location.search);
+    params.delete('seed');
+    if (dateKey) {
+      params.set('daily', dateKey);
+    } else {
+      params.delete('daily');
     }
+    window.location.search = params.toString();
   }
 
   startGame() {
-    if (this.gameState !== 'ready') return;
+    if (this.gameState !== RaceState.MENU || this.isEditing()) return;
+    if (!this.pilot) {
+      console.log('No pilot selected - showing start screen');
+      this.startScreen.show();
+      return;
+    }
     console.log("Starting game...");
-    this.gameState = 'playing';
-    this.penaltyTime = 0;
-    this.currentGateIndex = 0;
-    this.finalTime = 0;
+    this.toggleMenuLeaderboard(false);
+    this.toggleDailyChallenges(false);
+
+    // Resets aircraft and gates and runs the countdown; the race timer starts on GO
+    // (the HUD follows the state change)
+    this.simulation.start();
+    this.loadBestSplits();
     
-    // Reset aircraft to starting position/state
-    if (this.aircraft) {
-        this.aircraft.reset();
+    // Ensure aircraft controls are active
+    // Assuming InputHandler is managed correctly elsewhere
+
+    console.log("Countdown started at simulation tick:", this.simulation.countdownStartTick);
+  }
+
+  // Practice mode, switched on the ready screen: crashes and misses put the aircraft back
+  // before the last gate passed, nothing is penalised, the pause menu can jump to any gate
+  // and the run is never submitted (see recordRun)
+  togglePractice(enabled = !this.practice) {
+    if (!this.simulation.setPractice(enabled)) return;
+    this.practice = enabled;
+    console.log(`Practice mode ${enabled ? 'on' : 'off'}`);
+
+    this.mainMenu.setPractice(enabled);
+    this.hud.setPractice(enabled);
+  }
+
+  // --- Course editor ---
+
+  isEditing() {
+    return Boolean(this.editor && this.editor.active);
+  }
+
+  // Edit the current course from the ready screen. The race stays frozen until the editor closes.
+  openEditor() {
+    if (this.gameState !== RaceState.MENU || this.isEditing()) return;
+    if (this.endless) {
+      console.log('The course editor is not available in endless mode');
+      return;
     }
-    
-    // Reset gate states
-    this.gates.forEach(gate => gate.reset ? gate.reset() : console.warn('Gate reset method missing')); 
-    
-    // Set first gate target
-    if (this.gates.length > 0) {
-        this.gates[0].setTarget();
-        this.gates[0].startPulseEffect();
+    this.toggleMenuLeaderboard(false);
+    this.toggleDailyChallenges(false);
+
+    if (!this.editor) {
+      this.editor = new CourseEditor({
+        scene: this.scene,
+        domElement: this.renderer.domElement,
+        course: this.course
+      });
+      this.editorPanel = new CourseEditorPanel(document.body, {
+        onAction: (action) => this.handleEditorAction(action),
+        onImport: (text) => this.importEditorCourse(text),
+        onClose: () => this.closeEditor()
+      });
+      this.editor.on('change', (state) => this.editorPanel.render(state));
+      this.editorKeyListener = (event) => this.handleEditorKey(event);
     }
-    
-    this.gameStartTime = this.clock.getElapsedTime();
-    
-    // Update HUD for playing state
-    if (this.hudElements) {
-      this.hudElements.message.style.display = 'none';
-      this.hudElements.result.style.display = 'none';
-      this.hudElements.penalty.style.display = 'none'; // Hide penalty initially
+
+    // The editor shows its own copies of the gates and bridge
+    this.setCourseVisible(false);
+    this.hudContainer.style.display = 'none';
+    this.editor.enable();
+    this.editorPanel.render(this.editor.getState());
+    this.editorPanel.show();
+    document.addEventListener('keydown', this.editorKeyListener);
+    console.log('Course editor opened');
+  }
+
+  closeEditor() {
+    if (!this.isEditing()) return;
+    document.removeEventListener('keydown', this.editorKeyListener);
+    this.editor.disable();
+    this.editorPanel.hide();
+    this.setCourseVisible(true);
+    this.hudContainer.style.display = 'block';
+    this.activeCamera = this.aircraft ? this.aircraft.getCamera() : this.defaultCamera;
+    console.log('Course editor closed');
+  }
+
+  setCourseVisible(visible) {
+    this.gates.forEach(gate => { gate.getObject().visible = visible; });
+    if (this.finishBridge) this.finishBridge.getObject().visible = visible;
+    if (this.targetArrow) this.targetArrow.visible = visible && this.showTargetArrow;
+  }
+
+  handleEditorAction(action) {
+    const editor = this.editor;
+    const actions = {
+      translate: () => editor.setTransformMode('translate'),
+      rotate: () => editor.setTransformMode('rotate'),
+      focus: () => editor.focusSelection(),
+      addGate: () => editor.addGate(),
+      deleteGate: () => editor.deleteGate(),
+      moveEarlier: () => editor.moveGate(-1),
+      moveLater: () => editor.moveGate(1),
+      camera: () => editor.setCameraMode(editor.cameraMode === 'orbit' ? 'free' : 'orbit'),
+      makeFlyable: () => editor.makeFlyable(),
+      orientGates: () => editor.orientGates(),
+      gateType: () => editor.changeGateType(),
+      export: () => this.exportEditorCourse(),
+      fly: () => this.flyEditedCourse()
+    };
+    if (actions[action]) actions[action]();
+  }
+
+  handleEditorKey(event) {
+    if (event.target && ['INPUT', 'TEXTAREA'].includes(event.target.tagName)) return;
+    // Keys the free camera flies with are left to it
+    if (this.editor.cameraMode === 'free' && ['KeyW', 'KeyA', 'KeyS', 'KeyD', 'KeyR', 'KeyF', 'KeyQ', 'KeyE'].includes(event.code)) return;
+
+    const keyActions = {
+      Digit1: 'translate',
+      Digit2: 'rotate',
+      KeyF: 'focus',
+      KeyN: 'addGate',
+      Delete: 'deleteGate',
+      Backspace: 'deleteGate',
+      BracketLeft: 'moveEarlier',
+      BracketRight: 'moveLater',
+      KeyC: 'camera',
+      KeyO: 'orientGates',
+      KeyT: 'gateType'
+    };
+    if (event.code === 'Escape') {
+      this.closeEditor();
+    } else if (keyActions[event.code]) {
+      event.preventDefault();
+      this.handleEditorAction(keyActions[event.code]);
     }
-    
-    // Ensure aircraft controls are active
-    // Assuming InputHandler is managed correctly elsewhere
+  }
+
+  // Download the edited course as <id>.json
+  exportEditorCourse() {
+    const json = this.editor.exportCourse();
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+    link.download = `${this.editor.course.id}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(link.href);
+    console.log(`Course "${this.editor.course.id}" exported`);
+  }
 
-    console.log("Game started at time:", this.gameStartTime);
+  importEditorCourse(text) {
+    try {
+      this.editor.importCourse(text);
+      console.log(`Course "${this.editor.course.id}" imported`);
+    } catch (error) {
+      console.error('Error importing course:', error);
+      this.editorPanel.showMessage(error.message);
+    }
+  }
+
+  // Leave the editor and race on the edited course. A changed layout gets its own course id
+  // (from its gates and finish), so its times never mix with the original course's leaderboard.
+  flyEditedCourse() {
+    const course = this.editor.toJSON();
+    const { gates, finish } = course;
+    if (JSON.stringify({ gates, finish }) !== JSON.stringify({ gates: this.course.gates, finish: this.course.finish })) {
+      course.id = `custom-${hashSeed(JSON.stringify({ gates, finish }))}`;
+      course.name = `${(course.name || 'Course').replace(/ \(edited\)$/, '')} (edited)`;
+      delete course.seed; // No longer what the generator builds from that seed
+    }
+
+    try {
+      this.setCourse(course);
+    } catch (error) {
+      console.error('Error loading the edited course:', error);
+      this.editorPanel.showMessage(error.message);
+      return;
+    }
+    this.closeEditor();
   }
 
+  // Replace the course being raced (ready screen only). Throws CourseValidationError.
+  setCourse(definition) {
+    const previousGates = this.gates;
+    const previousBridge = this.finishBridge;
+    const previousDefinition = this.courseDefinition;
+
+    this.courseDefinition = definition;
+    try {
+      this.setupCourse();
+    } catch (error) {
+      this.courseDefinition = previousDefinition;
+      throw error;
+    }
+
+    previousGates.forEach(gate => this.removeObject(gate));
+    if (previousBridge) this.removeObject(previousBridge);
+
+    this.simulation.setCourse(this.gates, this.finishBridge, this.laps);
+    this.courseId = this.course.id;
+    this.courseSeed = Number.isInteger(this.course.seed) ? this.course.seed : null;
+    if (this.dailyDateKey && this.course.id !== dailyCourseId(this.dailyDateKey)) {
+      this.dailyDateKey = null; // An edited daily course is no longer the daily challenge
+    }
+    this.restartGame();
+  }
+
+  pauseGame() {
+    if (this.simulation.pause()) {
+      console.log(`Game paused at ${this.getRaceTime().toFixed(2)}s`);
+    }
+  }
+
+  resumeGame() {
+    if (this.simulation.resume()) {
+      console.log('Game resumed');
+    }
+  }
+
+  // Escape / P
+  togglePause() {
+    if (this.gameState === RaceState.PAUSED) {
+      this.resumeGame();
+    } else {
+      this.pauseGame();
+    }
+  }
+
+  changeSetting(name, value) {
+    console.log(`Setting ${name}: ${value}`);
+    if (name === 'showTargetArrow') {
+      this.showTargetArrow = value;
+    }
+  }
+
+  // End the race (the simulation ends it by itself on crashes and at the bridge)
   finishGame(endCondition = 'completed', reason = '') {
-    if (this.gameState !== 'playing') return;
+    this.simulation.finish(endCondition, reason);
+  }
+
+  // Show the result screen once the simulation reports the race as finished
+  showRaceResult(result) {
+    const { endCondition, reason } = result;
     console.log(`Finishing game... Condition: ${endCondition}, Reason: ${reason}`);
-    this.gameState = 'finished';
-    this.finalTime = this.clock.getElapsedTime() - this.gameStartTime;
-    const finalAdjustedTime = this.finalTime + this.penaltyTime;
-
-    console.log(`Raw Time: ${this.finalTime.toFixed(2)}s`);
-    console.log(`Penalty: ${this.penaltyTime}s`);
-    console.log(`Final Adjusted Time: ${finalAdjustedTime.toFixed(2)}s`);
-
-    // Update and display results in HUD
-    if (this.hudElements && this.hudElements.result) {
-        // Set result title based on end condition
-        let resultTitle = document.getElementById('result-title');
-        if (resultTitle) {
-            if (endCondition === 'crashed') {
-                resultTitle.textContent = 'CRASHED!';
-                resultTitle.style.color = 'red';
-            } else {
-                resultTitle.textContent = 'FINISH!';
-                resultTitle.style.color = 'green';
-            }
-        }
-        
-        // Set reason text if provided
-        let resultReason = document.getElementById('result-reason');
-        if (resultReason && reason) {
-            resultReason.textContent = reason;
-            resultReason.style.display = 'block';
-        } else if (resultReason) {
-            resultReason.style.display = 'none';
-        }
-        
-        document.getElementById('result-time').textContent = `${this.finalTime.toFixed(1)}s`;
-        document.getElementById('result-penalty').textContent = `${this.penaltyTime}s`;
-        document.getElementById('result-final-time').textContent = `${finalAdjustedTime.toFixed(1)}s`;
-        document.getElementById('result-gates').textContent = `${this.currentGateIndex}/${this.gates.length}`; // Use current index for passed gates
-        this.hudElements.result.style.display = 'block';
-    }
+    console.log(`Raw Time: ${result.rawTime.toFixed(2)}s`);
+    console.log(`Penalty: ${result.penaltyTime}s`);
+    console.log(`Final Adjusted Time: ${result.finalTime.toFixed(2)}s`);
+
+    this.resultScreen.show(result, {
+      pilot: this.pilot,
+      courseLabel: this.getCourseLabel(),
+      bestSplits: this.bestSplits
+    });
 
     // Display a message about the end condition
-    this.showEndConditionMessage(endCondition, reason);
-
-    // Optional: Stop aircraft controls - should be implemented in future
-    // this.inputHandler.disable(); 
+    this.hud.showEndConditionMessage(endCondition, reason);
   }
 
-  // Show message about end condition
-  showEndConditionMessage(endCondition, reason) {
-    let message = '';
-    
-    if (endCondition === 'crashed') {
-      message = `CRASHED: ${reason}`;
+  // Every run is tagged with the pilot who flew it; only completed runs are ranked
+  recordRun(event) {
+    this.lastResult = this.createRunResult(this.simulation.getResult()); // Without the event's tick/type
+    // Practice runs stay off every leaderboard, and never count as the daily challenge run
+    if (event.practice) {
+      this.resultScreen.showRecord('Practice run - not submitted to the leaderboard');
+      this.resultScreen.loadLeaderboard(this.courseId);
+      return;
+    }
+    // An endless run always ends, usually in a crash - its score counts either way
+    if (event.endCondition !== 'completed' && !event.endless) {
+      this.resultScreen.loadLeaderboard(this.courseId);
+      return;
+    }
+
+    if (!this.dailyDateKey) {
+      this.submitRunToLeaderboard(this.lastResult);
+      return;
+    }
+
+    // Daily challenge: only the first completed run of the day goes on the daily leaderboard
+    const run = createRunRecord(this.lastResult);
+    if (this.dailyChallenges.recordOfficialRun(this.dailyDateKey, run.pilotId, run.runId)) {
+      console.log(`Official daily challenge run for ${this.dailyDateKey}: ${run.runId}`);
+      this.submitRunToLeaderboard(run);
     } else {
-      message = `FINISH: ${reason}`;
+      this.resultScreen.showRecord('Practice run - only your first completed run of the day counts');
+      this.resultScreen.loadLeaderboard(this.courseId);
     }
-    
-    const notificationElement = document.createElement('div');
-    notificationElement.textContent = message;
-    notificationElement.style.position = 'absolute';
-    notificationElement.style.top = '30%';
-    notificationElement.style.left = '50%';
-    notificationElement.style.transform = 'translate(-50%, -50%)';
-    notificationElement.style.color = endCondition === 'crashed' ? 'red' : 'green';
-    notificationElement.style.fontSize = '36px';
-    notificationElement.style.fontWeight = 'bold';
-    notificationElement.style.textAlign = 'center';
-    notificationElement.style.textShadow = '2px 2px 4px rgba(0, 0, 0, 0.5)';
-    notificationElement.style.zIndex = '1000';
-    notificationElement.style.fontFamily = 'Arial, sans-serif';
-    notificationElement.style.padding = '20px';
-    notificationElement.style.borderRadius = '10px';
-    notificationElement.style.backgroundColor = 'rgba(0, 0, 0, 0.7)';
-    
-    document.body.appendChild(notificationElement);
-    
-    // Remove notification after 5 seconds
-    setTimeout(() => {
-      if (document.body.contains(notificationElement)) {
-        document.body.removeChild(notificationElement);
+  }
+
+  // Course name, plus the seed that reproduces it for generated courses
+  getCourseLabel() {
+    if (!this.course) return '-';
+    const name = this.course.name || this.course.id;
+    return this.courseSeed !== null ? `${name} (seed ${this.courseSeed})` : name;
+  }
+
+  // Summary of the run that just ended, attributed to the current pilot
+  createRunResult(result) {
+    return {
+      ...result,
+      courseId: this.courseId,
+      pilotId: this.pilot ? this.pilot.id : null,
+      pilotName: this.pilot ? this.pilot.callsign : null
+    };
+  }
+
+  // Hand the finished run to the leaderboard and show rank / personal best
+  async submitRunToLeaderboard(result) {
+    if (!this.leaderboard) return;
+
+    try {
+      const run = await this.scoreOutbox.submit(result);
+      console.log('Run submitted to leaderboard:', run);
+
+      const endless = run.mode === 'endless';
+      const rank = endless
+        ? await this.leaderboard.getEndlessRank(this.courseId, run.gatesPassed, run.distance)
+        : await this.leaderboard.getRank(this.courseId, run.finalTime, run.precisionScore);
+      const personalBest = (await this.leaderboard.getPersonalBest(this.courseId, run.pilotId)) || run;
+      const isNewBest = personalBest.runId === run.runId;
+      const best = endless
+        ? `${personalBest.gatesPassed} gates, ${personalBest.distance} m`
+        : `${personalBest.finalTime.toFixed(1)}s`;
+
+      if (this.simulation.isRaceOver()) {
+        const { runId, finalTime, mode, gatesPassed, distance } = run;
+        this.resultScreen.showRecord(`Rank: #${rank} · Best: ${best}${isNewBest ? ' (New Best!)' : ''}`);
+        this.resultScreen.loadLeaderboard(this.courseId, { runId, rank, finalTime, mode, gatesPassed, distance });
+      }
+    } catch (error) {
+      console.error('Error submitting run to leaderboard:', error);
+      if (this.simulation.isRaceOver()) {
+        if (this.scoreOutbox.pendingCount > 0) {
+          this.resultScreen.showRecord('Result saved - it will be uploaded when the leaderboard is reachable');
+        }
+        this.resultScreen.loadLeaderboard(this.courseId); // Shows the unreachable state
       }
-    }, 5000);
+    }
   }
 
   restartGame() {
     console.log("Restarting game...");
     
-    // Reset game state variables
-    this.penaltyTime = 0;
-    this.currentGateIndex = 0;
-    this.gameStartTime = 0;
-    this.finalTime = 0;
-    
-    // Reset aircraft position/state
+    // Reset aircraft, gates and race state
+    this.simulation.reset();
     if (this.aircraft) {
-      this.aircraft.reset(); // Assuming aircraft has a reset method
       this.activeCamera = this.aircraft.getCamera(); // Re-assign camera after reset
     }
     
-    // Reset gate states
-    this.gates.forEach(gate => gate.reset ? gate.reset() : console.warn('Gate reset method missing')); 
-    
-    // Set the first gate as target again
-    if (this.gates.length > 0) {
-      this.gates[0].setTarget();
-      this.gates[0].startPulseEffect();
-    }
-    
     // Make the target arrow visible again
     if (this.targetArrow) {
       this.targetArrow.visible = true;
     }
     
-    // Set game state to ready
-    this.gameState = 'ready';
-
-    // Update HUD for ready state
-    if (this.hudElements) {
-      this.hudElements.result.style.display = 'none';
-      this.hudElements.message.innerHTML = 'Air Race Challenge<br><span style="font-size: 20px">Press SPACE to Start</span>';
-      this.hudElements.message.style.display = 'block';
-      this.hudElements.timer.textContent = 'Time: 0.0s';
-      this.hudElements.penalty.textContent = 'Penalty: 0s';
-      this.hudElements.penalty.style.display = 'none';
-      this.hudElements.gates.textContent = `Gates: 0/${this.gates.length}`;
+    // Update HUD for the menu (visibility follows the state change to MENU)
+    if (this.hud) {
+      this.resultScreen.reset();
+      this.hud.showReady(this.gates.length);
+      this.applyHUDState(this.gameState);
     }
 
     console.log("Game ready to restart. Press SPACE to begin.");
   }
 
-  // Method to check if the aircraft has touched the ground (end condition 1)
-  checkGroundCollision() {
-    if (!this.aircraft || this.gameState !== 'playing') return;
-    
-    const aircraftObject = this.aircraft.getObject();
-    const aircraftPosition = new THREE.Vector3();
-    aircraftObject.getWorldPosition(aircraftPosition);
-    
-    // Use the actual ground level from createGroundPlane
-    const groundLevel = -5; // Correct ground level
-    
-    // Log aircraft position always to see what's happening
-    console.log(`[DEBUG] Aircraft Y Position: ${aircraftPosition.y.toFixed(2)}, Ground Level: ${groundLevel}`);
-    
-    // Check if aircraft is at or below ground level threshold
-    if (aircraftPosition.y <= groundLevel) {
-      console.log('End condition: Aircraft crashed into the ground!');
-      this.finishGame('crashed', 'Crash! Your aircraft hit the ground');
-    }
-  }
-  
-  // Method to check if the aircraft has crashed into the bridge (end condition 2)
-  checkBridgeCollision() {
-    if (!this.aircraft || !this.finishBridge || this.gameState !== 'playing') return;
-    
-    const aircraftObject = this.aircraft.getObject();
-    const bridgeObject = this.finishBridge.getObject();
-    
-    // Get positions for debugging
-    const aircraftPosition = new THREE.Vector3();
-    aircraftObject.getWorldPosition(aircraftPosition);
-    
-    const bridgePosition = new THREE.Vector3();
-    bridgeObject.getWorldPosition(bridgePosition);
-    
-    // Debug: Log positions when aircraft is near the bridge
-    const distanceToBridge = aircraftPosition.distanceTo(bridgePosition);
-    if (distanceToBridge < 100) {
-      console.log(`[DEBUG] Bridge check - Distance: ${distanceToBridge.toFixed(2)}, Aircraft Z: ${aircraftPosition.z.toFixed(2)}, Bridge Z: ${bridgePosition.z.toFixed(2)}`);
-    }
-    
-    // Create bounding boxes for collision detection
-    const aircraftBounds = new THREE.Box3().setFromObject(aircraftObject);
-    const bridgeBounds = new THREE.Box3().setFromObject(bridgeObject);
-    
-    // Check if the aircraft's bounding box intersects with the bridge's bounding box
-    if (aircraftBounds.intersectsBox(bridgeBounds)) {
-      console.log('End condition: Aircraft crashed into bridge');
-      this.finishGame('crashed', 'Bridge collision');
-    }
-  }
-  
-  // Method to check if the aircraft has completed the course by flying under, next to, or above the bridge
-  checkBridgeCompletion() {
-    if (!this.aircraft || !this.finishBridge || this.gameState !== 'playing') return;
-    
-    const aircraftObject = this.aircraft.getObject();
-    const aircraftPosition = new THREE.Vector3();
-    aircraftObject.getWorldPosition(aircraftPosition);
-    
-    const bridgeObject = this.finishBridge.getObject();
-    const bridgePosition = new THREE.Vector3();
-    bridgeObject.getWorldPosition(bridgePosition);
-    
-    // Enhanced completion thresholds
-    const bridgeZThreshold = bridgePosition.z + 20; // Aircraft must pass 20 units beyond bridge Z position
-    const distanceThreshold = 40; // Must be within 40 units on X axis to count as "through"
-    
-    // Debug: Log when the aircraft is past or approaching the bridge
-    if (aircraftPosition.z > bridgePosition.z - 50 && aircraftPosition.z < bridgePosition.z + 50) {
-      console.log(`[DEBUG] Bridge completion check - Aircraft Z: ${aircraftPosition.z.toFixed(2)}, Bridge Z: ${bridgePosition.z.toFixed(2)}, Aircraft Y: ${aircraftPosition.y.toFixed(2)}`);
-    }
-    
-    // Check if aircraft has passed the bridge's Z position
-    if (aircraftPosition.z > bridgeZThreshold) {
-      // Aircraft is past the bridge's Z position
-      console.log(`[DEBUG] Aircraft passed bridge threshold! Lateral distance: ${Math.abs(aircraftPosition.x - bridgePosition.x).toFixed(2)}`);
-      
-      // Calculate the lateral (X-axis) distance from bridge center
-      const lateralDistance = Math.abs(aircraftPosition.x - bridgePosition.x);
-      
-      // Improved bridge height detection based on actual bridge model
-      const bridgeTopY = bridgePosition.y + 12; // Bridge top at ~12 units above base
-      const bridgeBottomY = bridgePosition.y + 4; // Clear area starts ~4 units above base
-      
-      if (lateralDistance <= distanceThreshold) {
-        // Aircraft is in line with the bridge
-        if (aircraftPosition.y < bridgeBottomY) {
-          // Flew under the bridge
-          console.log('End condition: Aircraft flew under the bridge');
-          this.finishGame('completed', 'Flew under bridge');
-        } else if (aircraftPosition.y > bridgeTopY) {
-          // Flew over the bridge
-          console.log('End condition: Aircraft flew over the bridge');
-          this.finishGame('completed', 'Flew over bridge');
-        } else {
-          // Flew through the bridge arch
-          console.log('End condition: Aircraft flew through the bridge arch');
-          this.finishGame('completed', 'Flew through bridge arch');
-        }
-      } else {
-        // Flew past but not through the bridge (went around it)
-        console.log('End condition: Aircraft flew around the bridge');
-        this.finishGame('completed', 'Flew around bridge');
-      }
-    }
-  }
+  // Splits of the pilot's personal best on this course, the reference of the split deltas.
+  // Fetched as the countdown starts; without a best run (or one stored without splits) no
+  // delta is shown.
+  async loadBestSplits() {
+    this.bestSplits = null;
+    if (!this.leaderboard || !this.pilot || this.practice) return; // Respawns would skew every delta
 
-  // Add a new method for showing guidance/instruction notifications with different styling
-  showGuidanceNotification(message) {
-    // Create a notification element
-    const notificationElement = document.createElement('div');
-    notificationElement.textContent = message;
-    notificationElement.style.position = 'absolute';
-    notificationElement.style.color = '#00BFFF'; // Light blue color
-    notificationElement.style.fontSize = '24px';
-    notificationElement.style.fontWeight = 'bold';
-    notificationElement.style.textShadow = '1px 1px 2px rgba(0, 0, 0, 0.7)';
-    notificationElement.style.zIndex = '1010'; // Above other HUD elements
-    notificationElement.style.opacity = '0'; // Start faded out
-    notificationElement.style.transition = 'opacity 0.3s ease-in-out, top 2.5s ease-out';
-    notificationElement.style.textAlign = 'center';
-    notificationElement.style.width = '100%'; // Center horizontally
-    notificationElement.style.pointerEvents = 'none'; // Don't block clicks
-
-    document.body.appendChild(notificationElement);
-
-    // Position calculation 
-    notificationElement.style.left = '0'; 
-    notificationElement.style.top = '30%'; // Position in middle of screen for better visibility
-
-    // Fade in, hold, fade out
-    setTimeout(() => {
-      notificationElement.style.opacity = '1'; // Fade in
-    }, 10); // Small delay to allow transition
-
-    setTimeout(() => {
-      notificationElement.style.opacity = '0'; // Start fade out
-    }, 5000); // Hold for 5 seconds before fading out (longer than penalty notification)
-
-    // Remove element after animation
-    setTimeout(() => {
-      if (notificationElement.parentNode) {
-        notificationElement.parentNode.removeChild(notificationElement);
-      }
-    }, 5500); // Remove after 5.5 seconds
+    const courseId = this.courseId;
+    try {
+      const personalBest = await this.leaderboard.getPersonalBest(courseId, this.pilot.id);
+      if (courseId !== this.courseId) return; // The course changed meanwhile
+      this.bestSplits = personalBest && Array.isArray(personalBest.splits) ? personalBest.splits : null;
+    } catch (error) {
+      console.error('Error loading personal best splits:', error);
+    }
   }
 
   // EMERGENCY DIRECT TREES - Bypass the Tree class entirely
   createDirectTrees() {
+    const random = this.createSceneryRandom('directTrees');
+
     console.log('Creating 50 direct trees with THREE.js primitives...');
     
     // Ground level
@@ -1610,8 +1641,8 @@ class GameEngine {
     
     // Create additional random trees
     for (let i = 0; i < 40; i++) {
-      const x = (Math.random() * 400) - 200;
-      const z = (Math.random() * 400) - 200;
+      const x = (random() * 400) - 200;
+      const z = (random() * 400) - 200;
       
       // Skip positions near the river (assuming river is roughly at x=0)
       if (Math.abs(x) < 15) continue;
@@ -0,0 +1,45 @@
+// Precision scoring
+// Rewards flying a gate close to its centre. Where the aircraft crossed the gate
+// (distanceFromCentre of a pass, see RaceSimulation.describeGatePass) is scored by ring:
+// the centre ring earns a bonus, the outer ring is neutral. The points add up to the run's
+// precision score, and the share of the best possible score is its precision rating.
+
+// Rings from the centre out, as a share of the gate radius
+const PRECISION_RINGS = Object.freeze([
+  { ring: 'centre', label: 'PERFECT', maxDistance: 1 / 3, points: 100 },
+  { ring: 'middle', label: 'GOOD', maxDistance: 2 / 3, points: 50 },
+  { ring: 'outer', label: 'OK', maxDistance: 1, points: 0 }
+]);
+
+const MAX_GATE_POINTS = PRECISION_RINGS[0].points;
+
+// Ring and points of a gate pass. Returns { ring, label, points, accuracy }, where accuracy
+// is 1 at the dead centre and 0 at the rim.
+function scoreGatePass(distanceFromCentre, radius) {
+  const share = radius > 0 ? distanceFromCentre / radius : 1;
+  const ring = PRECISION_RINGS.find(candidate => share <= candidate.maxDistance)
+    || PRECISION_RINGS[PRECISION_RINGS.length - 1];
+
+  return {
+    ring: ring.ring,
+    label: ring.label,
+    points: ring.points,
+    accuracy: Math.max(0, 1 - share)
+  };
+}
+
+// Precision score as a percentage (0-100) of the best possible score on a course; missed
+// gates count as zero
+function precisionRating(precisionScore, gatesTotal) {
+  if (!gatesTotal) return 0;
+  return Math.round((precisionScore / (gatesTotal * MAX_GATE_POINTS)) * 100);
+}
+
+export {
+  MAX_GATE_POINTS,
+  PRECISION_RINGS,
+  precisionRating,
+  scoreGatePass
+};
+
+export default scoreGatePass;
@@ -0,0 +1,40 @@
+// Race events
+// Names of the events a RaceSimulation emits (and GameEngine.events republishes).
+// Every payload also carries { type, tick, raceTime } - see RaceSimulation.record.
+
+const RaceEvent = Object.freeze({
+  COUNTDOWN: 'countdown', // { count } - 3, 2, 1
+  GO: 'go', // Race timer starts on this tick
+  STARTED: 'started',
+  FALSE_START: 'falseStart', // { penalty } - control input before GO
+  // { gateIndex, gateId, gateType, position, gatePosition, offset { x, y }, distanceFromCentre,
+  //   direction, crossingTime, precision { ring, label, points, accuracy }, precisionScore,
+  //   violations, penalty, lap } - position/crossingTime are where and when the gate was crossed
+  //   (see precision_scoring.js); violations are pylon rules broken, each also a PENALTY
+  GATE_PASSED: 'gatePassed',
+  // Same position fields without precision; position is where the aircraft was, direction and
+  // crossingTime are null
+  GATE_MISSED: 'gateMissed',
+  // { gateIndex, gateId, part, position, outcome, damage } - the aircraft hit a gate's rim,
+  //   connector, number platform, pole or closed iris; outcome is the GateCollision rule in force
+  GATE_HIT: 'gateHit',
+  PENALTY: 'penalty', // { seconds, reason, position, totalPenalty }
+  ALL_GATES_CLEARED: 'allGatesCleared', // { lap, laps } - only the finish bridge (lap line) is left
+  // { lap, lapTime, lapTimes, bestLap, laps } - the lap line was crossed (circuits only, every
+  //   lap including the last); bestLap is the fastest lap so far
+  LAP_COMPLETED: 'lapCompleted',
+  // { index, point, gateIndex, lap, time } - a gate flown ('gate', passed or missed) or the
+  //   bridge crossed ('bridge'); time is the race time there (see split_times.js)
+  SPLIT: 'split',
+  // { reason, gateIndex, position } - practice only: the aircraft was put back before gate
+  //   gateIndex (-1 = the start) after a crash, a miss or a jump ('jump') from the menu
+  RESPAWNED: 'respawned',
+  PAUSED: 'paused',
+  RESUMED: 'resumed',
+  CRASHED: 'crashed', // { reason, position } - followed by FINISHED
+  FINISHED: 'finished' // RaceSimulation.getResult() - every race end, crashed or completed
+});
+
+export { RaceEvent };
+
+export default RaceEvent;
@@ -0,0 +1,779 @@
+// Race simulation
+// Everything that decides the outcome of a race: aircraft physics, gate passes, misses and
+// hits, penalties, crashes and the race timer. It has no DOM or WebGL dependency, so the same
+// race logic runs inside GameEngine and headless in Node (automated tests, bots).
+
+import * as THREE from 'three';
+import Aircraft from '../entities/aircraft.js';
+import Gate from '../entities/gate.js';
+import FinishBridge from '../entities/finish_bridge.js';
+import EventEmitter from '../utils/event_emitter.js';
+import RaceStateMachine, { RaceState } from './race_state_machine.js';
+import { RaceEvent } from './race_events.js';
+import { loadCourse } from './course_loader.js';
+import { precisionRating, scoreGatePass } from './precision_scoring.js';
+
+// Fixed simulation timestep - physics, gate checks and the race timer advance in steps of
+// exactly this size, so the same inputs give the same flight and time at any frame rate
+const SIMULATION_STEP = 1 / 120; // seconds (120 Hz)
+
+// Penalty constants
+const MISSED_GATE_PENALTY = 10; // seconds
+const FALSE_START_PENALTY = 5; // seconds, for control input before GO
+
+// 3-2-1-GO before the race timer starts
+const COUNTDOWN_SECONDS = 3;
+
+const GROUND_LEVEL = -5; // Matches the ground plane in GameEngine.createGroundPlane
+
+// Gate miss detection, in the gate's own frame (see checkGateCollisions)
+const GATE_MISS_DISTANCE = 20; // Beyond the back of the gate without passing = missed
+
+// What hitting a gate's rim, connectors, number platform or poles does (see checkGateHits)
+const GateCollision = Object.freeze({
+  CRASH: 'crash', // The race ends as crashed
+  PENALTY: 'penalty', // Time penalty, the race goes on
+  DAMAGE: 'damage' // The aircraft takes damage and crashes once destroyed
+});
+const GATE_HIT_PENALTY = 5; // seconds
+
+// Pylon gate rules broken on a pass (see entities/pylon_gate.js), in seconds
+const GATE_RULE_PENALTIES = Object.freeze({
+  incorrectLevel: 2, // Twin pylons not passed wings level
+  noKnifeEdge: 2, // Knife-edge pylons not passed rolled to about 90°
+  tooHigh: 2, // A wingtip above the pylon tops
+  wrongSide: 5 // Single pylon rounded on the wrong side
+});
+const GATE_HIT_DAMAGE = 0.25; // Share of the aircraft's strength - four hits destroy it
+
+// Practice respawns put the aircraft this far before a gate, along its facing (see placeBeforeGate)
+const RESPAWN_DISTANCE = 40;
+
+const NO_INPUT = { up: false, down: false, left: false, right: false, rollLeft: false, rollRight: false, space: false };
+
+class RaceSimulation extends EventEmitter {
+  constructor({
+    aircraft,
+    gates = [],
+    finishBridge = null,
+    countdownSeconds = COUNTDOWN_SECONDS, // 0 starts the race straight away
+    falseStartPenalty = FALSE_START_PENALTY, // 0 disables the false-start rule
+    gateCollision = GateCollision.CRASH, // Outcome of hitting a gate (GateCollision)
+    laps = 1, // More than 1 makes a circuit: the gates are flown again after each lap line
+    practice = false, // Crashes and misses respawn the aircraft, no penalties (see respawn)
+    endless = null // EndlessCourse: gates generated ahead without end, a miss limit, no finish
+  }) {
+    super();
+    this.aircraft = aircraft;
+    this.gates = gates;
+    this.finishBridge = finishBridge;
+    this.countdownSeconds = countdownSeconds;
+    this.falseStartPenalty = falseStartPenalty;
+    this.gateCollision = gateCollision;
+    this.laps = laps;
+    this.practice = practice;
+    this.endless = endless;
+
+    this.stateMachine = new RaceStateMachine(RaceState.MENU);
+    this.resumeState = null; // State to return to when a pause ends
+    this.simulationTick = 0; // Number of simulation steps taken so far
+    this.lastStepSize = SIMULATION_STEP; // Length of the latest step, for times within it
+    this.raceStartTick = 0; // Simulation tick at which the race timer started
+    this.countdownStartTick = 0; // Simulation tick at which the countdown started
+    this.eventLog = []; // Every event of the current race, for headless queries
+
+    this.reset();
+  }
+
+  get state() {
+    return this.stateMachine.state;
+  }
+
+  // True once the race has ended, whether crashed or completed
+  isRaceOver() {
+    return this.stateMachine.is(RaceState.CRASHED, RaceState.FINISHED);
+  }
+
+  get simulationTime() {
+    return this.simulationTick * SIMULATION_STEP;
+  }
+
+  // Race time in seconds, counted in simulation steps since the start - 0 until GO, also while
+  // the countdown is paused (raceStartTick is still that of the previous race then)
+  getRaceTime() {
+    if (this.isRaceOver()) return this.finalTime;
+    const racing = this.state === RaceState.PLAYING
+      || (this.state === RaceState.PAUSED && this.resumeState === RaceState.PLAYING);
+    if (!racing) return 0;
+    return (this.simulationTick - this.raceStartTick) * SIMULATION_STEP;
+  }
+
+  // Log an event and notify listeners. The payload gets the tick and race time added.
+  record(type, payload = {}) {
+    const event = { type, tick: this.simulationTick, raceTime: this.getRaceTime(), ...payload };
+    this.eventLog.push(event);
+    this.emit(type, event);
+    return event;
+  }
+
+  getEvents(type = null) {
+    return type ? this.eventLog.filter(event => event.type === type) : this.eventLog.slice();
+  }
+
+  // Put aircraft, gates and counters back to the pre-race state
+  reset() {
+    if (this.state !== RaceState.MENU) {
+      this.stateMachine.transition(RaceState.MENU);
+    }
+    this.currentGateIndex = 0;
+    this.currentLap = 1;
+    this.lapTimes = []; // Seconds of every completed lap
+    this.lapStartTime = 0; // Race time the current lap started at
+    this.gatesPassed = 0; // Over all laps
+    this.gatesMissed = 0;
+    this.splits = []; // Race time at every gate flown and lap line crossed (see split_times.js)
+    this.respawns = 0; // Practice respawns and jumps
+    this.distance = 0; // Flown since GO
+    this.penaltyTime = 0; // Total accumulated penalty time
+    this.precisionScore = 0; // Precision points of the gates passed so far
+    this.finalTime = 0; // Raw race time, without penalties
+    this.endCondition = null;
+    this.endReason = '';
+    this.falseStart = false; // Control input seen during the countdown
+    this.gateContact = null; // Gate part the aircraft is touching - a contact is one hit
+    this.eventLog = [];
+
+    if (this.aircraft) {
+      this.aircraft.reset();
+    }
+
+    // An endless run starts again from the first gates of its seed
+    if (this.endless) {
+      this.gates = this.endless.restart();
+    }
+    this.gates.forEach(gate => gate.reset());
+    if (this.gates.length > 0) {
+      this.gates[0].setTarget();
+      this.gates[0].startPulseEffect();
+    }
+
+    // Collision checks read world matrices, which nothing else updates when running headless
+    this.gates.forEach(gate => gate.getObject().updateMatrixWorld(true));
+    if (this.finishBridge) {
+      this.finishBridge.getObject().updateMatrixWorld(true);
+    }
+  }
+
+  // Fly a different course from now on (e.g. one made in the course editor)
+  setCourse(gates, finishBridge = null, laps = 1) {
+    this.gates = gates;
+    this.finishBridge = finishBridge;
+    this.laps = laps;
+    this.reset();
+  }
+
+  // Practice mode is chosen between races
+  setPractice(practice) {
+    if (this.state !== RaceState.MENU || (practice && this.endless)) return false; // Endless runs have no gate to go back to
+    this.practice = practice;
+    return true;
+  }
+
+  // A circuit is flown for several laps, with the finish bridge as the lap line
+  isCircuit() {
+    return this.laps > 1;
+  }
+
+  // Begin the countdown (or the race itself when there is no countdown)
+  start() {
+    if (this.state !== RaceState.MENU) return false;
+
+    this.reset();
+    if (this.countdownSeconds <= 0) {
+      this.beginRace();
+      return true;
+    }
+
+    this.countdownStartTick = this.simulationTick;
+    this.stateMachine.transition(RaceState.COUNTDOWN);
+    this.record(RaceEvent.COUNTDOWN, { count: this.countdownSeconds });
+    return true;
+  }
+
+  // GO: the race timer starts on this exact tick
+  beginRace() {
+    this.raceStartTick = this.simulationTick;
+    this.stateMachine.transition(RaceState.PLAYING);
+    this.record(RaceEvent.GO);
+    this.record(RaceEvent.STARTED);
+
+    if (this.falseStart) {
+      this.applyTimePenalty(this.falseStartPenalty, 'falseStart');
+    }
+  }
+
+  // The aircraft is held at the start while the count runs down. Emits 'countdown' on
+  // every whole second left ({ count: 3, 2, 1 }) and 'go' when the race begins.
+  updateCountdown(input) {
+    const hasControlInput = input.up || input.down || input.left || input.right || input.rollLeft || input.rollRight;
+    if (hasControlInput && !this.falseStart && this.falseStartPenalty > 0 && !this.practice) {
+      this.falseStart = true;
+      this.record(RaceEvent.FALSE_START, { penalty: this.falseStartPenalty });
+    }
+
+    const ticksPerSecond = Math.round(1 / SIMULATION_STEP);
+    const countdownTicks = Math.round(this.countdownSeconds * ticksPerSecond);
+    const ticksLeft = countdownTicks - (this.simulationTick - this.countdownStartTick);
+
+    if (ticksLeft <= 0) {
+      this.beginRace();
+    } else if (ticksLeft % ticksPerSecond === 0) {
+      this.record(RaceEvent.COUNTDOWN, { count: ticksLeft / ticksPerSecond });
+    }
+  }
+
+  // Freeze the race: while paused step() neither moves the aircraft nor advances the tick,
+  // so the race timer and everything driven by simulation time stand still
+  pause() {
+    if (!this.stateMachine.is(RaceState.COUNTDOWN, RaceState.PLAYING)) return false;
+
+    this.resumeState = this.state;
+    this.stateMachine.transition(RaceState.PAUSED);
+    this.record(RaceEvent.PAUSED);
+    return true;
+  }
+
+  // Continue in the state the race was paused in
+  resume() {
+    if (this.state !== RaceState.PAUSED) return false;
+
+    this.stateMachine.transition(this.resumeState || RaceState.PLAYING);
+    this.record(RaceEvent.RESUMED);
+    return true;
+  }
+
+  // Advance the simulation by one fixed step with the given control input
+  step(input = NO_INPUT, step = SIMULATION_STEP) {
+    if (this.aircraft) {
+      this.aircraft.storePreviousState();
+    }
+
+    if (this.state === RaceState.PAUSED) return;
+    this.lastStepSize = step;
+
+    // Update physics objects (only when playing)
+    if (this.aircraft && this.state === RaceState.PLAYING) {
+      this.aircraft.update(step, input);
+      this.aircraft.getObject().updateMatrixWorld(true);
+      this.distance += this.aircraft.getObject().position.distanceTo(this.aircraft.previousPosition);
+    }
+
+    this.simulationTick++;
+
+    if (this.state === RaceState.COUNTDOWN) {
+      this.updateCountdown(input);
+      return;
+    }
+
+    // Check game logic (collisions, gates) only when playing
+    if (this.state === RaceState.PLAYING) {
+      this.updateGateMotion();
+      this.checkGateCollisions();
+      this.checkGateHits();
+      this.checkGroundCollision();
+      this.checkBridgeCollision();
+      this.checkBridgeCompletion();
+    }
+  }
+
+  // Run until the race ends or maxTicks steps have passed. getInput(tick) supplies the
+  // controls for every step, e.g. from a recorded or scripted input sequence.
+  // Ticks are counted from the start of the countdown.
+  run(getInput = () => NO_INPUT, maxTicks = 120 * 60 * 5) {
+    if (this.state === RaceState.MENU) {
+      this.start();
+    }
+
+    for (let tick = 0; tick < maxTicks && this.stateMachine.is(RaceState.COUNTDOWN, RaceState.PLAYING); tick++) {
+      this.step(getInput(tick) || NO_INPUT);
+    }
+    return this.getResult();
+  }
+
+  getAircraftPosition() {
+    const position = new THREE.Vector3();
+    this.aircraft.getObject().getWorldPosition(position);
+    return position;
+  }
+
+  // Moving gates follow race time, so they are in the same place at the same moment in every
+  // run. They stand still at their start pose until GO. Missed gates fade on race time too.
+  updateGateMotion() {
+    const raceTime = this.getRaceTime();
+    this.gates.forEach(gate => {
+      gate.updateMotion(raceTime);
+      gate.updateMissedFade(raceTime);
+    });
+  }
+
+  checkGateCollisions() {
+    if (this.currentGateIndex >= this.gates.length) return; // No more gates to check
+
+    const currentGate = this.gates[this.currentGateIndex];
+    const position = this.getAircraftPosition();
+
+    // PASS: the path flown this step crosses the gate's opening in the direction the gate
+    // faces (a ring's entry or exit disc, the line between pylons). Crossing it backwards does
+    // not count; pylon rules broken on the way through cost a penalty.
+    const pass = currentGate.getPass(this.aircraft.previousPosition, position, this.aircraft);
+    if (pass) {
+      this.gateCompleted(currentGate, pass.crossing, pass.violations);
+      return; // Gate passed, no need to check for miss
+    }
+
+    // MISS: beyond the back of the gate (in its own frame) without having flown through it
+    const local = currentGate.getObject().worldToLocal(position);
+    if (local.z > currentGate.depth + GATE_MISS_DISTANCE) {
+      this.gateMissed(currentGate);
+    }
+  }
+
+  gateCompleted(gate, crossing = null, violations = []) {
+    if (gate.isPassed || gate.isMissed || this.state !== RaceState.PLAYING) return; // Only score if playing
+
+    gate.setPassed();
+    gate.stopPulseEffect();
+    this.gatesPassed++;
+    const pass = this.describeGatePass(gate, crossing);
+    const precision = scoreGatePass(pass.distanceFromCentre, gate.radius);
+    this.precisionScore += precision.points;
+    console.log(`Gate ${gate.id + 1} passed (${precision.label}, +${precision.points}).`);
+
+    const penalty = this.practice ? 0 : violations.reduce((total, reason) => total + GATE_RULE_PENALTIES[reason], 0);
+    this.record(RaceEvent.GATE_PASSED, {
+      ...pass,
+      gateType: gate.type,
+      precision,
+      precisionScore: this.precisionScore,
+      violations,
+      penalty
+    });
+    this.recordSplit('gate', pass.crossingTime);
+    violations.forEach(reason => this.applyTimePenalty(GATE_RULE_PENALTIES[reason], reason, pass.position));
+    this.advanceToNextGate();
+  }
+
+  gateMissed(gate) {
+    if (gate.isPassed || gate.isMissed || this.state !== RaceState.PLAYING) return; // Don't mark again, only penalize if playing
+
+    gate.setMissed(this.getRaceTime());
+    gate.stopPulseEffect();
+    this.gatesMissed++;
+    console.log(`Gate ${gate.id + 1} missed.`);
+
+    this.record(RaceEvent.GATE_MISSED, {
+      ...this.describeGatePass(gate),
+      penalty: this.practice ? 0 : MISSED_GATE_PENALTY
+    });
+    this.recordSplit('gate', this.getRaceTime());
+    if (this.practice) {
+      this.respawn('missedGate');
+      return;
+    }
+    this.applyTimePenalty(MISSED_GATE_PENALTY, 'missedGate', gate.getObject().position.clone());
+    this.advanceToNextGate();
+
+    if (this.endless && this.gatesMissed >= this.endless.missLimit) {
+      this.finish('completed', `${this.gatesMissed} gates missed - endless run over`);
+    }
+  }
+
+  // Where the aircraft was relative to a gate when it was passed or missed. Offset and distance
+  // from the centre are measured in the gate's own plane (0 = dead centre, gate radius is 15).
+  // A pass is described at the exact crossing (Gate.getCrossing), a miss where the aircraft is.
+  describeGatePass(gate, crossing = null) {
+    const gatePosition = new THREE.Vector3();
+    gate.getObject().getWorldPosition(gatePosition);
+
+    if (crossing) {
+      return {
+        gateIndex: this.currentGateIndex,
+        gateId: gate.id,
+        lap: this.currentLap,
+        position: crossing.point,
+        gatePosition,
+        offset: crossing.offset,
+        distanceFromCentre: crossing.distanceFromCentre,
+        direction: crossing.direction,
+        crossingTime: this.getRaceTime() - (1 - crossing.time) * this.lastStepSize
+      };
+    }
+
+    const position = this.getAircraftPosition();
+    const local = gate.getObject().worldToLocal(position.clone());
+    return {
+      gateIndex: this.currentGateIndex,
+      gateId: gate.id,
+      lap: this.currentLap,
+      position,
+      gatePosition,
+      offset: { x: local.x, y: local.y },
+      distanceFromCentre: Math.hypot(local.x, local.y),
+      direction: null,
+      crossingTime: null
+    };
+  }
+
+  // The aircraft flew into a solid part of a gate (any gate, passed or not). What happens
+  // depends on this.gateCollision; a contact counts once however many steps it lasts.
+  checkGateHits() {
+    if (!this.aircraft || this.state !== RaceState.PLAYING) return;
+
+    const position = this.getAircraftPosition();
+    let hit = null;
+    let hitGate = null;
+    for (const gate of this.gates) {
+      hit = gate.getCollision(position, this.aircraft.collisionRadius);
+      if (hit) {
+        hitGate = gate;
+        break;
+      }
+    }
+
+    const contact = hit ? hit.collider : null;
+    if (contact === this.gateContact) return;
+    this.gateContact = contact;
+    if (hit) {
+      this.gateHit(hitGate, hit);
+    }
+  }
+
+  gateHit(gate, hit) {
+    const damage = this.gateCollision === GateCollision.DAMAGE
+      ? this.aircraft.applyDamage(GATE_HIT_DAMAGE)
+      : this.aircraft.damage;
+    console.log(`Gate ${gate.id + 1} ${hit.part} hit (${this.gateCollision}).`);
+
+    this.record(RaceEvent.GATE_HIT, {
+      gateIndex: this.gates.indexOf(gate),
+      gateId: gate.id,
+      part: hit.part,
+      position: hit.position,
+      outcome: this.gateCollision,
+      damage
+    });
+
+    if (this.gateCollision === GateCollision.PENALTY) {
+      this.applyTimePenalty(GATE_HIT_PENALTY, 'gateHit', hit.position);
+    } else if (this.gateCollision === GateCollision.DAMAGE) {
+      if (damage >= 1) {
+        this.finish('crashed', 'Your aircraft broke up after hitting too many gates');
+      }
+    } else {
+      this.finish('crashed', `You crashed into the ${hit.part} of gate ${gate.id + 1}`);
+    }
+  }
+
+  // Target the next gate, or tell listeners that only the bridge is left
+  advanceToNextGate() {
+    this.currentGateIndex++;
+    if (this.endless) {
+      // New gates ahead, the ones behind disposed of - so the course never runs out
+      this.currentGateIndex = this.endless.extend(this.currentGateIndex);
+    }
+
+    if (this.currentGateIndex < this.gates.length) {
+      const nextGate = this.gates[this.currentGateIndex];
+      nextGate.setTarget();
+      nextGate.startPulseEffect();
+    } else {
+      // Don't finish the race (or lap) yet - the player still has to reach the bridge
+      this.record(RaceEvent.ALL_GATES_CLEARED, { lap: this.currentLap, laps: this.laps });
+    }
+  }
+
+  // Race time at which the current gate was flown ('gate') or the bridge crossed ('bridge'),
+  // for comparison with the splits of the pilot's best run
+  recordSplit(point, time) {
+    const split = {
+      point,
+      gateIndex: point === 'gate' ? this.gates[this.currentGateIndex].id : null, // Course order, also on endless runs
+      lap: this.currentLap,
+      time
+    };
+    this.splits.push(split);
+    this.record(RaceEvent.SPLIT, { ...split, index: this.splits.length - 1 });
+  }
+
+  // Practice runs are never penalised
+  applyTimePenalty(seconds, reason, position = null) {
+    if (this.state !== RaceState.PLAYING || this.practice) return;
+
+    this.penaltyTime += seconds;
+    console.log(`Applied penalty: +${seconds}s. Total penalty: ${this.penaltyTime}s`);
+    this.record(RaceEvent.PENALTY, { seconds, reason, position, totalPenalty: this.penaltyTime });
+  }
+
+  // End condition 1: the aircraft touched the ground
+  checkGroundCollision() {
+    if (!this.aircraft || this.state !== RaceState.PLAYING) return;
+
+    if (this.getAircraftPosition().y <= GROUND_LEVEL) {
+      this.finish('crashed', 'Crash! Your aircraft hit the ground');
+    }
+  }
+
+  // End condition 2: the aircraft crashed into the bridge
+  checkBridgeCollision() {
+    if (!this.aircraft || !this.finishBridge || this.state !== RaceState.PLAYING) return;
+
+    const aircraftBounds = new THREE.Box3().setFromObject(this.aircraft.getObject());
+    const bridgeBounds = new THREE.Box3().setFromObject(this.finishBridge.getObject());
+
+    if (aircraftBounds.intersectsBox(bridgeBounds)) {
+      this.finish('crashed', 'Bridge collision');
+    }
+  }
+
+  // End condition 3: the aircraft flew under, through, over or around the bridge
+  checkBridgeCompletion() {
+    if (!this.aircraft || !this.finishBridge || this.state !== RaceState.PLAYING) return;
+
+    const aircraftPosition = this.getAircraftPosition();
+    const bridgePosition = new THREE.Vector3();
+    this.finishBridge.getObject().getWorldPosition(bridgePosition);
+
+    // Enhanced completion thresholds
+    const bridgeZThreshold = bridgePosition.z + 20; // Aircraft must pass 20 units beyond bridge Z position
+    const distanceThreshold = 40; // Must be within 40 units on X axis to count as "through"
+
+    if (aircraftPosition.z <= bridgeZThreshold) return;
+
+    // On a circuit the bridge is the lap line: it counts when it is crossed going forward,
+    // once every gate of the lap has been flown - and finishes the race after the last lap
+    if (this.isCircuit()) {
+      const crossedLine = this.aircraft.previousPosition.z <= bridgeZThreshold;
+      if (!crossedLine || this.currentGateIndex < this.gates.length) return;
+
+      this.completeLap();
+      if (this.currentLap <= this.laps) return;
+    } else {
+      this.recordSplit('bridge', this.getRaceTime());
+    }
+
+    // Calculate the lateral (X-axis) distance from bridge center
+    const lateralDistance = Math.abs(aircraftPosition.x - bridgePosition.x);
+
+    // Improved bridge height detection based on actual bridge model
+    const bridgeTopY = bridgePosition.y + 12; // Bridge top at ~12 units above base
+    const bridgeBottomY = bridgePosition.y + 4; // Clear area starts ~4 units above base
+
+    if (lateralDistance > distanceThreshold) {
+      this.finish('completed', 'Flew around bridge');
+    } else if (aircraftPosition.y < bridgeBottomY) {
+      this.finish('completed', 'Flew under bridge');
+    } else if (aircraftPosition.y > bridgeTopY) {
+      this.finish('completed', 'Flew over bridge');
+    } else {
+      this.finish('completed', 'Flew through bridge arch');
+    }
+  }
+
+  // Time the lap just flown and, with laps to go, send the aircraft round again: every gate
+  // is back to waiting (moving gates keep moving) and the first one is the target
+  completeLap() {
+    const raceTime = this.getRaceTime();
+    const lapTime = raceTime - this.lapStartTime;
+    this.lapTimes.push(lapTime);
+    this.lapStartTime = raceTime;
+    this.recordSplit('bridge', raceTime);
+    console.log(`Lap ${this.currentLap}/${this.laps}: ${lapTime.toFixed(2)}s`);
+
+    this.record(RaceEvent.LAP_COMPLETED, {
+      lap: this.currentLap,
+      lapTime,
+      lapTimes: this.lapTimes.slice(),
+      bestLap: this.getBestLap(),
+      laps: this.laps
+    });
+
+    this.currentLap++;
+    if (this.currentLap > this.laps) return;
+
+    this.currentGateIndex = 0;
+    this.gates.forEach(gate => gate.resetStatus());
+    if (this.gates.length > 0) {
+      this.gates[0].setTarget();
+      this.gates[0].startPulseEffect();
+    }
+  }
+
+  // Fastest completed lap in seconds, or null before the first lap line
+  getBestLap() {
+    return this.lapTimes.length > 0 ? Math.min(...this.lapTimes) : null;
+  }
+
+  finish(endCondition = 'completed', reason = '') {
+    if (this.state !== RaceState.PLAYING) return;
+
+    // A practice run goes on after a crash, from just before the last gate passed
+    if (this.practice && endCondition === 'crashed') {
+      this.respawn(reason);
+      return;
+    }
+
+    this.finalTime = (this.simulationTick - this.raceStartTick) * SIMULATION_STEP;
+    this.endCondition = endCondition;
+    this.endReason = reason;
+    this.stateMachine.transition(
+      endCondition === 'crashed' ? RaceState.CRASHED : RaceState.FINISHED,
+      { endCondition, reason }
+    );
+    console.log(`Race finished: ${endCondition} (${reason}) in ${this.finalTime.toFixed(2)}s + ${this.penaltyTime}s`);
+
+    if (endCondition === 'crashed') {
+      this.record(RaceEvent.CRASHED, { reason, position: this.getAircraftPosition() });
+    }
+    this.record(RaceEvent.FINISHED, this.getResult());
+  }
+
+  // Practice: instead of ending the run (crash) or moving on (miss), fly again from just
+  // before the last gate passed on this lap - or from the start before the first one
+  respawn(reason) {
+    this.placeBeforeGate(Math.min(this.currentGateIndex, this.gates.length) - 1, reason);
+  }
+
+  // Practice: rehearse a section from any gate (the pause menu's gate list)
+  jumpToGate(index) {
+    if (!this.canJumpToGate() || index < 0 || index >= this.gates.length) return false;
+
+    this.placeBeforeGate(index, 'jump');
+    return true;
+  }
+
+  // Only once the race is running, paused or not
+  canJumpToGate() {
+    if (!this.practice) return false;
+    return this.state === RaceState.PLAYING
+      || (this.state === RaceState.PAUSED && this.resumeState === RaceState.PLAYING);
+  }
+
+  // Put the aircraft RESPAWN_DISTANCE before gate `index` (-1 = at the start pose), repaired and
+  // heading through it. That gate becomes the target; it and every gate after it - and the
+  // previous target - are back to waiting.
+  placeBeforeGate(index, reason) {
+    if (index < 0) {
+      this.aircraft.placeAt(this.aircraft.startPosition, this.aircraft.startHeading);
+    } else {
+      const { position, heading } = this.getRespawnPose(index);
+      this.aircraft.placeAt(position, heading);
+    }
+    this.aircraft.damage = 0;
+    this.aircraft.getObject().updateMatrixWorld(true);
+    this.gateContact = null;
+
+    const targetIndex = Math.max(index, 0);
+    this.gates.slice(Math.min(targetIndex, this.currentGateIndex)).forEach(gate => gate.resetStatus());
+    this.currentGateIndex = targetIndex;
+    if (targetIndex < this.gates.length) {
+      this.gates[targetIndex].setTarget();
+      this.gates[targetIndex].startPulseEffect();
+    }
+
+    this.respawns++;
+    console.log(`Practice: ${reason} - flying again from ${index < 0 ? 'the start' : `gate ${index + 1}`}.`);
+    this.record(RaceEvent.RESPAWNED, { reason, gateIndex: index, position: this.getAircraftPosition() });
+  }
+
+  // Level at the gate's height, heading through it along its facing. A vertical gate has no
+  // level facing, so it is approached along the line from the previous gate (or the start).
+  getRespawnPose(index) {
+    const gate = this.gates[index];
+    const gatePosition = new THREE.Vector3();
+    gate.getObject().getWorldPosition(gatePosition);
+
+    const direction = new THREE.Vector3(0, 0, 1).transformDirection(gate.getObject().matrixWorld);
+    direction.y = 0;
+    if (direction.lengthSq() < 0.01) {
+      const previous = index > 0
+        ? this.gates[index - 1].getObject().getWorldPosition(new THREE.Vector3())
+        : this.aircraft.startPosition.clone();
+      direction.subVectors(gatePosition, previous).setY(0);
+    }
+    direction.normalize();
+
+    return {
+      position: gatePosition.clone().addScaledVector(direction, -RESPAWN_DISTANCE),
+      heading: Math.atan2(-direction.x, -direction.z) // The nose points along local -Z
+    };
+  }
+
+  // Outcome of the current/last race
+  getResult() {
+    // An endless course has no gate count - only the gates flown
+    const gatesTotal = this.endless ? this.gatesPassed + this.gatesMissed : this.gates.length * this.laps;
+    return {
+      endCondition: this.endCondition,
+      reason: this.endReason,
+      rawTime: this.finalTime,
+      penaltyTime: this.penaltyTime,
+      finalTime: this.finalTime + this.penaltyTime,
+      precisionScore: this.precisionScore,
+      precisionRating: precisionRating(this.precisionScore, gatesTotal),
+      damage: this.aircraft ? this.aircraft.damage : 0,
+      gatesPassed: this.gatesPassed,
+      gatesMissed: this.gatesMissed,
+      gatesTotal,
+      laps: this.laps,
+      lapTimes: this.lapTimes.slice(),
+      bestLap: this.getBestLap(),
+      splits: this.splits.slice(),
+      practice: this.practice,
+      respawns: this.respawns,
+      endless: Boolean(this.endless),
+      distance: this.distance
+    };
+  }
+}
+
+// Build a race without any rendering: an Aircraft without input handler (controls come
+// from step/run) on a course definition (see course_loader.js), an EndlessCourse, or on Gates
+// at the given positions with an optional FinishBridge
+function createHeadlessRace({ course = null, gatePositions = [], bridgePosition = null, ...options } = {}) {
+  const aircraft = new Aircraft(null);
+
+  if (options.endless) {
+    aircraft.setStartPose(options.endless.start.position, options.endless.start.heading);
+    return new RaceSimulation({ aircraft, ...options });
+  }
+
+  if (course) {
+    const { gates, finishBridge, start, laps } = loadCourse(course);
+    aircraft.setStartPose(start.position, start.heading);
+    return new RaceSimulation({ aircraft, gates, finishBridge, laps, ...options });
+  }
+
+  const gates = gatePositions.map((position, index) => new Gate(index, position));
+  const finishBridge = bridgePosition
+    ? new FinishBridge(new THREE.Vector3(bridgePosition.x, bridgePosition.y, bridgePosition.z))
+    : null;
+
+  return new RaceSimulation({ aircraft, gates, finishBridge, ...options });
+}
+
+export {
+  SIMULATION_STEP,
+  MISSED_GATE_PENALTY,
+  FALSE_START_PENALTY,
+  GATE_HIT_PENALTY,
+  GATE_HIT_DAMAGE,
+  GATE_RULE_PENALTIES,
+  RESPAWN_DISTANCE,
+  COUNTDOWN_SECONDS,
+  GateCollision,
+  RaceState,
+  RaceEvent,
+  createHeadlessRace
+};
+
+export default RaceSimulation;
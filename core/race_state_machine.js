@@ -0,0 +1,77 @@
+// Race state machine
+// The states a race can be in and the transitions allowed between them. Subscribers get
+// 'change' events plus 'enter:<state>' / 'exit:<state>' instead of polling the state.
+
+import EventEmitter from '../utils/event_emitter.js';
+
+const RaceState = Object.freeze({
+  MENU: 'menu', // Waiting for the player to start
+  COUNTDOWN: 'countdown', // 3-2-1 before the race timer starts
+  PLAYING: 'playing',
+  PAUSED: 'paused',
+  CRASHED: 'crashed', // Race over - ground or bridge collision
+  FINISHED: 'finished', // Race over - course completed
+  REPLAY: 'replay' // Watching a recorded run
+});
+
+// Allowed transitions: from -> [to, ...]
+const TRANSITIONS = Object.freeze({
+  [RaceState.MENU]: [RaceState.COUNTDOWN, RaceState.PLAYING, RaceState.REPLAY],
+  [RaceState.COUNTDOWN]: [RaceState.PLAYING, RaceState.PAUSED, RaceState.MENU],
+  [RaceState.PLAYING]: [RaceState.PAUSED, RaceState.CRASHED, RaceState.FINISHED, RaceState.MENU],
+  [RaceState.PAUSED]: [RaceState.COUNTDOWN, RaceState.PLAYING, RaceState.MENU],
+  [RaceState.CRASHED]: [RaceState.MENU, RaceState.REPLAY],
+  [RaceState.FINISHED]: [RaceState.MENU, RaceState.REPLAY],
+  [RaceState.REPLAY]: [RaceState.MENU]
+});
+
+class RaceStateMachine extends EventEmitter {
+  constructor(initialState = RaceState.MENU) {
+    super();
+    if (!TRANSITIONS[initialState]) {
+      throw new Error(`Unknown race state: ${initialState}`);
+    }
+    this.state = initialState;
+    this.previousState = null;
+  }
+
+  is(...states) {
+    return states.includes(this.state);
+  }
+
+  can(nextState) {
+    return TRANSITIONS[this.state].includes(nextState);
+  }
+
+  // Move to nextState if the transition is allowed. Listeners run in the order
+  // exit:<old> -> enter:<new> -> change. Returns false (and changes nothing) otherwise.
+  transition(nextState, context = {}) {
+    if (!this.can(nextState)) {
+      console.warn(`Race state transition ${this.state} -> ${nextState} is not allowed`);
+      return false;
+    }
+
+    const change = { from: this.state, to: nextState, context };
+    this.emit(`exit:${change.from}`, change);
+
+    this.previousState = change.from;
+    this.state = nextState;
+    console.log(`Race state: ${change.from} -> ${change.to}`);
+
+    this.emit(`enter:${change.to}`, change);
+    this.emit('change', change);
+    return true;
+  }
+
+  onEnter(state, listener) {
+    return this.on(`enter:${state}`, listener);
+  }
+
+  onExit(state, listener) {
+    return this.on(`exit:${state}`, listener);
+  }
+}
+
+export { RaceState, TRANSITIONS };
+
+export default RaceStateMachine;
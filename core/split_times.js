@@ -0,0 +1,48 @@
+// Split times
+// A split is the race time at which a point of the course was reached: a gate flown (passed
+// or missed) or the finish bridge crossed - the lap line on circuits (see
+// RaceSimulation.recordSplit). Splits are raw race time, penalties are not included. A run
+// keeps its splits in its record, so a new run can be compared split by split with the
+// pilot's personal best on the same course: a negative delta is ahead of the best. The splits a
+// run record keeps are normalized by utils/splits.js.
+
+// Name of a split for the HUD and the result table, e.g. 'Gate 3', 'Lap 2 · Gate 3', 'Finish'
+function splitLabel(split, laps = 1) {
+  const point = split.point === 'bridge'
+    ? (split.lap >= laps ? 'Finish' : 'Lap line')
+    : `Gate ${split.gateIndex + 1}`;
+  return laps > 1 ? `Lap ${split.lap} · ${point}` : point;
+}
+
+// Two splits are comparable when they are the same point of the same lap
+function isSameSplit(a, b) {
+  return Boolean(a && b) && a.point === b.point && a.gateIndex === b.gateIndex && a.lap === b.lap;
+}
+
+// Seconds gained (negative) or lost against the best run at split `index` - null when the
+// best run has no matching split
+function splitDelta(splits, bestSplits, index) {
+  const split = splits[index];
+  const bestSplit = bestSplits ? bestSplits[index] : null;
+  if (!isSameSplit(split, bestSplit)) return null;
+  return split.time - bestSplit.time;
+}
+
+// Every split with its delta to the best run, for the result table
+function compareSplits(splits, bestSplits = null) {
+  return splits.map((split, index) => ({ ...split, delta: splitDelta(splits, bestSplits, index) }));
+}
+
+// Delta as shown on screen: '-0.84' ahead, '+0.12' behind
+function formatDelta(delta) {
+  return `${delta < 0 ? '-' : '+'}${Math.abs(delta).toFixed(2)}`;
+}
+
+export {
+  compareSplits,
+  formatDelta,
+  splitDelta,
+  splitLabel
+};
+
+export default compareSplits;
@@ -13,12 +13,24 @@ class Aircraft {
     
     // Create aircraft parts
     this.createAircraftMesh();
-    
+
+    // Heading first, then pitch and roll in the aircraft's own frame - with the default XYZ
+    // order, rotation.y wraps to 0 as soon as the aircraft banks at a heading near 180°
+    this.object.rotation.order = 'YXZ';
+
     // Set initial position (higher starting position)
     this.object.position.set(0, 15, -20); // Start higher up
+
+    // Pose that reset() returns to - set by the course (see setStartPose)
+    this.startPosition = new THREE.Vector3(0, 20, -20); // Start at height 20
+    this.startHeading = 0; // Rotation around Y; 0 = nose along -Z
     
     // Physics properties
     this.forwardSpeed = 5; // Constant forward velocity
+    this.minForwardSpeed = 16.0; // Drag never slows the aircraft below this
+    this.wingSpan = 5.0; // Tip to tip, as modelled in createAircraftMesh
+    this.collisionRadius = 1.5; // Sphere around the aircraft that solid objects (gate rims) must not enter
+    this.damage = 0; // 0 = intact, 1 = destroyed (gate hits in damage mode)
     this.velocity = new THREE.Vector3(0, 0, -this.forwardSpeed); // Forward is negative Z
     this.acceleration = new THREE.Vector3(0, 0, 0);
     this.rotationVelocity = new THREE.Vector3(0, 0, 0);
@@ -26,6 +38,7 @@ class Aircraft {
     // Control parameters - More responsive controls
     this.maxPitchAngle = Math.PI / 3; // 60 degrees max pitch (increased from 45)
     this.maxRollAngle = Math.PI / 6; // 30 degrees max roll
+    this.maxKnifeEdgeRoll = Math.PI / 2; // Roll keys (A/D) roll up to knife-edge
     this.turnRate = 2.5; // Increased turn rate
     this.pitchRate = 1.2; // Higher pitch rate for more responsive controls
     this.verticalSpeed = 2.5; // REDUCED from 5.0 to make it easier to descend
@@ -41,6 +54,7 @@ class Aircraft {
     
     // Movement smoothing
     this.smoothingFactor = 0.2; // Increased for more responsive feel
+    this.inertiaFactor = 0.85; // Amount of inertia (higher = more gradual control)
     
     // Current state
     this.pitch = 0;
@@ -48,6 +62,13 @@ class Aircraft {
     this.yaw = 0;
     this.verticalVelocity = 0;
     this.angularMomentum = new THREE.Vector3(0, 0, 0); // Stores rotational momentum
+
+    // Poses for render interpolation between fixed simulation steps
+    this.previousPosition = this.object.position.clone();
+    this.previousQuaternion = this.object.quaternion.clone();
+    this.simulatedPosition = this.object.position.clone();
+    this.simulatedQuaternion = this.object.quaternion.clone();
+    this.isInterpolated = false;
     
     // Create a separate camera that's not part of the aircraft group
     this.setupChaseCamera();
@@ -211,10 +232,11 @@ class Aircraft {
   }
   
   setupChaseCamera() {
-    // Create a chase camera
+    // Create a chase camera (no window when running headless)
+    const aspect = typeof window !== 'undefined' ? window.innerWidth / window.innerHeight : 16 / 9;
     this.camera = new THREE.PerspectiveCamera(
       65, // FOV - wider field of view
-      window.innerWidth / window.innerHeight,
+      aspect,
       0.1,
       1000
     );
@@ -245,9 +267,10 @@ class Aircraft {
     this.camera.lookAt(lookAtTarget);
   }
   
-  update(deltaTime) {
+  // inputState is optional - without it the input handler is polled
+  update(deltaTime, inputState = null) {
     // Handle user input
-    this.handleControls(deltaTime);
+    this.handleControls(deltaTime, inputState);
     
     // Apply physics
     this.updatePhysics(deltaTime);
@@ -260,9 +283,9 @@ class Aircraft {
     // this.updateCamera();
   }
 
-  handleControls(deltaTime) {
-    // Only process controls if we have an input handler
-    if (!this.inputHandler) return;
+  handleControls(deltaTime, inputState = null) {
+    // Only process controls if we have input (passed in, or from the input handler)
+    if (!inputState && !this.inputHandler) return;
 
     // Reset target values
     this.targetPitch = 0;
@@ -270,13 +293,13 @@ class Aircraft {
     this.targetRoll = 0;
 
     // Get current input state
-    const input = this.inputHandler.getInputState();
+    const input = inputState || this.inputHandler.getInputState();
 
     // Process vertical movement - UP arrow should point nose up, DOWN arrow should point nose down
     if (input.up) {
-      this.targetPitch = -this.pitchRate; // Negative pitch tilts nose up in Three.js
+      this.targetPitch = -this.pitchRate; // Negative pitch tilts nose up (see updatePhysics)
     } else if (input.down) {
-      this.targetPitch = this.pitchRate; // Positive pitch tilts nose down in Three.js
+      this.targetPitch = this.pitchRate; // Positive pitch tilts nose down
     }
 
     // Process horizontal movement - LEFT arrow should turn left, RIGHT arrow should turn right
@@ -295,6 +318,13 @@ class Aircraft {
       this.targetRoll = 0;
     }
 
+    // Roll keys roll past the turning bank, up to knife-edge
+    if (input.rollLeft) {
+      this.targetRoll = this.maxKnifeEdgeRoll;
+    } else if (input.rollRight) {
+      this.targetRoll = -this.maxKnifeEdgeRoll;
+    }
+
     // Apply inertia to controls - gradual movement toward target values
     this.pitch += (this.targetPitch - this.pitch) * this.inertiaFactor * deltaTime;
     this.yaw += (this.targetYaw - this.yaw) * this.inertiaFactor * deltaTime;
@@ -307,24 +337,27 @@ class Aircraft {
 
     // Clamp values to prevent extreme angles
     this.pitch = Math.max(-this.maxPitchAngle, Math.min(this.maxPitchAngle, this.pitch));
-    this.roll = Math.max(-this.maxRollAngle, Math.min(this.maxRollAngle, this.roll));
+    this.roll = Math.max(-this.maxKnifeEdgeRoll, Math.min(this.maxKnifeEdgeRoll, this.roll));
 
     // Limit extreme maneuvers - reduce control effectiveness at high speeds or during extreme angles
-    const extremeManeuverFactor = Math.min(
+    // (never below 0 - a knife-edge roll must not reverse the turn)
+    const extremeManeuverFactor = Math.max(0, Math.min(
       1.0,
       1.0 - (Math.abs(this.pitch) / this.maxPitchAngle) * 0.3 -
             (Math.abs(this.roll) / this.maxRollAngle) * 0.3
-    );
+    ));
 
     // Apply the limit factor to controls
     this.yaw *= extremeManeuverFactor;
   }
 
   updatePhysics(deltaTime) {
-    // Apply aircraft rotation based on current pitch, roll, yaw values
-    this.object.rotation.x = this.pitch;
+    // Apply aircraft rotation based on current pitch, roll, yaw values. The nose points along
+    // -Z, so a positive rotation.x raises it and a positive rotation.y turns it left: negative
+    // pitch (nose up) and negative yaw (left) are applied with the opposite sign.
+    this.object.rotation.x = -this.pitch;
     this.object.rotation.z = this.roll;
-    this.object.rotation.y += this.yaw * deltaTime; // Apply yaw to rotate aircraft left/right
+    this.object.rotation.y -= this.yaw * deltaTime; // Apply yaw to rotate aircraft left/right
 
     // Calculate forward vector based on aircraft's current orientation
     const forwardVector = new THREE.Vector3(0, 0, -1).applyQuaternion(this.object.quaternion); // Forward is -Z
@@ -336,7 +369,7 @@ class Aircraft {
     this.forwardSpeed *= (1 - this.drag * 0.1 * deltaTime);
 
     // Ensure minimum forward speed is maintained
-    this.forwardSpeed = Math.max(16.0, this.forwardSpeed);
+    this.forwardSpeed = Math.max(this.minForwardSpeed, this.forwardSpeed);
 
     // Apply gravity effect (makes aircraft naturally descend)
     // Gravity is stronger when nose is down, less when nose is up
@@ -357,9 +390,6 @@ class Aircraft {
     // Apply gravity (always pushing down) - INCREASED EFFECT
     verticalMovement -= gravityEffect * 1.5; // Increased gravity effect
     
-    // Log position before applying movement
-    console.log(`[DEBUG] Aircraft Position (pre-move): Y=${this.object.position.y.toFixed(2)}, Pitch=${this.pitch.toFixed(2)}, Gravity=${gravityEffect.toFixed(2)}`);
-    
     // Calculate forward movement based on velocity
     const forwardMovement = this.velocity.clone().multiplyScalar(deltaTime);
     
@@ -375,13 +405,12 @@ class Aircraft {
 
     // Apply banking-induced turning effect
     // When aircraft banks, it naturally turns in that direction
+    // (rolling past the turning bank towards knife-edge adds no more turn)
     if (Math.abs(this.roll) > 0.05) {
-      const turnEffect = -this.roll * 0.3 * deltaTime; // Simplified banking effect
+      const bank = Math.max(-this.maxRollAngle, Math.min(this.maxRollAngle, this.roll));
+      const turnEffect = bank * 0.3 * deltaTime; // Simplified banking effect - a left bank turns left
       this.object.rotateY(turnEffect);
     }
-    
-    // Log position after movement
-    console.log(`[DEBUG] Aircraft Position (post-move): Y=${this.object.position.y.toFixed(2)}`);
   }
 
   updateVisuals(deltaTime) {
@@ -407,6 +436,35 @@ class Aircraft {
     // this.camera.lookAt(lookAtPosition);
   // }
   
+  // Remember the pose before a simulation step
+  storePreviousState() {
+    this.previousPosition.copy(this.object.position);
+    this.previousQuaternion.copy(this.object.quaternion);
+  }
+
+  // Show the aircraft between its previous and current simulated pose (alpha 0..1)
+  applyInterpolatedState(alpha) {
+    if (this.isInterpolated) return;
+
+    this.simulatedPosition.copy(this.object.position);
+    this.simulatedQuaternion.copy(this.object.quaternion);
+
+    this.object.position.lerpVectors(this.previousPosition, this.simulatedPosition, alpha);
+    this.object.quaternion.slerpQuaternions(this.previousQuaternion, this.simulatedQuaternion, alpha);
+    this.isInterpolated = true;
+
+    this.updateCamera();
+  }
+
+  // Put the simulated pose back after rendering so physics continues from it
+  restoreSimulatedState() {
+    if (!this.isInterpolated) return;
+
+    this.object.position.copy(this.simulatedPosition);
+    this.object.quaternion.copy(this.simulatedQuaternion);
+    this.isInterpolated = false;
+  }
+
   getObject() {
     return this.object;
   }
@@ -415,15 +473,58 @@ class Aircraft {
     return this.camera;
   }
 
+  // Steady-state flight envelope at full control input, for checking that a course can be
+  // flown (core/course_analysis.js). Mirrors handleControls/updatePhysics, called once per
+  // fixed `step` (SIMULATION_STEP in core/race_simulation.js). Every step the yaw eases towards
+  // the turn rate by k = inertiaFactor * step, and is then scaled by the maneuver limit f, which
+  // at full bank is 0.7. That compounds: yaw = f * (yaw + (turnRate - yaw) * k) settles at
+  // f * k * turnRate / (1 - f + f * k), a small share of the turn rate. The bank itself adds
+  // 0.3 * roll of turn about the banked aircraft's own up axis, cos(roll) of it level.
+  getPerformance(step = 1 / 120) {
+    const k = this.inertiaFactor * step;
+    const f = this.bankIntoTurn ? 0.7 : 1;
+    const steadyYawRate = f * k * this.turnRate / (1 - f + f * k);
+    const bankTurnRate = this.bankIntoTurn ? this.maxRollAngle * 0.3 * Math.cos(this.maxRollAngle) : 0;
+    const maxYawRate = steadyYawRate + bankTurnRate;
+    const speed = Math.max(this.forwardSpeed, this.minForwardSpeed);
+
+    return {
+      speed,
+      maxYawRate, // rad/s
+      minTurnRadius: speed / maxYawRate,
+      maxClimbAngle: this.maxPitchAngle // rad
+    };
+  }
+
+  // Where the aircraft starts (and is put back on reset). heading rotates around Y.
+  setStartPose(position, heading = 0) {
+    this.startPosition.set(position.x, position.y, position.z);
+    this.startHeading = heading;
+  }
+
+  // Add damage (a share of the aircraft's strength). Returns the total, capped at 1 = destroyed.
+  applyDamage(amount) {
+    this.damage = Math.min(1, this.damage + amount);
+    return this.damage;
+  }
+
   // Method to reset aircraft state to initial values
   reset() {
-      // Reset position and rotation - start much higher
-      this.object.position.set(0, 20, -20); // Start at height 20 instead of 10
-      this.object.rotation.set(0, 0, 0); 
-      this.object.quaternion.set(0, 0, 0, 1);
+      // Back to the start pose, intact
+      this.placeAt(this.startPosition, this.startHeading);
+      this.damage = 0;
+
+      console.log("Aircraft reset to initial state at higher altitude.");
+  }
+
+  // Put the aircraft at a pose, wings level at its initial speed (reset, practice respawns).
+  // heading rotates around Y like the start heading.
+  placeAt(position, heading = 0) {
+      this.object.position.copy(position);
+      this.object.rotation.set(0, heading, 0);
 
       // Reset physics state
-      this.velocity.set(0, 0, -this.forwardSpeed); // Reset to initial forward velocity
+      this.velocity.set(0, 0, -this.forwardSpeed).applyQuaternion(this.object.quaternion); // Reset to initial forward velocity
       this.acceleration.set(0, 0, 0);
       this.rotationVelocity.set(0, 0, 0);
       this.verticalVelocity = 0;
@@ -431,11 +532,13 @@ class Aircraft {
       this.pitch = 0;
       this.roll = 0;
       this.yaw = 0;
+
+      // No interpolation from the previous pose
+      this.isInterpolated = false;
+      this.storePreviousState();
       
-      // Update camera immediately to reflect reset position
+      // Update camera immediately to reflect the new position
       this.updateCamera(); 
-      
-      console.log("Aircraft reset to initial state at higher altitude.");
   }
 }
 
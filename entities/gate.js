@@ -2,24 +2,44 @@
 // This will handle the gate obstacles and their collision detection 
 
 import * as THREE from 'three';
+import { distanceToPart, intersectSegmentWithDisc } from '../utils/physics.js';
+
+const GATE_RADIUS = 15; // Default opening radius
+const GATE_DEPTH = 6; // Depth/length of the gate tube
+const MISSED_FADE_DELAY = 1; // Seconds of race time a missed gate stays red before it fades to gray
+
+// Colours of a gate waiting to be flown and of the current target
+const GATE_COLORS = { base: 0xFF7F00, emissive: 0xFF4500, target: 0xFF8C00, targetEmissive: 0xFF8C00 };
 
 class Gate {
-  constructor(id, position, rotation = { x: 0, y: 0, z: 0 }) {
+  constructor(id, position, rotation = { x: 0, y: 0, z: 0 }, { radius = GATE_RADIUS, type = 'ring', side = null, motion = null } = {}) {
     this.id = id;
     this.position = position;
     this.rotation = rotation;
+    this.radius = radius;
+    this.depth = GATE_DEPTH; // The tube runs from z = 0 to z = depth in the gate's own frame
+    this.type = type;
+    this.side = side; // Single pylons: the side of the aircraft the pylon is passed on
+    this.colors = GATE_COLORS; // Gate types with their own colours set these in createGateMesh
     this.isPassed = false;
     this.isMissed = false;
+    this.missedAt = null; // Race time the gate was missed at, until it has faded (see updateMissedFade)
     this.isTarget = false;
+    this.colliders = []; // Solid parts in the gate's own frame (see getCollision)
+    this.motion = motion; // GateMotion of a moving gate, null for a fixed one
+    this.motionTime = 0; // Race time the gate was last moved to (see updateMotion)
+    this.previousMotionTime = 0;
+    this.previousMatrixWorld = new THREE.Matrix4(); // Pose before the latest move
     
     console.log(`Creating Gate ${id + 1}`);
     
     // Create a group to hold all gate parts
     this.object = new THREE.Group();
     
-    // Set position and rotation
+    // Set position and rotation - yaw (y) first, then pitch (x), then roll (z) around the gate's
+    // own axis, so the gate is flown through along its local +Z
     this.object.position.set(position.x, position.y, position.z);
-    this.object.rotation.set(rotation.x, rotation.y, rotation.z);
+    this.object.rotation.set(rotation.x, rotation.y, rotation.z, 'YXZ');
     
     // Create the gate mesh
     this.createGateMesh();
@@ -27,6 +47,10 @@ class Gate {
     // Create bounding box for collision detection
     this.createBoundingBox();
 
+    if (motion && motion.hasIris) {
+      this.createIris();
+    }
+
     // Debug: Ensure all methods are properly attached
     if (typeof this.setCompleted !== 'function') {
       console.error(`Gate ${id + 1} missing setCompleted method!`);
@@ -41,9 +65,9 @@ class Gate {
   
   createGateMesh() {
     // Gate dimensions
-    const gateRadius = 15; // Gate radius (increased from step 11)
+    const gateRadius = this.radius;
     const gateThickness = 1.5; // Wall thickness (increased from step 11)
-    const gateDepth = 6; // Depth/length of the gate (increased from step 11)
+    const gateDepth = GATE_DEPTH;
     
     // Create a tube/torus for the gate
     const orangeColor = 0xFF7F00; // Bright orange color
@@ -65,6 +89,11 @@ class Gate {
     const innerRing = new THREE.Mesh(innerRingGeometry, gateMaterial);
     innerRing.position.z = gateDepth;
     this.object.add(innerRing);
+
+    this.colliders.push(
+      { part: 'rim', shape: 'torus', centre: new THREE.Vector3(0, 0, 0), radius: gateRadius, tube: gateThickness },
+      { part: 'rim', shape: 'torus', centre: new THREE.Vector3(0, 0, gateDepth), radius: gateRadius, tube: gateThickness }
+    );
     
     // Connect the rings with cylinders to form a tube
     const connectorCount = 8; // Number of connectors around the ring
@@ -82,6 +111,13 @@ class Gate {
       connector.rotation.x = Math.PI / 2;
       
       this.object.add(connector);
+      this.colliders.push({
+        part: 'connector',
+        shape: 'capsule',
+        start: new THREE.Vector3(x, y, 0),
+        end: new THREE.Vector3(x, y, gateDepth),
+        radius: gateThickness
+      });
     }
     
     // Add a number label to identify the gate
@@ -96,16 +132,23 @@ class Gate {
     });
   }
   
-  createGateNumber() {
+  // Number plate at `height` above the gate centre, `x` to the side of it
+  createGateNumber(height = this.radius + 3, x = 0) {
     // Create a platform for the number
     const platformGeometry = new THREE.BoxGeometry(4, 4, 0.5);
     const platformMaterial = new THREE.MeshStandardMaterial({ color: 0xFFFFFF });
     const platform = new THREE.Mesh(platformGeometry, platformMaterial);
     
     // Position the platform above the gate
-    platform.position.y = 18;
+    platform.position.set(x, height, 0);
     
     this.object.add(platform);
+    this.colliders.push({
+      part: 'platform',
+      shape: 'box',
+      centre: platform.position.clone(),
+      halfSize: new THREE.Vector3(2, 2, 0.25)
+    });
     
     // Create number texture
     const textureLoader = new THREE.TextureLoader();
@@ -122,7 +165,7 @@ class Gate {
     const numberMesh = new THREE.Mesh(numberGeometry, basicMaterial);
     
     // Position number
-    numberMesh.position.y = 18;
+    numberMesh.position.set(x, height, 0);
     numberMesh.position.z = 0.26;
     
     // Function to create a data URL for the number
@@ -150,18 +193,20 @@ class Gate {
       callback(texture);
     };
     
-    // Attempt to create the number texture
-    try {
-      createNumberTexture(gateNumber, (texture) => {
-        numberMesh.material = new THREE.MeshBasicMaterial({
-          map: texture,
-          transparent: true,
-          side: THREE.DoubleSide
+    // Attempt to create the number texture (needs a DOM canvas - headless keeps the basic material)
+    if (typeof document !== 'undefined') {
+      try {
+        createNumberTexture(gateNumber, (texture) => {
+          numberMesh.material = new THREE.MeshBasicMaterial({
+            map: texture,
+            transparent: true,
+            side: THREE.DoubleSide
+          });
         });
-      });
-    } catch (error) {
-      console.warn('Failed to create gate number texture:', error);
-      // Fallback to using the basic material
+      } catch (error) {
+        console.warn('Failed to create gate number texture:', error);
+        // Fallback to using the basic material
+      }
     }
     
     this.object.add(numberMesh);
@@ -175,8 +220,8 @@ class Gate {
   
   createBoundingBox() {
     // Create an invisible box for collision detection
-    const gateRadius = 15;
-    const gateDepth = 6;
+    const gateRadius = this.radius;
+    const gateDepth = GATE_DEPTH;
     
     // Create a slightly larger box than the visible gate
     const boxGeometry = new THREE.BoxGeometry(gateRadius * 2, gateRadius * 2, gateDepth);
@@ -206,27 +251,101 @@ class Gate {
     
     // Exit plane (back)
     this.exitPlane = new THREE.Mesh(planeGeometry, planeMaterial);
-    this.exitPlane.position.z = gateDepth + 0.5;
+    this.exitPlane.position.z = this.depth + 0.5;
     this.object.add(this.exitPlane);
   }
   
-  // Method to reset the gate state and appearance
+  // Iris blades across the front of the ring: sectors that shrink back into the rim as the
+  // iris opens. Whatever of the opening they still cover is a solid 'iris' part.
+  createIris() {
+    const bladeCount = 8;
+    const sector = (Math.PI * 2) / bladeCount;
+    const bladeMaterial = new THREE.MeshStandardMaterial({
+      color: this.colors.base,
+      roughness: 0.5,
+      metalness: 0.6,
+      side: THREE.DoubleSide
+    });
+
+    this.irisBlades = [];
+    for (let i = 0; i < bladeCount; i++) {
+      const angle = (i + 0.5) * sector;
+      const rimX = this.radius * Math.cos(angle);
+      const rimY = this.radius * Math.sin(angle);
+
+      // Pivot on the rim, so scaling the blade down pulls it back towards the rim
+      const bladeGeometry = new THREE.CircleGeometry(this.radius, 4, i * sector, sector);
+      bladeGeometry.translate(-rimX, -rimY, 0);
+      const blade = new THREE.Mesh(bladeGeometry, bladeMaterial);
+      blade.position.set(rimX, rimY, 0);
+      this.object.add(blade);
+      this.irisBlades.push(blade);
+    }
+
+    this.irisCollider = { part: 'iris', shape: 'disc', centre: new THREE.Vector3(0, 0, 0), radius: this.radius, innerRadius: 0 };
+    this.colliders.push(this.irisCollider);
+    this.updateIris(this.motion.getIrisOpening(0));
+  }
+
+  // Open the iris to `opening` (0 = closed, 1 = wide open)
+  updateIris(opening) {
+    if (!this.irisBlades) return;
+
+    const bladeScale = Math.max(1 - opening, 0.001); // A zero scale makes a singular matrix
+    this.irisBlades.forEach(blade => {
+      blade.scale.setScalar(bladeScale);
+      blade.visible = opening < 1;
+    });
+    this.irisCollider.innerRadius = opening * this.radius;
+  }
+
+  // Move the gate to where its motion puts it at race time `time` (see GateMotion). The pose
+  // before the move is kept, so passes are detected against the gate's own movement as well.
+  updateMotion(time) {
+    this.previousMatrixWorld.copy(this.object.matrixWorld);
+    this.previousMotionTime = this.motionTime;
+    this.motionTime = time;
+    if (!this.motion) return;
+
+    const offset = this.motion.getOffset(time);
+    this.object.position.set(this.position.x + offset.x, this.position.y + offset.y, this.position.z + offset.z);
+    this.object.rotation.set(this.rotation.x, this.rotation.y, this.rotation.z + this.motion.getSpin(time), 'YXZ');
+    this.updateIris(this.motion.getIrisOpening(time));
+    this.object.updateMatrixWorld(true);
+  }
+
+  // Back to the pose at the start of the race
+  resetMotion() {
+    this.motionTime = 0;
+    this.updateMotion(0);
+    this.object.updateMatrixWorld(true);
+    this.previousMatrixWorld.copy(this.object.matrixWorld);
+    this.previousMotionTime = 0;
+  }
+
+  // Method to reset the gate state, appearance and motion
   reset() {
+    this.resetStatus();
+    this.resetMotion();
+  }
+
+  // Back to waiting to be flown, in the default colour - e.g. at the start of a lap
+  resetStatus() {
     this.isPassed = false;
     this.isMissed = false;
+    this.missedAt = null;
     this.isTarget = false;
     this.stopPulseEffect(); // Stop any pulsing
 
-    // Reset visual appearance to default orange
-    const orangeColor = 0xFF7F00; 
+    // Reset visual appearance to the default colour (orange for a ring)
     this.object.traverse((child) => {
       if (child instanceof THREE.Mesh && child.material.color) {
         if (child.material.emissive) {
-          child.material.emissive.set(0xFF4500); // Default emissive
+          child.material.emissive.set(this.colors.emissive); // Default emissive
           child.material.emissiveIntensity = 0.3;
         }
         if (!child.material.map) { // Don't change texture-mapped materials
-          child.material.color.set(orangeColor);
+          child.material.color.set(this.colors.base);
         }
         // Ensure transparency is reset if it was changed
         if (child.material.transparent && child.material.opacity < 1) {
@@ -259,9 +378,11 @@ class Gate {
     // Optionally add particle effect here
   }
   
-  setMissed() {
+  // Missed at race time `time`: red until MISSED_FADE_DELAY later, then gray (updateMissedFade)
+  setMissed(time = this.motionTime) {
     // Change appearance when gate is missed
     this.isMissed = true;
+    this.missedAt = time;
     this.isTarget = false;
     
     // Change color to red and then to gray
@@ -277,24 +398,29 @@ class Gate {
       }
     });
     
-    // After a short delay, fade to gray
-    setTimeout(() => {
-      this.object.traverse((child) => {
-        if (child instanceof THREE.Mesh && child.material.color) {
-          if (child.material.emissive) {
-            child.material.emissive.set(0x444444); // Gray glow
-            child.material.emissiveIntensity = 0.2;
-          }
-          if (!child.material.map) { // Don't change texture-mapped materials
-            child.material.color.set(0x888888); // Gray
-          }
-          if (child.material.transparent === false) {
-            child.material.transparent = true;
-          }
-          child.material.opacity = 0.5; // Semi-transparent
+  }
+
+  // Fade a missed gate to gray once MISSED_FADE_DELAY of race time has passed. Called every
+  // simulation step, so the fade waits while the race is paused (a new lap resets the gate).
+  updateMissedFade(time) {
+    if (this.missedAt === null || time - this.missedAt < MISSED_FADE_DELAY) return;
+    this.missedAt = null;
+
+    this.object.traverse((child) => {
+      if (child instanceof THREE.Mesh && child.material.color) {
+        if (child.material.emissive) {
+          child.material.emissive.set(0x444444); // Gray glow
+          child.material.emissiveIntensity = 0.2;
         }
-      });
-    }, 1000);
+        if (!child.material.map) { // Don't change texture-mapped materials
+          child.material.color.set(0x888888); // Gray
+        }
+        if (child.material.transparent === false) {
+          child.material.transparent = true;
+        }
+        child.material.opacity = 0.5; // Semi-transparent
+      }
+    });
   }
   
   // Add compatibility method for the engine
@@ -311,11 +437,11 @@ class Gate {
     this.object.traverse((child) => {
       if (child instanceof THREE.Mesh && child.material.color) {
         if (child.material.emissive) {
-          child.material.emissive.set(0xFF8C00); // Orange glow
+          child.material.emissive.set(this.colors.targetEmissive); // Glow
           child.material.emissiveIntensity = 0.6;
         }
         if (!child.material.map) { // Don't change texture-mapped materials
-          child.material.color.set(0xFF8C00); // Bright orange
+          child.material.color.set(this.colors.target); // Bright orange for a ring
         }
       }
     });
@@ -372,6 +498,72 @@ class Gate {
   getExitPlane() {
     return this.exitPlane;
   }
+
+  // First crossing of the entry or exit plane by the segment from -> to (world positions, e.g.
+  // the aircraft's previous and current position), through the opening or not - see
+  // intersectSegmentWithDisc. Adds plane: 'entry' or 'exit'. Null if neither plane is crossed.
+  getCrossing(from, to) {
+    const start = this.followMotion(from);
+    const crossings = [['entry', this.entryPlane], ['exit', this.exitPlane]]
+      .map(([plane, mesh]) => {
+        const crossing = intersectSegmentWithDisc(start, to, mesh, this.radius);
+        return crossing && { ...crossing, plane };
+      })
+      .filter(Boolean)
+      .sort((a, b) => a.time - b.time);
+    return crossings[0] || null;
+  }
+
+  // Pass of the gate by the path from -> to (see getCrossing), or null. Returns
+  // { crossing, violations }: violations are the penalty reasons of rules broken on the way
+  // through (see RaceSimulation). A ring only has to be flown through, in its direction - and
+  // with an iris, where the blades are open at the moment it is crossed. Pylon gates
+  // (pylon_gate.js) also take the aircraft, for their attitude and height rules.
+  getPass(from, to) {
+    const crossing = this.getCrossing(from, to);
+    if (!crossing || !crossing.inside || crossing.direction <= 0) return null;
+    const opening = this.getIrisOpening(crossing.time) * this.radius;
+    if (opening <= 0 || crossing.distanceFromCentre > opening) return null; // Closed, even at the dead centre
+    return { crossing, violations: [] };
+  }
+
+  // A world position the aircraft had before the gate's latest move, carried along with the
+  // gate: a path tested against the gate as it is now is then the path flown relative to it,
+  // so a moving gate cannot slip past the aircraft between two steps
+  followMotion(position) {
+    if (!this.motion) return position;
+    const previousInverse = this.previousMatrixWorld.clone().invert();
+    return position.clone().applyMatrix4(previousInverse).applyMatrix4(this.object.matrixWorld);
+  }
+
+  // How far the iris was open `fraction` of the way through the latest step (1 without one)
+  getIrisOpening(fraction = 1) {
+    if (!this.motion) return 1;
+    const time = this.previousMotionTime + (this.motionTime - this.previousMotionTime) * fraction;
+    return this.motion.getIrisOpening(time);
+  }
+
+  // Centre of the opening as the gate is now (world) - where the aircraft should be heading
+  getTargetPoint() {
+    return this.object.localToWorld(new THREE.Vector3(0, 0, this.depth / 2));
+  }
+
+  // The nearest solid part (rim, connector, number platform, pole...) within `clearance` of a
+  // world position - e.g. the aircraft's position and its collision radius - or null.
+  // Returns { part, collider, distance, position }.
+  getCollision(position, clearance = 0) {
+    const local = this.object.worldToLocal(position.clone());
+    let nearest = null;
+    this.colliders.forEach(collider => {
+      const distance = distanceToPart(local, collider);
+      if (distance <= clearance && (!nearest || distance < nearest.distance)) {
+        nearest = { part: collider.part, collider, distance, position: position.clone() };
+      }
+    });
+    return nearest;
+  }
 }
 
-export default Gate; 
+export { GATE_COLORS, GATE_DEPTH, GATE_RADIUS };
+
+export default Gate;
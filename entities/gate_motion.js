@@ -0,0 +1,66 @@
+// Gate motion
+// Animated behaviours of the gates of advanced courses, defined per gate in the course
+// ("motion", see course_loader.js):
+//   oscillate - the gate swings back and forth along a straight path through its position
+//   spin      - the gate turns about its own axis (the direction it is flown through)
+//   iris      - blades close the opening of a ring, open only for part of every period
+// Everything is a function of race time (RaceSimulation.getRaceTime), never of frame time, so
+// every run - and every replay of one - sees the gates in the same place at the same moment.
+//
+// "motion": {
+//   "oscillate": { "offset": { x, y, z }, "period": 4, "phase": 0 }, // swings +-offset (world units)
+//   "spin": { "speed": 45 },                                         // degrees per second
+//   "iris": { "period": 6, "open": 3, "phase": 0 }                   // open for `open` s of each period
+// }
+// phase shifts a cycle by a share (0-1) of its period.
+
+const GATE_MOTIONS = ['oscillate', 'spin', 'iris'];
+const IRIS_TRANSITION = 0.5; // Seconds the blades take to open, and again to close
+
+const toRadians = degrees => degrees * Math.PI / 180;
+
+// Seconds into the current cycle of a periodic motion
+function cycleTime({ period, phase = 0 }, time) {
+  const cycle = (time / period + phase) % 1;
+  return (cycle < 0 ? cycle + 1 : cycle) * period;
+}
+
+class GateMotion {
+  constructor({ oscillate = null, spin = null, iris = null } = {}) {
+    this.oscillate = oscillate;
+    this.spin = spin;
+    this.iris = iris;
+  }
+
+  get hasIris() {
+    return Boolean(this.iris);
+  }
+
+  // Offset of the gate from its course position at `time`, in world units
+  getOffset(time) {
+    if (!this.oscillate) return { x: 0, y: 0, z: 0 };
+
+    const { offset, period, phase = 0 } = this.oscillate;
+    const swing = Math.sin(2 * Math.PI * (time / period + phase));
+    return { x: offset.x * swing, y: offset.y * swing, z: offset.z * swing };
+  }
+
+  // Turn about the gate's axis at `time`, in radians on top of its course roll
+  getSpin(time) {
+    return this.spin ? toRadians(this.spin.speed) * time : 0;
+  }
+
+  // How far the iris is open at `time`: 0 = closed, 1 = wide open (always 1 without an iris).
+  // The blades open at the start of the open window and close again by its end.
+  getIrisOpening(time) {
+    if (!this.iris) return 1;
+
+    const elapsed = cycleTime(this.iris, time);
+    if (elapsed >= this.iris.open) return 0;
+    return Math.min(1, elapsed / IRIS_TRANSITION, (this.iris.open - elapsed) / IRIS_TRANSITION);
+  }
+}
+
+export { GATE_MOTIONS, GateMotion, IRIS_TRANSITION };
+
+export default GateMotion;
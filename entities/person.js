@@ -1,8 +1,10 @@
 import * as THREE from 'three';
 
 class Person {
-  constructor(position) {
+  // random: number source for the clothing colours (a seeded one makes them reproducible)
+  constructor(position, random = Math.random) {
     this.position = position;
+    this.random = random;
     this.object = new THREE.Group();
     this.object.position.copy(position);
 
@@ -11,6 +13,7 @@ class Person {
   }
 
   createPersonModel() {
+    const random = this.random;
     const headSize = 0.5;
     const bodyHeight = 0.8;
     const bodyWidth = 0.6;
@@ -19,15 +22,15 @@ class Person {
 
     // Simple materials with random-ish colors
     const headMaterial = new THREE.MeshStandardMaterial({ 
-      color: new THREE.Color(Math.random() * 0.5 + 0.5, Math.random() * 0.5 + 0.5, Math.random() * 0.5 + 0.5), // Skin tones
+      color: new THREE.Color(random() * 0.5 + 0.5, random() * 0.5 + 0.5, random() * 0.5 + 0.5), // Skin tones
       roughness: 0.8 
     }); 
     const bodyMaterial = new THREE.MeshStandardMaterial({ 
-      color: new THREE.Color(Math.random(), Math.random(), Math.random()), // Random shirt color
+      color: new THREE.Color(random(), random(), random()), // Random shirt color
       roughness: 0.8 
     }); 
     const legMaterial = new THREE.MeshStandardMaterial({ 
-      color: new THREE.Color(Math.random() * 0.3, Math.random() * 0.3, Math.random() * 0.3 + 0.4), // Darker pants color
+      color: new THREE.Color(random() * 0.3, random() * 0.3, random() * 0.3 + 0.4), // Darker pants color
       roughness: 0.8 
     });
 
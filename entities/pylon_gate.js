@@ -0,0 +1,202 @@
+// Pylon gates
+// Air race gates made of inflatable pylons, flown alongside the torus Gate:
+//   'pylons'    - twin pylons (blue), passed between them with the wings level
+//   'knifeEdge' - narrow twin pylons (red), passed between them rolled to about 90°
+//   'pylon'     - a single pylon (yellow), rounded with it on the given side of the aircraft
+// All of them are passed by crossing the line of the pylons along the gate's facing (local +Z)
+// below the pylon tops. Breaking a rule still counts as a pass, with a penalty reason that
+// RaceSimulation turns into a time penalty.
+
+import * as THREE from 'three';
+import Gate from './gate.js';
+import { intersectSegmentWithDisc } from '../utils/physics.js';
+
+const GROUND_LEVEL = -5; // Matches the ground plane in GameEngine.createGroundPlane
+const PYLON_TOP = 10; // Height of the pylon tops above the gate position
+const PYLON_RADIUS = 1.2; // At the base; the pylon tapers towards the top
+const PYLON_TOP_RADIUS = 0.5;
+
+// Default radius of each type: half the gap between twin pylons, or how far from a single
+// pylon it may be rounded
+const PYLON_GATE_RADIUS = 12;
+const KNIFE_EDGE_GATE_RADIUS = 6;
+const SINGLE_PYLON_RADIUS = 40;
+
+const LEVEL_BANK_TOLERANCE = 15; // degrees of roll still counted as level
+const KNIFE_EDGE_TOLERANCE = 20; // degrees either side of a 90° roll
+
+const PYLON_COLORS = {
+  pylons: { base: 0x1E90FF, emissive: 0x0050A0, target: 0x40A8FF, targetEmissive: 0x1E90FF },
+  knifeEdge: { base: 0xE53935, emissive: 0x8B0000, target: 0xFF5A4F, targetEmissive: 0xE53935 },
+  pylon: { base: 0xFFD700, emissive: 0x806000, target: 0xFFE866, targetEmissive: 0xFFD700 }
+};
+
+const toDegrees = radians => radians * 180 / Math.PI;
+
+// Bank angle of the aircraft in degrees (0 = wings level, 90 = knife-edge either way)
+function bankAngle(aircraft) {
+  return Math.abs(toDegrees(aircraft.roll));
+}
+
+class TwinPylonGate extends Gate {
+  constructor(id, position, rotation, options = {}) {
+    super(id, position, rotation, {
+      ...options,
+      radius: options.radius || PYLON_GATE_RADIUS,
+      type: options.type || 'pylons'
+    });
+  }
+
+  createGateMesh() {
+    this.depth = 0; // Only the line between the pylons - a miss is 20 units beyond it
+    this.colors = PYLON_COLORS[this.type];
+
+    // Number plates sit on the pylons, leaving the space above the gap clear
+    [-this.radius, this.radius].forEach(x => {
+      this.createPylon(x);
+      this.createGateNumber(PYLON_TOP + 3, x);
+    });
+
+    this.object.traverse((child) => {
+      if (child instanceof THREE.Mesh) {
+        child.castShadow = true;
+        child.receiveShadow = true;
+      }
+    });
+  }
+
+  // Pylon standing on the ground at local x, up to PYLON_TOP above the gate position
+  createPylon(x) {
+    const bottom = GROUND_LEVEL - this.position.y;
+    const height = PYLON_TOP - bottom;
+
+    const pylonMaterial = new THREE.MeshStandardMaterial({
+      color: this.colors.base,
+      roughness: 0.9,
+      emissive: this.colors.emissive,
+      emissiveIntensity: 0.3
+    });
+    const pylon = new THREE.Mesh(new THREE.CylinderGeometry(PYLON_TOP_RADIUS, PYLON_RADIUS, height, 16), pylonMaterial);
+    pylon.position.set(x, bottom + height / 2, 0);
+    this.object.add(pylon);
+
+    // White band near the top, like the real inflatables
+    const bandMaterial = new THREE.MeshStandardMaterial({ color: 0xFFFFFF, roughness: 0.9 });
+    const band = new THREE.Mesh(new THREE.CylinderGeometry(0.7, 0.75, 2, 16), bandMaterial);
+    band.position.set(x, PYLON_TOP - 2, 0);
+    this.object.add(band);
+
+    this.colliders.push({
+      part: 'pole',
+      shape: 'capsule',
+      start: new THREE.Vector3(x, bottom, 0),
+      end: new THREE.Vector3(x, PYLON_TOP, 0),
+      radius: PYLON_RADIUS
+    });
+  }
+
+  // Crossing of the pylon line, with the distance from the centre line between the pylons
+  // (height does not count) - null if the path does not cross it within `radius` of the centre
+  getPylonCrossing(from, to) {
+    const crossing = intersectSegmentWithDisc(this.followMotion(from), to, this.entryPlane, Infinity);
+    if (!crossing || crossing.direction <= 0) return null;
+
+    const distanceFromCentre = Math.abs(crossing.offset.x);
+    if (distanceFromCentre > this.radius) return null;
+    return { ...crossing, distanceFromCentre, inside: true };
+  }
+
+  getPass(from, to, aircraft = null) {
+    const crossing = this.getPylonCrossing(from, to);
+    if (!crossing) return null;
+
+    const violations = this.checkHeight(crossing, aircraft);
+    if (aircraft) {
+      violations.push(...this.checkAttitude(aircraft));
+    }
+    return { crossing, violations };
+  }
+
+  // Wingtip height: no part of the aircraft above the pylon tops. A banked aircraft's upper
+  // wingtip is higher than its centre.
+  checkHeight(crossing, aircraft = null) {
+    const wingtipRise = aircraft ? (aircraft.wingSpan / 2) * Math.abs(Math.sin(aircraft.roll)) : 0;
+    return crossing.offset.y + wingtipRise > PYLON_TOP ? ['tooHigh'] : [];
+  }
+
+  // Level flight: the wings within LEVEL_BANK_TOLERANCE of level
+  checkAttitude(aircraft) {
+    return bankAngle(aircraft) > LEVEL_BANK_TOLERANCE ? ['incorrectLevel'] : [];
+  }
+}
+
+class KnifeEdgeGate extends TwinPylonGate {
+  constructor(id, position, rotation, options = {}) {
+    super(id, position, rotation, { ...options, radius: options.radius || KNIFE_EDGE_GATE_RADIUS, type: 'knifeEdge' });
+  }
+
+  // Knife-edge: rolled to within KNIFE_EDGE_TOLERANCE of 90°, either way
+  checkAttitude(aircraft) {
+    return Math.abs(bankAngle(aircraft) - 90) > KNIFE_EDGE_TOLERANCE ? ['noKnifeEdge'] : [];
+  }
+}
+
+class SinglePylonGate extends TwinPylonGate {
+  constructor(id, position, rotation, options = {}) {
+    super(id, position, rotation, {
+      ...options,
+      radius: options.radius || SINGLE_PYLON_RADIUS,
+      type: 'pylon',
+      side: options.side || 'left'
+    });
+  }
+
+  createGateMesh() {
+    this.depth = 0;
+    this.colors = PYLON_COLORS.pylon;
+
+    this.createPylon(0);
+    this.createGateNumber(PYLON_TOP + 3);
+    this.createSideMarker();
+  }
+
+  // Local x the aircraft passes on: facing +Z, the aircraft's left is +X, so a pylon kept on
+  // the left is passed at negative x
+  getPassSign() {
+    return this.side === 'right' ? 1 : -1;
+  }
+
+  // Chevron beside the pylon on the side the aircraft has to pass, pointing the way through
+  createSideMarker() {
+    const markerMaterial = new THREE.MeshStandardMaterial({ color: this.colors.base, roughness: 0.9 });
+    const marker = new THREE.Mesh(new THREE.ConeGeometry(1.2, 3, 4), markerMaterial);
+    marker.rotation.x = Math.PI / 2; // Tip along +Z
+    marker.position.set(this.getPassSign() * 4, PYLON_TOP - 4, 0);
+    this.object.add(marker);
+  }
+
+  // The line through the pylon is crossed within `radius` of it (getPylonCrossing), on
+  // either side - the wrong one costs a penalty. Any bank is fine.
+  getPass(from, to, aircraft = null) {
+    const crossing = this.getPylonCrossing(from, to);
+    if (!crossing) return null;
+
+    const violations = this.checkHeight(crossing, aircraft);
+    if (Math.sign(crossing.offset.x) !== this.getPassSign()) {
+      violations.unshift('wrongSide');
+    }
+    return { crossing, violations };
+  }
+}
+
+export {
+  KNIFE_EDGE_GATE_RADIUS,
+  KnifeEdgeGate,
+  PYLON_GATE_RADIUS,
+  PYLON_TOP,
+  SINGLE_PYLON_RADIUS,
+  SinglePylonGate,
+  TwinPylonGate
+};
+
+export default TwinPylonGate;
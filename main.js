@@ -1,10 +1,10 @@
 // Main application entry point for Air Race Challenge
 
-// Use modules from step12
 import * as THREE from 'three';
-import GameEngine from './step12/core/engine.js';
-import Aircraft from './step12/entities/aircraft.js';
-import InputHandler from './step12/utils/input.js';
+import GameEngine from './core/engine.js';
+import { RaceState } from './core/race_state_machine.js';
+import { parseSeed } from './utils/random.js';
+import { dailyDateKey, isDateKey } from './services/daily_challenge.js';
 
 // FPS counter variables
 let fps = 0;
@@ -27,11 +27,11 @@ window.addEventListener('keydown', function(event) {
     console.log('SPACE key detected in global handler');
     if (gameEngine) {
       console.log(`Game engine found, current state: ${gameEngine.gameState}`);
-      if (gameEngine.gameState === 'ready') {
+      if (gameEngine.gameState === RaceState.MENU) {
         console.log('Starting game from SPACE key press!');
         gameEngine.startGame();
       } else {
-        console.log(`Game not started: game state is ${gameEngine.gameState}, not 'ready'`);
+        console.log(`Game not started: game state is ${gameEngine.gameState}, not '${RaceState.MENU}'`);
       }
     } else {
       console.log('Game engine not found, cannot start game');
@@ -84,7 +84,21 @@ window.onload = function() {
     
     // Create and start the game engine
     console.log('Creating game engine...');
-    gameEngine = new GameEngine('gameCanvas');
+    // ?seed=12345 (or any text) flies the course generated from that seed,
+    // ?daily flies today's daily challenge and ?daily=YYYY-MM-DD a past one (practice),
+    // ?endless the endless mode (with ?seed= an endless course of that seed)
+    const params = new URLSearchParams(window.location.search);
+    const seed = parseSeed(params.get('seed'));
+    const dailyParam = params.has('daily') ? params.get('daily') : null;
+    const daily = dailyParam === null ? null : (isDateKey(dailyParam) ? dailyParam : dailyDateKey());
+    if (dailyParam && !isDateKey(dailyParam)) {
+      console.warn(`Unknown daily challenge date "${dailyParam}", flying today's course`);
+    }
+    const engineOptions = daily ? { daily } : (seed !== null ? { seed } : {});
+    if (!daily && params.has('endless')) {
+      engineOptions.endless = true;
+    }
+    gameEngine = new GameEngine('gameCanvas', engineOptions);
     if (!gameEngine) {
       console.error('Failed to create game engine!');
       showError('Could not initialize the game: Engine initialization failed.');
@@ -101,33 +115,7 @@ window.onload = function() {
     // Remove loading message
     document.body.removeChild(loadingMsg);
     
-    // Add centered game title and instructions
-    const gameTitle = document.createElement('div');
-    gameTitle.innerHTML = `
-      <h1 style="margin-bottom: 10px; font-size: 48px; color: white; text-shadow: 2px 2px 4px #000;">Air Race Challenge</h1>
-      <p style="font-size: 24px; color: white; text-shadow: 1px 1px 2px #000;">Press SPACE to start the game</p>
-      <p style="font-size: 18px; color: white; text-shadow: 1px 1px 2px #000; margin-top: 20px;">Use arrow keys to control the aircraft</p>
-    `;
-    gameTitle.style.position = 'fixed';
-    gameTitle.style.top = '50%';
-    gameTitle.style.left = '50%';
-    gameTitle.style.transform = 'translate(-50%, -50%)';
-    gameTitle.style.textAlign = 'center';
-    gameTitle.style.zIndex = '9999';
-    gameTitle.style.fontFamily = 'Arial, sans-serif';
-    gameTitle.style.background = 'rgba(0, 0, 0, 0.5)';
-    gameTitle.style.padding = '30px 50px';
-    gameTitle.style.borderRadius = '15px';
-    
-    document.body.appendChild(gameTitle);
-    
-    // Hide the game title when the game starts
-    const originalStartGame = gameEngine.startGame;
-    gameEngine.startGame = function() {
-      console.log('Custom startGame wrapper called');
-      gameTitle.style.display = 'none';
-      originalStartGame.call(gameEngine);
-    };
+    // The engine shows the pilot start screen; SPACE starts the race once a pilot is chosen
     
     console.log('Game initialized successfully');
 
@@ -137,6 +125,7 @@ window.onload = function() {
       
       // Get the scene from the game engine
       const scene = gameEngine.scene;
+      const random = gameEngine.createSceneryRandom('emergencyTrees');
       
       // Create simple trees
       const groundY = -5;
@@ -144,8 +133,8 @@ window.onload = function() {
       // Create 50 scattered trees
       for (let i = 0; i < 50; i++) {
         // Random position within a larger area
-        const x = Math.random() * 400 - 200; // -200 to 200
-        const z = Math.random() * 400 - 200; // -200 to 200
+        const x = random() * 400 - 200; // -200 to 200
+        const z = random() * 400 - 200; // -200 to 200
         
         // Skip if too close to river (simple check, assuming river runs along z-axis)
         if (Math.abs(x) < 15) continue;
@@ -199,7 +188,7 @@ window.onload = function() {
     document.addEventListener('keydown', function(event) {
       if (event.code === 'Space') {
         console.log('SPACE key detected in document listener');
-        if (gameEngine && gameEngine.gameState === 'ready') {
+        if (gameEngine && gameEngine.gameState === RaceState.MENU) {
           console.log('Starting game from document SPACE key press!');
           gameEngine.startGame();
         }
@@ -0,0 +1,135 @@
+// Leaderboard stand-in server
+// A tiny in-memory implementation of the REST API used by RestLeaderboardBackend.
+// Meant for local development and tests: `npm run leaderboard:server`
+// PUT /admin/available {"available": false} simulates an outage until set back to true.
+
+import http from 'node:http';
+import { pathToFileURL } from 'node:url';
+import { bestRunPerPilot, createRunRecord, rankForEndless, rankForTime, sortRuns } from '../services/leaderboard.js';
+
+const DEFAULT_PORT = 8787;
+
+function sendJson(response, status, body) {
+  response.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type'
+  });
+  response.end(body === null ? '' : JSON.stringify(body));
+}
+
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    request.on('data', chunk => { data += chunk; });
+    request.on('end', () => {
+      try {
+        resolve(data ? JSON.parse(data) : {});
+      } catch (error) {
+        reject(error);
+      }
+    });
+    request.on('error', reject);
+  });
+}
+
+function createLeaderboardServer({ port = DEFAULT_PORT } = {}) {
+  const runs = [];
+  let available = true; // When false every request answers 503, like an outage
+
+  const courseRuns = courseId => runs.filter(run => run.courseId === courseId);
+
+  async function handleRequest(request, response) {
+    if (request.method === 'OPTIONS') {
+      sendJson(response, 204, null);
+      return;
+    }
+    // Outage switch - always reachable so it can bring the server back
+    if (request.method === 'PUT' && request.url === '/admin/available') {
+      available = Boolean((await readBody(request)).available);
+      console.log(`Leaderboard server ${available ? 'up' : 'down'}`);
+      sendJson(response, 200, { available });
+      return;
+    }
+    if (!available) {
+      sendJson(response, 503, { error: 'Leaderboard unavailable' });
+      return;
+    }
+
+    const url = new URL(request.url, `http://${request.headers.host}`);
+    const parts = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+
+    if (parts[0] !== 'courses' || parts.length < 3) {
+      sendJson(response, 404, { error: 'Not found' });
+      return;
+    }
+
+    const courseId = parts[1];
+    const route = parts.slice(2).join('/');
+
+    if (request.method === 'POST' && route === 'runs') {
+      const run = createRunRecord({ ...(await readBody(request)), courseId });
+      const existing = runs.find(stored => stored.runId === run.runId);
+      if (!existing) runs.push(run);
+      sendJson(response, existing ? 200 : 201, { run: existing || run });
+    } else if (request.method === 'GET' && route === 'top') {
+      const limit = parseInt(url.searchParams.get('limit'), 10) || 10;
+      sendJson(response, 200, { runs: bestRunPerPilot(courseRuns(courseId)).slice(0, limit) });
+    } else if (request.method === 'GET' && route === 'rank' && url.searchParams.get('mode') === 'endless') {
+      const gatesPassed = parseInt(url.searchParams.get('gatesPassed'), 10) || 0;
+      const distance = parseFloat(url.searchParams.get('distance')) || 0;
+      sendJson(response, 200, { rank: rankForEndless(bestRunPerPilot(courseRuns(courseId)), gatesPassed, distance) });
+    } else if (request.method === 'GET' && route === 'rank') {
+      const finalTime = parseFloat(url.searchParams.get('finalTime'));
+      if (!Number.isFinite(finalTime)) {
+        sendJson(response, 400, { error: 'finalTime is required' });
+        return;
+      }
+      const precisionScore = parseFloat(url.searchParams.get('precisionScore')) || 0;
+      sendJson(response, 200, { rank: rankForTime(bestRunPerPilot(courseRuns(courseId)), finalTime, precisionScore) });
+    } else if (request.method === 'GET' && parts[2] === 'pilots' && parts[4] === 'best') {
+      const pilotRuns = courseRuns(courseId).filter(run => run.pilotId === parts[3]);
+      sendJson(response, 200, { run: sortRuns(pilotRuns)[0] || null });
+    } else {
+      sendJson(response, 404, { error: 'Not found' });
+    }
+  }
+
+  const server = http.createServer((request, response) => {
+    handleRequest(request, response).catch(error => {
+      console.error('Leaderboard server error:', error);
+      sendJson(response, 400, { error: error.message });
+    });
+  });
+
+  return {
+    runs,
+    get url() {
+      const address = server.address();
+      return address ? `http://localhost:${address.port}` : null;
+    },
+    start() {
+      return new Promise(resolve => server.listen(port, () => resolve(this)));
+    },
+    stop() {
+      return new Promise(resolve => server.close(() => resolve()));
+    },
+    // Simulate the server going down / coming back without closing the socket
+    setAvailable(isAvailable) {
+      available = isAvailable;
+    }
+  };
+}
+
+// Run directly: node server/leaderboard_server.js
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const port = parseInt(process.env.PORT, 10) || DEFAULT_PORT;
+  createLeaderboardServer({ port }).start().then(server => {
+    console.log(`Leaderboard server listening on ${server.url}`);
+  });
+}
+
+export { createLeaderboardServer };
+
+export default createLeaderboardServer;
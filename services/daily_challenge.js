@@ -0,0 +1,124 @@
+// Daily challenge
+// One generated course per (UTC) day - everyone flies the same layout that day. Only a pilot's
+// first completed run of the day is official; later runs and past days are practice.
+
+import { generateCourse } from '../core/course_generator.js';
+import { hashSeed } from '../utils/random.js';
+
+const DAILY_STORAGE_KEY = 'airRaceDailyAttempts';
+const DAILY_COURSE_PREFIX = 'daily-';
+const CALENDAR_DAYS = 14; // Days listed in the calendar, today included
+const KEPT_DAYS = 60; // Official attempts older than this are forgotten
+
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// 'YYYY-MM-DD' of the given moment in UTC, so the day changes at the same time for everyone
+function dailyDateKey(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
+function isDateKey(value) {
+  if (typeof value !== 'string' || !DATE_KEY_PATTERN.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && dailyDateKey(date) === value; // Not e.g. 2026-13-01 or 2026-02-30
+}
+
+function dailyCourseId(dateKey) {
+  return `${DAILY_COURSE_PREFIX}${dateKey}`;
+}
+
+function createDailyCourse(dateKey) {
+  if (!isDateKey(dateKey)) {
+    throw new Error(`Invalid daily challenge date: ${dateKey}`);
+  }
+  return generateCourse(hashSeed(`daily:${dateKey}`), {
+    id: dailyCourseId(dateKey),
+    name: `Daily Challenge ${dateKey}`
+  });
+}
+
+class DailyChallengeService {
+  constructor({ storage = globalThis.localStorage, now = () => new Date() } = {}) {
+    this.storage = storage || null;
+    this.now = now;
+    this.attempts = this.load(); // { [dateKey]: { [pilotId]: runId } }
+  }
+
+  load() {
+    if (!this.storage) return {};
+    try {
+      const stored = this.storage.getItem(DAILY_STORAGE_KEY);
+      return stored ? JSON.parse(stored) : {};
+    } catch (error) {
+      console.error('Error reading daily challenge attempts:', error);
+      return {};
+    }
+  }
+
+  save() {
+    if (!this.storage) return;
+    try {
+      this.storage.setItem(DAILY_STORAGE_KEY, JSON.stringify(this.attempts));
+    } catch (error) {
+      console.error('Error writing daily challenge attempts:', error);
+    }
+  }
+
+  getTodayKey() {
+    return dailyDateKey(this.now());
+  }
+
+  isToday(dateKey) {
+    return dateKey === this.getTodayKey();
+  }
+
+  // Run id of the pilot's official run that day, or null
+  getOfficialRunId(dateKey, pilotId) {
+    const day = this.attempts[dateKey];
+    return (day && day[pilotId]) || null;
+  }
+
+  // A completed run counts for the daily leaderboard only on its own day and only once
+  isOfficialAttempt(dateKey, pilotId) {
+    return this.isToday(dateKey) && Boolean(pilotId) && !this.getOfficialRunId(dateKey, pilotId);
+  }
+
+  recordOfficialRun(dateKey, pilotId, runId) {
+    if (!this.isOfficialAttempt(dateKey, pilotId)) return false;
+
+    this.attempts[dateKey] = { ...(this.attempts[dateKey] || {}), [pilotId]: runId };
+    this.prune();
+    this.save();
+    return true;
+  }
+
+  prune() {
+    const oldest = dailyDateKey(new Date(this.now().getTime() - KEPT_DAYS * 24 * 60 * 60 * 1000));
+    Object.keys(this.attempts)
+      .filter(dateKey => dateKey < oldest)
+      .forEach(dateKey => delete this.attempts[dateKey]);
+  }
+
+  // Today first, then the previous days - the calendar of replayable courses
+  getCalendar(pilotId = null, days = CALENDAR_DAYS) {
+    const today = this.now();
+    return Array.from({ length: days }, (_, offset) => {
+      const dateKey = dailyDateKey(new Date(today.getTime() - offset * 24 * 60 * 60 * 1000));
+      return {
+        dateKey,
+        isToday: offset === 0,
+        officialRunId: pilotId ? this.getOfficialRunId(dateKey, pilotId) : null
+      };
+    });
+  }
+}
+
+export {
+  DAILY_COURSE_PREFIX,
+  createDailyCourse,
+  dailyCourseId,
+  dailyDateKey,
+  isDateKey
+};
+
+export default DailyChallengeService;
@@ -1,2 +1,310 @@
 // Leaderboard service
-// This will handle communication with Supabase for leaderboard functionality 
\ No newline at end of file
+// Stores finished runs and answers leaderboard queries. The storage is pluggable:
+// a localStorage backend for offline play and a REST backend for a shared server.
+
+import { normalizeSplits } from '../utils/splits.js';
+
+const DEFAULT_COURSE_ID = 'default';
+const DEFAULT_TOP_LIMIT = 10;
+const LOCAL_STORAGE_KEY = 'airRaceLeaderboard';
+const MAX_RUNS_PER_COURSE = 200; // Keep local storage small
+
+// Runs are ranked by final time (raw time + penalties), best first
+function compareRuns(a, b) {
+  // Endless runs (see core/endless_course.js) go by gates cleared, then distance flown
+  if (a.mode === 'endless' || b.mode === 'endless') {
+    if (a.gatesPassed !== b.gatesPassed) return b.gatesPassed - a.gatesPassed;
+    if (a.distance !== b.distance) return b.distance - a.distance;
+    return a.finishedAt < b.finishedAt ? -1 : a.finishedAt > b.finishedAt ? 1 : 0;
+  }
+
+  if (a.finalTime !== b.finalTime) return a.finalTime - b.finalTime;
+  // Equal times go to the more precise run (see core/precision_scoring.js)
+  const precisionA = a.precisionScore || 0;
+  const precisionB = b.precisionScore || 0;
+  if (precisionA !== precisionB) return precisionB - precisionA;
+  // Ties go to whoever set the time first
+  return a.finishedAt < b.finishedAt ? -1 : a.finishedAt > b.finishedAt ? 1 : 0;
+}
+
+function sortRuns(runs) {
+  return runs.slice().sort(compareRuns);
+}
+
+// 1-based position a final time (and precision score, for equal times) would take among
+// the given runs
+function rankForTime(runs, finalTime, precisionScore = 0) {
+  return runs.filter(run => run.finalTime < finalTime
+    || (run.finalTime === finalTime && (run.precisionScore || 0) > precisionScore)).length + 1;
+}
+
+// 1-based position an endless score would take among the given (endless) runs
+function rankForEndless(runs, gatesPassed, distance) {
+  return runs.filter(run => run.gatesPassed > gatesPassed
+    || (run.gatesPassed === gatesPassed && run.distance > distance)).length + 1;
+}
+
+// Keep only the best run of every pilot
+function bestRunPerPilot(runs) {
+  const bestByPilot = new Map();
+  sortRuns(runs).forEach(run => {
+    if (!bestByPilot.has(run.pilotId)) {
+      bestByPilot.set(run.pilotId, run);
+    }
+  });
+  return sortRuns([...bestByPilot.values()]);
+}
+
+function createRunId() {
+  const random = Math.random().toString(36).slice(2, 10);
+  return `${Date.now().toString(36)}-${random}`;
+}
+
+// Build a normalized run record from the values the engine has at finishGame
+// A result that cannot become a run record - submitting it again will not help
+class InvalidRunError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidRunError';
+    this.isPermanent = true;
+  }
+}
+
+function createRunRecord(result) {
+  const rawTime = Number(result.rawTime);
+  const penaltyTime = Number(result.penaltyTime) || 0;
+  const precisionScore = Number(result.precisionScore) || 0;
+
+  if (!Number.isFinite(rawTime) || rawTime < 0) {
+    throw new InvalidRunError(`Invalid raw time: ${result.rawTime}`);
+  }
+  if (!Number.isFinite(penaltyTime) || penaltyTime < 0) {
+    throw new InvalidRunError(`Invalid penalty time: ${result.penaltyTime}`);
+  }
+  if (!Number.isFinite(precisionScore) || precisionScore < 0) {
+    throw new InvalidRunError(`Invalid precision score: ${result.precisionScore}`);
+  }
+
+  return {
+    runId: result.runId || createRunId(),
+    courseId: result.courseId || DEFAULT_COURSE_ID,
+    pilotId: result.pilotId || 'guest',
+    pilotName: result.pilotName || 'Guest',
+    rawTime,
+    penaltyTime,
+    finalTime: rawTime + penaltyTime,
+    precisionScore,
+    precisionRating: Number(result.precisionRating) || 0,
+    gatesPassed: result.gatesPassed || 0,
+    gatesMissed: result.gatesMissed || 0,
+    gatesTotal: result.gatesTotal || 0,
+    mode: result.endless || result.mode === 'endless' ? 'endless' : 'race', // Endless runs rank by score
+    distance: Math.round(Number(result.distance) || 0),
+    splits: normalizeSplits(result.splits), // The personal best's splits are the live delta's reference
+    endCondition: result.endCondition || 'completed',
+    finishedAt: result.finishedAt || new Date().toISOString()
+  };
+}
+
+// A REST request the server answered with an error status. 4xx answers other than a timeout
+// or rate limit are permanent - sending the same request again will not help.
+class LeaderboardRequestError extends Error {
+  constructor(path, status) {
+    super(`Leaderboard request ${path} failed with status ${status}`);
+    this.name = 'LeaderboardRequestError';
+    this.status = status;
+  }
+
+  get isPermanent() {
+    return this.status >= 400 && this.status < 500 && this.status !== 408 && this.status !== 429;
+  }
+}
+
+// Offline backend - keeps runs in localStorage (or memory when there is none)
+class LocalLeaderboardBackend {
+  constructor(storage = globalThis.localStorage, storageKey = LOCAL_STORAGE_KEY) {
+    this.storage = storage || null;
+    this.storageKey = storageKey;
+    this.memoryRuns = []; // Used when no storage is available (e.g. Node)
+  }
+
+  loadRuns() {
+    if (!this.storage) return this.memoryRuns;
+
+    try {
+      const stored = this.storage.getItem(this.storageKey);
+      return stored ? JSON.parse(stored) : [];
+    } catch (error) {
+      console.error('Error reading local leaderboard:', error);
+      return [];
+    }
+  }
+
+  saveRuns(runs) {
+    if (!this.storage) {
+      this.memoryRuns = runs;
+      return;
+    }
+    this.storage.setItem(this.storageKey, JSON.stringify(runs));
+  }
+
+  getCourseRuns(courseId) {
+    return this.loadRuns().filter(run => run.courseId === courseId);
+  }
+
+  async submitRun(run) {
+    const runs = this.loadRuns();
+    const stored = runs.find(existing => existing.runId === run.runId);
+    if (stored) {
+      return stored; // Already stored - a resubmission does not replace it
+    }
+
+    // Drop the slowest runs of this course once it gets too long
+    const courseRuns = sortRuns(runs.filter(existing => existing.courseId === run.courseId).concat(run));
+    const otherRuns = runs.filter(existing => existing.courseId !== run.courseId);
+    this.saveRuns(otherRuns.concat(courseRuns.slice(0, MAX_RUNS_PER_COURSE)));
+
+    return run;
+  }
+
+  async getTop(courseId, limit) {
+    return bestRunPerPilot(this.getCourseRuns(courseId)).slice(0, limit);
+  }
+
+  async getRank(courseId, finalTime, precisionScore = 0) {
+    return rankForTime(bestRunPerPilot(this.getCourseRuns(courseId)), finalTime, precisionScore);
+  }
+
+  async getEndlessRank(courseId, gatesPassed, distance) {
+    return rankForEndless(bestRunPerPilot(this.getCourseRuns(courseId)), gatesPassed, distance);
+  }
+
+  async getPersonalBest(courseId, pilotId) {
+    const pilotRuns = this.getCourseRuns(courseId).filter(run => run.pilotId === pilotId);
+    return sortRuns(pilotRuns)[0] || null;
+  }
+}
+
+// Online backend - talks to the leaderboard server over HTTP
+class RestLeaderboardBackend {
+  constructor(baseUrl, { fetchImpl = globalThis.fetch, timeoutMs = 5000 } = {}) {
+    if (!baseUrl) {
+      throw new Error('RestLeaderboardBackend needs a base URL');
+    }
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.fetchImpl = fetchImpl;
+    this.timeoutMs = timeoutMs;
+  }
+
+  async request(path, options = {}) {
+    const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+    const timeout = controller ? setTimeout(() => controller.abort(), this.timeoutMs) : null;
+
+    try {
+      const response = await this.fetchImpl(`${this.baseUrl}${path}`, {
+        ...options,
+        headers: { 'Content-Type': 'application/json', ...(options.headers || {}) },
+        signal: controller ? controller.signal : undefined
+      });
+
+      if (!response.ok) {
+        throw new LeaderboardRequestError(path, response.status);
+      }
+      return response.status === 204 ? null : await response.json();
+    } finally {
+      if (timeout) clearTimeout(timeout);
+    }
+  }
+
+  coursePath(courseId) {
+    return `/courses/${encodeURIComponent(courseId)}`;
+  }
+
+  async submitRun(run) {
+    const body = await this.request(`${this.coursePath(run.courseId)}/runs`, {
+      method: 'POST',
+      body: JSON.stringify(run)
+    });
+    return body.run;
+  }
+
+  async getTop(courseId, limit) {
+    const body = await this.request(`${this.coursePath(courseId)}/top?limit=${limit}`);
+    return body.runs;
+  }
+
+  async getRank(courseId, finalTime, precisionScore = 0) {
+    const query = `finalTime=${finalTime}&precisionScore=${precisionScore}`;
+    const body = await this.request(`${this.coursePath(courseId)}/rank?${query}`);
+    return body.rank;
+  }
+
+  async getEndlessRank(courseId, gatesPassed, distance) {
+    const query = `mode=endless&gatesPassed=${gatesPassed}&distance=${distance}`;
+    const body = await this.request(`${this.coursePath(courseId)}/rank?${query}`);
+    return body.rank;
+  }
+
+  async getPersonalBest(courseId, pilotId) {
+    const path = `${this.coursePath(courseId)}/pilots/${encodeURIComponent(pilotId)}/best`;
+    const body = await this.request(path);
+    return body.run;
+  }
+}
+
+class LeaderboardService {
+  constructor(backend = new LocalLeaderboardBackend()) {
+    this.backend = backend;
+  }
+
+  // Store a finished run. Resolves with the stored run record.
+  async submitRun(result) {
+    const run = createRunRecord(result);
+    return this.backend.submitRun(run);
+  }
+
+  // Best run per pilot for a course, sorted by final time, then precision score
+  async getTop(courseId = DEFAULT_COURSE_ID, limit = DEFAULT_TOP_LIMIT) {
+    return this.backend.getTop(courseId, limit);
+  }
+
+  // Rank (1 = fastest) that the given final time has on a course; equal times are ranked
+  // by precision score
+  async getRank(courseId, finalTime, precisionScore = 0) {
+    return this.backend.getRank(courseId || DEFAULT_COURSE_ID, finalTime, precisionScore);
+  }
+
+  // Rank of an endless score: gates cleared, then distance flown
+  async getEndlessRank(courseId, gatesPassed, distance) {
+    return this.backend.getEndlessRank(courseId, gatesPassed, distance);
+  }
+
+  async getPersonalBest(courseId, pilotId) {
+    return this.backend.getPersonalBest(courseId || DEFAULT_COURSE_ID, pilotId);
+  }
+}
+
+// Pick a backend from config: a URL selects the REST backend, otherwise local storage
+function createLeaderboardService(config = {}) {
+  if (config.url) {
+    console.log(`Using REST leaderboard at ${config.url}`);
+    return new LeaderboardService(new RestLeaderboardBackend(config.url, config));
+  }
+  return new LeaderboardService(new LocalLeaderboardBackend(config.storage));
+}
+
+export {
+  DEFAULT_COURSE_ID,
+  InvalidRunError,
+  LeaderboardRequestError,
+  LocalLeaderboardBackend,
+  RestLeaderboardBackend,
+  createLeaderboardService,
+  createRunRecord,
+  bestRunPerPilot,
+  rankForEndless,
+  rankForTime,
+  sortRuns
+};
+
+export default LeaderboardService;
@@ -0,0 +1,114 @@
+// Pilot profile service
+// Keeps track of who is flying. A pilot is identified as callsign#timestamp so that
+// duplicate callsigns stay distinct, while only the callsign is shown in the UI.
+
+const CURRENT_PILOT_KEY = 'airRaceCurrentPilot';
+const RECENT_PILOTS_KEY = 'airRaceRecentPilots';
+const MAX_RECENT_PILOTS = 5;
+const MAX_CALLSIGN_LENGTH = 16;
+
+// Letters, digits, dash and underscore only - keeps ids and leaderboard rows clean
+const CALLSIGN_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+function sanitizeCallsign(rawCallsign) {
+  const callsign = String(rawCallsign || '').trim();
+
+  if (!callsign) {
+    throw new Error('Please enter a callsign');
+  }
+  if (callsign.length > MAX_CALLSIGN_LENGTH) {
+    throw new Error(`Callsign must be at most ${MAX_CALLSIGN_LENGTH} characters`);
+  }
+  if (!CALLSIGN_PATTERN.test(callsign)) {
+    throw new Error('Callsign may only contain letters, numbers, - and _');
+  }
+  return callsign;
+}
+
+class PilotProfileService {
+  constructor({ storage = globalThis.localStorage, sessionStorage = globalThis.sessionStorage } = {}) {
+    this.storage = storage || null; // Recent pilots survive restarts
+    this.sessionStorage = sessionStorage || null; // Current pilot lasts for the session
+    this.currentPilot = this.readJson(this.sessionStorage, CURRENT_PILOT_KEY, null);
+  }
+
+  readJson(storage, key, fallback) {
+    if (!storage) return fallback;
+    try {
+      const stored = storage.getItem(key);
+      return stored ? JSON.parse(stored) : fallback;
+    } catch (error) {
+      console.error(`Error reading ${key}:`, error);
+      return fallback;
+    }
+  }
+
+  writeJson(storage, key, value) {
+    if (!storage) return;
+    try {
+      if (value === null) {
+        storage.removeItem(key);
+      } else {
+        storage.setItem(key, JSON.stringify(value));
+      }
+    } catch (error) {
+      console.error(`Error writing ${key}:`, error);
+    }
+  }
+
+  // Create a new pilot identity for a callsign
+  createPilot(rawCallsign) {
+    const callsign = sanitizeCallsign(rawCallsign);
+    const createdAt = Date.now();
+    return {
+      id: `${callsign}#${createdAt}`,
+      callsign,
+      createdAt
+    };
+  }
+
+  getRecentPilots() {
+    return this.readJson(this.storage, RECENT_PILOTS_KEY, []);
+  }
+
+  // Most recent pilot with this callsign, if any (callsigns compare case-insensitively)
+  findByCallsign(rawCallsign) {
+    const callsign = String(rawCallsign || '').trim().toLowerCase();
+    return this.getRecentPilots().find(pilot => pilot.callsign.toLowerCase() === callsign) || null;
+  }
+
+  getCurrentPilot() {
+    return this.currentPilot;
+  }
+
+  // Make a pilot the active one and move it to the top of the recent list
+  selectPilot(pilot) {
+    this.currentPilot = pilot;
+    this.writeJson(this.sessionStorage, CURRENT_PILOT_KEY, pilot);
+
+    const recent = this.getRecentPilots().filter(existing => existing.id !== pilot.id);
+    recent.unshift(pilot);
+    this.writeJson(this.storage, RECENT_PILOTS_KEY, recent.slice(0, MAX_RECENT_PILOTS));
+
+    console.log(`Pilot selected: ${pilot.callsign} (${pilot.id})`);
+    return pilot;
+  }
+
+  // Forget the active pilot so that a different profile has to be chosen
+  clearCurrentPilot() {
+    this.currentPilot = null;
+    this.writeJson(this.sessionStorage, CURRENT_PILOT_KEY, null);
+  }
+
+  forgetPilot(pilotId) {
+    const recent = this.getRecentPilots().filter(pilot => pilot.id !== pilotId);
+    this.writeJson(this.storage, RECENT_PILOTS_KEY, recent);
+    if (this.currentPilot && this.currentPilot.id === pilotId) {
+      this.clearCurrentPilot();
+    }
+  }
+}
+
+export { sanitizeCallsign, MAX_CALLSIGN_LENGTH };
+
+export default PilotProfileService;
@@ -0,0 +1,157 @@
+// Score outbox
+// Persists finished runs until the leaderboard backend has accepted them, so results
+// flown while offline (or while the server is down) are uploaded later instead of lost.
+// Only transient failures (no connection, timeouts, 5xx) are retried. A run rejected for good -
+// a 4xx (LeaderboardRequestError) or an invalid record (InvalidRunError) - is parked, so it
+// cannot block the runs behind it.
+
+import { createRunRecord } from './leaderboard.js';
+
+const OUTBOX_STORAGE_KEY = 'airRaceScoreOutbox';
+const REJECTED_STORAGE_KEY = 'airRaceScoreOutboxRejected';
+const MAX_REJECTED_RUNS = 20; // Kept for inspection only - the oldest are dropped
+const BASE_RETRY_DELAY_MS = 2000;
+const MAX_RETRY_DELAY_MS = 60000;
+
+class ScoreOutbox {
+  constructor(leaderboard, {
+    storage = globalThis.localStorage,
+    baseRetryDelayMs = BASE_RETRY_DELAY_MS,
+    maxRetryDelayMs = MAX_RETRY_DELAY_MS
+  } = {}) {
+    this.leaderboard = leaderboard;
+    this.storage = storage || null;
+    this.baseRetryDelayMs = baseRetryDelayMs;
+    this.maxRetryDelayMs = maxRetryDelayMs;
+
+    this.pending = this.load(OUTBOX_STORAGE_KEY);
+    this.rejected = this.load(REJECTED_STORAGE_KEY); // Parked: { run, status, error }
+    this.failedAttempts = 0;
+    this.retryTimer = null;
+    this.flushPromise = null;
+    this.listeners = [];
+
+    // Retry straight away when the browser reports that connectivity is back
+    if (typeof window !== 'undefined') {
+      window.addEventListener('online', () => this.flush());
+    }
+  }
+
+  load(key) {
+    if (!this.storage) return [];
+    try {
+      const stored = this.storage.getItem(key);
+      return stored ? JSON.parse(stored) : [];
+    } catch (error) {
+      console.error('Error reading score outbox:', error);
+      return [];
+    }
+  }
+
+  save() {
+    if (this.storage) {
+      try {
+        this.storage.setItem(OUTBOX_STORAGE_KEY, JSON.stringify(this.pending));
+        this.storage.setItem(REJECTED_STORAGE_KEY, JSON.stringify(this.rejected));
+      } catch (error) {
+        console.error('Error writing score outbox:', error);
+      }
+    }
+    this.listeners.forEach(listener => listener(this.pending.length));
+  }
+
+  // Called with the number of pending runs whenever it changes
+  onChange(listener) {
+    this.listeners.push(listener);
+    listener(this.pending.length);
+  }
+
+  get pendingCount() {
+    return this.pending.length;
+  }
+
+  // Queue a run (deduplicated by runId) and try to upload everything pending.
+  // Resolves with the stored run once it is uploaded, rejects if it stays queued or the
+  // leaderboard rejected it.
+  async submit(result) {
+    const run = createRunRecord(result);
+
+    if (!this.pending.some(queued => queued.runId === run.runId)) {
+      this.pending.push(run);
+      this.save();
+    }
+
+    await this.flush();
+
+    if (this.pending.some(queued => queued.runId === run.runId)) {
+      throw new Error(`Run ${run.runId} queued for upload - leaderboard unreachable`);
+    }
+    const rejected = this.rejected.find(parked => parked.run.runId === run.runId);
+    if (rejected) {
+      throw new Error(`Run ${run.runId} rejected by the leaderboard: ${rejected.error}`);
+    }
+    return run;
+  }
+
+  // Upload pending runs in order; on the first transient failure back off and retry later
+  flush() {
+    if (!this.flushPromise) {
+      this.flushPromise = this.uploadPending().finally(() => {
+        this.flushPromise = null;
+      });
+    }
+    return this.flushPromise;
+  }
+
+  async uploadPending() {
+    this.clearRetry();
+
+    while (this.pending.length > 0) {
+      const run = this.pending[0];
+      try {
+        await this.leaderboard.submitRun(run);
+        console.log(`Run ${run.runId} uploaded from outbox`);
+      } catch (error) {
+        if (!error.isPermanent) {
+          console.error(`Upload of run ${run.runId} failed:`, error);
+          this.scheduleRetry();
+          return;
+        }
+        console.error(`Run ${run.runId} rejected by the leaderboard, parked:`, error);
+        this.rejected = this.rejected
+          .filter(parked => parked.run.runId !== run.runId)
+          .concat({ run, status: error.status, error: error.message })
+          .slice(-MAX_REJECTED_RUNS);
+      }
+
+      this.failedAttempts = 0;
+      this.pending = this.pending.filter(queued => queued.runId !== run.runId);
+      this.save();
+    }
+  }
+
+  scheduleRetry() {
+    this.failedAttempts++;
+    const delay = Math.min(
+      this.baseRetryDelayMs * Math.pow(2, this.failedAttempts - 1),
+      this.maxRetryDelayMs
+    );
+    console.log(`Retrying leaderboard upload in ${delay / 1000}s (${this.pending.length} pending)`);
+    this.retryTimer = setTimeout(() => this.flush(), delay);
+  }
+
+  clearRetry() {
+    if (this.retryTimer) {
+      clearTimeout(this.retryTimer);
+      this.retryTimer = null;
+    }
+  }
+
+  // Stop retrying (e.g. when the engine is torn down); pending runs stay persisted
+  dispose() {
+    this.clearRetry();
+    this.listeners = [];
+  }
+}
+
+export default ScoreOutbox;
@@ -0,0 +1,66 @@
+// Flight envelope (Aircraft.getPerformance, used by core/course_analysis.js) against the
+// aircraft flown in a headless race: the turn radius and climb angle it really reaches
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { RaceState, SIMULATION_STEP, createHeadlessRace } from '../core/race_simulation.js';
+
+const SETTLE_SECONDS = 4; // Until the controls have reached their steady state
+const MEASURE_SECONDS = 3;
+
+function horizontalHeading(aircraft) {
+  const forward = new THREE.Vector3(0, 0, -1).applyQuaternion(aircraft.getObject().quaternion);
+  return Math.atan2(forward.x, forward.z);
+}
+
+// Fly with `input` held from GO; returns the horizontal distance, heading change and climb
+// over MEASURE_SECONDS of steady flight
+function flySteady(input, { bankIntoTurn = true } = {}) {
+  const race = createHeadlessRace({ countdownSeconds: 0 });
+  race.aircraft.bankIntoTurn = bankIntoTurn;
+  race.start();
+
+  for (let tick = 0; tick < SETTLE_SECONDS / SIMULATION_STEP; tick++) race.step(input);
+  const start = race.aircraft.getObject().position.clone();
+
+  let turned = 0;
+  let heading = horizontalHeading(race.aircraft);
+  let distance = 0;
+  for (let tick = 0; tick < MEASURE_SECONDS / SIMULATION_STEP; tick++) {
+    const previous = race.aircraft.getObject().position.clone();
+    race.step(input);
+    const position = race.aircraft.getObject().position;
+    distance += Math.hypot(position.x - previous.x, position.z - previous.z);
+
+    const next = horizontalHeading(race.aircraft);
+    turned += Math.atan2(Math.sin(next - heading), Math.cos(next - heading));
+    heading = next;
+  }
+
+  assert.equal(race.state, RaceState.PLAYING);
+  return {
+    performance: race.aircraft.getPerformance(SIMULATION_STEP),
+    distance,
+    turned: Math.abs(turned),
+    climb: race.aircraft.getObject().position.y - start.y
+  };
+}
+
+for (const bankIntoTurn of [true, false]) {
+  test(`turns at the radius getPerformance reports (bank into turns ${bankIntoTurn ? 'on' : 'off'})`, () => {
+    const { performance, distance, turned } = flySteady({ left: true }, { bankIntoTurn });
+    const radius = distance / turned;
+
+    assert.ok(
+      Math.abs(radius - performance.minTurnRadius) / performance.minTurnRadius < 0.05,
+      `flown radius ${radius.toFixed(2)}, reported ${performance.minTurnRadius.toFixed(2)}`
+    );
+  });
+}
+
+test('climbs at least as steeply as getPerformance reports', () => {
+  const { performance, distance, climb } = flySteady({ up: true });
+
+  assert.ok(Math.atan2(climb, distance) >= performance.maxClimbAngle);
+});
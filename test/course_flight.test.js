@@ -0,0 +1,97 @@
+// The shipped courses flown by the real aircraft: a simple autopilot steers a headless race
+// with the arrow keys only, as a player would, through every gate and over the finish
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import * as THREE from 'three';
+import { analyzeCourse } from '../core/course_analysis.js';
+import { RaceState, createHeadlessRace } from '../core/race_simulation.js';
+
+const LEAD_IN = 35; // Aim this far before a gate along its facing, to line up with it
+const GATE_CUT = 0.5; // Share of a gate's radius the autopilot cuts across, as a player would
+const HEADING_DEADBAND = 0.04; // radians
+const TURN_DAMPING = 0.3; // Seconds of the current turn rate taken off the heading error
+const HEIGHT_DEADBAND = 1;
+const MAX_AUTOPILOT_PITCH = 0.3;
+const BRIDGE_CROSSING = { height: 18, beyond: 25 }; // Over the bridge, past its completion line
+
+const loadCourseFile = name => JSON.parse(fs.readFileSync(new URL(`../courses/${name}`, import.meta.url)));
+const wrapAngle = angle => Math.atan2(Math.sin(angle), Math.cos(angle));
+
+// Where to fly next: the target gate along its facing - at the point of its opening nearest
+// the aircraft, up to GATE_CUT of the radius off the centre - or over the bridge once every
+// gate of the lap has been flown
+function nextWaypoint(race) {
+  if (race.currentGateIndex < race.gates.length) {
+    const gate = race.gates[race.currentGateIndex];
+    const position = gate.getObject().getWorldPosition(new THREE.Vector3());
+    const facing = new THREE.Vector3(0, 0, 1).transformDirection(gate.getObject().matrixWorld);
+
+    const side = new THREE.Vector3(facing.z, 0, -facing.x).normalize();
+    const offset = race.aircraft.getObject().position.clone().sub(position).dot(side);
+    const cut = gate.radius * GATE_CUT;
+    return { position: position.addScaledVector(side, Math.max(-cut, Math.min(cut, offset))), facing };
+  }
+  const bridge = race.finishBridge.getObject().getWorldPosition(new THREE.Vector3());
+  return {
+    position: new THREE.Vector3(bridge.x, BRIDGE_CROSSING.height, bridge.z + BRIDGE_CROSSING.beyond),
+    facing: new THREE.Vector3(0, 0, 1)
+  };
+}
+
+function createAutopilot(race) {
+  let previousHeading = null;
+
+  return () => {
+    if (race.state !== RaceState.PLAYING) return {};
+
+    const aircraft = race.aircraft.getObject();
+    const { position, facing } = nextWaypoint(race);
+    const before = position.clone().sub(aircraft.position).dot(facing);
+    const aim = position.clone().addScaledVector(facing, -Math.min(LEAD_IN, Math.max(0, before) / 2));
+
+    const forward = new THREE.Vector3(0, 0, -1).applyQuaternion(aircraft.quaternion);
+    const heading = Math.atan2(forward.x, forward.z); // A left turn increases it
+    const turnRate = previousHeading === null ? 0 : wrapAngle(heading - previousHeading) / race.lastStepSize;
+    previousHeading = heading;
+    const error = wrapAngle(Math.atan2(aim.x - aircraft.position.x, aim.z - aircraft.position.z) - heading) -
+      turnRate * TURN_DAMPING;
+
+    const climb = position.y - aircraft.position.y;
+    return {
+      left: error > HEADING_DEADBAND,
+      right: error < -HEADING_DEADBAND,
+      up: climb > HEIGHT_DEADBAND && race.aircraft.pitch > -MAX_AUTOPILOT_PITCH,
+      down: climb < -HEIGHT_DEADBAND && race.aircraft.pitch < MAX_AUTOPILOT_PITCH
+    };
+  };
+}
+
+function flyCourse(course, { bankIntoTurn = true } = {}) {
+  const race = createHeadlessRace({ course });
+  race.aircraft.bankIntoTurn = bankIntoTurn;
+  return race.run(createAutopilot(race));
+}
+
+for (const bankIntoTurn of [true, false]) {
+  test(`the circuit is flown for all 3 laps (bank into turns ${bankIntoTurn ? 'on' : 'off'})`, () => {
+    const course = loadCourseFile('circuit.json');
+    assert.ok(analyzeCourse(course).flyable);
+
+    const result = flyCourse(course, { bankIntoTurn });
+    assert.equal(result.endCondition, 'completed', result.reason);
+    assert.equal(result.lapTimes.length, 3);
+    assert.equal(result.gatesPassed, course.gates.length * 3);
+    assert.equal(result.gatesMissed, 0);
+  });
+}
+
+test('the default course is flown through every gate', () => {
+  const course = loadCourseFile('default.json');
+  const result = flyCourse(course);
+
+  assert.equal(result.endCondition, 'completed', result.reason);
+  assert.equal(result.gatesPassed, course.gates.length);
+  assert.equal(result.gatesMissed, 0);
+});
@@ -0,0 +1,38 @@
+// Seeded course generation: the same seed always builds the same course, in the JSON course
+// format and valid for the loader
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateCourse } from '../core/course_generator.js';
+import { validateCourse } from '../core/course_loader.js';
+import { createRandom, parseSeed } from '../utils/random.js';
+
+test('the same seed always gives the same course', () => {
+  assert.deepEqual(generateCourse(12345), generateCourse(12345));
+  assert.notDeepEqual(generateCourse(12345).gates, generateCourse(54321).gates);
+});
+
+test('a generated course is a valid course named after its seed', () => {
+  for (const seed of [1, 42, 12345, 4294967295]) {
+    const course = generateCourse(seed);
+    const { valid, errors } = validateCourse(course);
+
+    assert.ok(valid, `seed ${seed}: ${errors.join('; ')}`);
+    assert.equal(course.id, `seed-${seed}`);
+    assert.equal(course.seed, seed);
+    assert.equal(course.scenerySeed, seed);
+  }
+});
+
+test('seeds from text are stable and random sequences repeat', () => {
+  assert.equal(parseSeed('12345'), 12345);
+  assert.equal(parseSeed('river run'), parseSeed(' river run '));
+  assert.notEqual(parseSeed('river run'), parseSeed('river walk'));
+  assert.equal(parseSeed(''), null);
+
+  const first = createRandom(7);
+  const second = createRandom(7);
+  const sequence = Array.from({ length: 5 }, () => first());
+  assert.deepEqual(Array.from({ length: 5 }, () => second()), sequence);
+  assert.ok(sequence.every(value => value >= 0 && value < 1));
+});
@@ -0,0 +1,81 @@
+// JSON course format: validateCourse's structure and layout checks, and loadCourse building a
+// race's gates, finish bridge and start pose from a course object or JSON text
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import FinishBridge from '../entities/finish_bridge.js';
+import { CourseValidationError, loadCourse, validateCourse } from '../core/course_loader.js';
+
+const defaultCourseJson = fs.readFileSync(new URL('../courses/default.json', import.meta.url), 'utf8');
+
+const ring = (x, y, z) => ({ position: { x, y, z }, orientation: { pitch: 0, yaw: 0, roll: 0 }, radius: 15, type: 'ring' });
+
+function courseWith(changes = {}) {
+  return {
+    format: 'air-race-course',
+    version: 1,
+    id: 'loader-test',
+    name: 'Loader Test',
+    start: { position: { x: 0, y: 20, z: -20 }, heading: 0 },
+    gates: [ring(0, 15, 60), ring(10, 15, 140)],
+    finish: { type: 'bridge', position: { x: 0, y: -4, z: 240 } },
+    ...changes
+  };
+}
+
+test('the default course is valid and loads from JSON text', () => {
+  assert.deepEqual(validateCourse(JSON.parse(defaultCourseJson)), { valid: true, errors: [], warnings: [] });
+
+  const { course, gates, finishBridge, start } = loadCourse(defaultCourseJson);
+  assert.equal(course.id, 'default');
+  assert.equal(gates.length, course.gates.length);
+  assert.deepEqual(gates.map(gate => gate.id), course.gates.map((_, index) => index));
+  assert.equal(gates[0].getObject().position.z, course.gates[0].position.z);
+  assert.ok(finishBridge instanceof FinishBridge);
+
+  // Course heading 0 is along +Z; the aircraft model's nose points along -Z
+  assert.deepEqual(start.position.toArray(), [0, 20, -20]);
+  assert.equal(start.heading, Math.PI);
+});
+
+test('reports every structural error', () => {
+  const { valid, errors } = validateCourse(courseWith({
+    format: 'something-else',
+    version: 99,
+    id: '',
+    gates: [{ position: { x: 0, y: 'high', z: 60 } }, { ...ring(0, 15, 140), type: 'hoop', radius: -1 }]
+  }));
+
+  assert.equal(valid, false);
+  assert.equal(errors.length, 6);
+  assert.ok(errors.some(error => /format/.test(error)));
+  assert.ok(errors.some(error => /version 99/.test(error)));
+  assert.ok(errors.some(error => /id is required/.test(error)));
+  assert.ok(errors.some(error => /Gate 1: position/.test(error)));
+  assert.ok(errors.some(error => /Gate 2: radius/.test(error)));
+  assert.ok(errors.some(error => /Gate 2: unknown type "hoop"/.test(error)));
+
+  assert.equal(validateCourse(courseWith({ gates: [] })).valid, false);
+  assert.equal(validateCourse(null).valid, false);
+});
+
+test('rejects overlapping and unreachable gates and a finish behind the last gate', () => {
+  const check = gates => validateCourse(courseWith({ gates })).errors;
+
+  assert.match(check([ring(0, 15, 60), ring(5, 15, 70)]).join('\n'), /Gate 2 overlaps gate 1/);
+  assert.match(check([ring(0, 15, 60), ring(0, 15, 30)]).join('\n'), /Gate 2 is unreachable/);
+  assert.match(check([ring(0, 15, 60), ring(0, -30, 140)]).join('\n'), /Gate 2 is unreachable: its opening is below the ground/);
+  assert.match(check([ring(0, 15, 60), ring(0, 200, 140)]).join('\n'), /Gate 2 is unreachable: \d+° climb/);
+
+  const finishBehind = validateCourse(courseWith({ finish: { type: 'bridge', position: { x: 0, y: -4, z: 100 } } }));
+  assert.match(finishBehind.errors.join('\n'), /Finish bridge is not/);
+});
+
+test('loadCourse throws a CourseValidationError listing the errors', () => {
+  assert.throws(
+    () => loadCourse(courseWith({ version: 2 })),
+    error => error instanceof CourseValidationError && error.errors.length === 1 && /version 2/.test(error.message)
+  );
+  assert.throws(() => loadCourse('{ not json'), CourseValidationError);
+});
@@ -0,0 +1,69 @@
+// Daily challenge: one course per UTC day, and only a pilot's first completed run of the day
+// is official
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import DailyChallengeService, { createDailyCourse, dailyDateKey, isDateKey } from '../services/daily_challenge.js';
+
+// localStorage stand-in
+function createMemoryStorage() {
+  const items = new Map();
+  return {
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value))
+  };
+}
+
+const TODAY = '2026-10-19';
+const at = (dateKey, time = '12:00:00') => () => new Date(`${dateKey}T${time}Z`);
+
+test('everyone gets the same course on a day, and another one the next day', () => {
+  const course = createDailyCourse(TODAY);
+  assert.equal(course.id, `daily-${TODAY}`);
+  assert.deepEqual(createDailyCourse(TODAY), course);
+  assert.notDeepEqual(createDailyCourse('2026-10-20').gates, course.gates);
+
+  assert.throws(() => createDailyCourse('2026-02-30'), /Invalid daily challenge date/);
+  assert.equal(isDateKey('2026-13-01'), false);
+});
+
+test('the day changes at midnight UTC', () => {
+  assert.equal(dailyDateKey(new Date('2026-10-19T23:59:59Z')), TODAY);
+  assert.equal(dailyDateKey(new Date('2026-10-20T00:00:00Z')), '2026-10-20');
+});
+
+test('only the first completed run of the day is official', () => {
+  const daily = new DailyChallengeService({ storage: createMemoryStorage(), now: at(TODAY) });
+
+  assert.equal(daily.isOfficialAttempt(TODAY, 'pilot-1'), true);
+  assert.equal(daily.recordOfficialRun(TODAY, 'pilot-1', 'run-1'), true);
+
+  assert.equal(daily.isOfficialAttempt(TODAY, 'pilot-1'), false);
+  assert.equal(daily.recordOfficialRun(TODAY, 'pilot-1', 'run-2'), false);
+  assert.equal(daily.getOfficialRunId(TODAY, 'pilot-1'), 'run-1');
+
+  // Other pilots still have their official attempt
+  assert.equal(daily.isOfficialAttempt(TODAY, 'pilot-2'), true);
+  assert.equal(daily.isOfficialAttempt(TODAY, null), false);
+});
+
+test('past days are practice and the official run survives a reload', () => {
+  const storage = createMemoryStorage();
+  const daily = new DailyChallengeService({ storage, now: at(TODAY) });
+
+  assert.equal(daily.isOfficialAttempt('2026-10-18', 'pilot-1'), false);
+  assert.equal(daily.recordOfficialRun('2026-10-18', 'pilot-1', 'run-0'), false);
+
+  daily.recordOfficialRun(TODAY, 'pilot-1', 'run-1');
+  const reloaded = new DailyChallengeService({ storage, now: at(TODAY, '23:00:00') });
+  assert.equal(reloaded.isOfficialAttempt(TODAY, 'pilot-1'), false);
+
+  // The next day is a new official attempt
+  const tomorrow = new DailyChallengeService({ storage, now: at('2026-10-20') });
+  assert.equal(tomorrow.isOfficialAttempt('2026-10-20', 'pilot-1'), true);
+
+  const calendar = tomorrow.getCalendar('pilot-1', 3);
+  assert.deepEqual(calendar.map(day => day.dateKey), ['2026-10-20', TODAY, '2026-10-18']);
+  assert.deepEqual(calendar.map(day => day.officialRunId), [null, 'run-1', null]);
+  assert.equal(calendar[0].isToday, true);
+});
@@ -0,0 +1,83 @@
+// Endless mode: the same seed always gives the same gates, difficulty ramps with distance, a
+// run ends at the miss limit, and endless runs rank by gates cleared, then distance flown
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  ENDLESS_GATES_AHEAD,
+  ENDLESS_GATES_BEHIND,
+  ENDLESS_MISS_LIMIT,
+  EndlessCourse,
+  EndlessGateGenerator,
+  endlessCourseId,
+  endlessDifficulty
+} from '../core/endless_course.js';
+import { RaceEvent, createHeadlessRace } from '../core/race_simulation.js';
+import { createRunRecord, rankForEndless, sortRuns } from '../services/leaderboard.js';
+
+const generateGates = (seed, count) => {
+  const generator = new EndlessGateGenerator(seed);
+  return Array.from({ length: count }, () => generator.next());
+};
+
+test('the same seed gives the same gates, another seed other gates', () => {
+  assert.deepEqual(generateGates(7, 30), generateGates(7, 30));
+  assert.notDeepEqual(generateGates(8, 30), generateGates(7, 30));
+
+  assert.equal(endlessCourseId(), 'endless');
+  assert.equal(endlessCourseId(7), 'endless-seed-7');
+});
+
+test('gates get harder with the distance flown', () => {
+  const easiest = endlessDifficulty(0);
+  const hardest = endlessDifficulty(1e6);
+  assert.equal(easiest.level, 0);
+  assert.equal(hardest.level, 1);
+  assert.ok(hardest.lateralSpread > easiest.lateralSpread);
+  assert.ok(hardest.radius < easiest.radius);
+
+  const gates = generateGates(1, 60);
+  assert.ok(gates[gates.length - 1].radius < gates[0].radius);
+});
+
+test('only a few gates are live around the target', () => {
+  const removed = [];
+  const course = new EndlessCourse({ seed: 3, onGateRemoved: gate => removed.push(gate.id) });
+
+  assert.equal(course.restart().length, ENDLESS_GATES_AHEAD + 1);
+  const targetIndex = course.extend(10);
+  assert.equal(targetIndex, ENDLESS_GATES_BEHIND);
+  assert.equal(course.gates[targetIndex].id, 10);
+  assert.equal(course.gates.length, ENDLESS_GATES_BEHIND + 1 + ENDLESS_GATES_AHEAD);
+  assert.deepEqual(removed, [0, 1, 2, 3, 4, 5, 6, 7]);
+});
+
+test('a run ends at the miss limit', () => {
+  const race = createHeadlessRace({ endless: new EndlessCourse({ seed: 5 }), countdownSeconds: 0 });
+  const result = race.run();
+
+  assert.equal(result.endless, true);
+  assert.equal(result.gatesMissed, ENDLESS_MISS_LIMIT);
+  assert.equal(result.gatesTotal, result.gatesPassed + result.gatesMissed);
+  assert.equal(race.getEvents(RaceEvent.GATE_MISSED).length, ENDLESS_MISS_LIMIT);
+  assert.equal(result.endCondition, 'completed');
+  assert.ok(result.distance > 0);
+});
+
+test('endless runs rank by gates cleared, then distance flown', () => {
+  const run = (pilotId, gatesPassed, distance, finishedAt) =>
+    createRunRecord({ pilotId, endless: true, gatesPassed, distance, rawTime: 60, finishedAt });
+  const runs = [
+    run('far', 10, 900, '2026-01-01T00:00:00Z'),
+    run('most', 12, 700, '2026-01-02T00:00:00Z'),
+    run('late', 10, 900, '2026-01-03T00:00:00Z'),
+    run('short', 10, 850, '2026-01-04T00:00:00Z')
+  ];
+
+  assert.equal(runs[0].mode, 'endless');
+  assert.deepEqual(sortRuns(runs).map(stored => stored.pilotId), ['most', 'far', 'late', 'short']);
+  assert.equal(rankForEndless(runs, 13, 0), 1);
+  assert.equal(rankForEndless(runs, 10, 900), 2);
+  assert.equal(rankForEndless(runs, 10, 860), 4);
+  assert.equal(rankForEndless(runs, 9, 5000), 5);
+});
@@ -0,0 +1,106 @@
+// Moving gates: oscillation, spin and iris as functions of race time, passes detected against
+// the moving gate, and the closed part of an iris as a solid part
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import Gate from '../entities/gate.js';
+import GateMotion, { IRIS_TRANSITION } from '../entities/gate_motion.js';
+import { validateCourse } from '../core/course_loader.js';
+
+const near = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not ${expected}`);
+
+function createMovingGate(motion) {
+  const gate = new Gate(0, { x: 0, y: 10, z: 100 }, { x: 0, y: 0, z: 0 }, { motion: new GateMotion(motion) });
+  gate.resetMotion();
+  return gate;
+}
+
+test('oscillation and spin follow race time', () => {
+  const motion = new GateMotion({ oscillate: { offset: { x: 20, y: 0, z: 0 }, period: 4 }, spin: { speed: 90 } });
+
+  near(motion.getOffset(0).x, 0);
+  near(motion.getOffset(1).x, 20); // A quarter period out
+  near(motion.getOffset(3).x, -20);
+  near(motion.getOffset(5).x, motion.getOffset(1).x);
+  near(motion.getSpin(2), Math.PI);
+
+  // phase shifts the cycle by a share of its period
+  const shifted = new GateMotion({ oscillate: { offset: { x: 20, y: 0, z: 0 }, period: 4, phase: 0.25 } });
+  near(shifted.getOffset(0).x, 20);
+
+  // Without a motion nothing moves
+  assert.deepEqual(new GateMotion().getOffset(3), { x: 0, y: 0, z: 0 });
+  assert.equal(new GateMotion().getIrisOpening(3), 1);
+});
+
+test('an iris opens at the start of its window and is closed again by its end', () => {
+  const motion = new GateMotion({ iris: { period: 6, open: 3 } });
+
+  assert.equal(motion.getIrisOpening(0), 0);
+  near(motion.getIrisOpening(IRIS_TRANSITION / 2), 0.5);
+  assert.equal(motion.getIrisOpening(1.5), 1);
+  near(motion.getIrisOpening(3 - IRIS_TRANSITION / 2), 0.5);
+  assert.equal(motion.getIrisOpening(4), 0);
+  assert.equal(motion.getIrisOpening(7.5), 1); // The next period
+});
+
+test('the gate is where its motion puts it at a race time, whatever happened before', () => {
+  const definition = { oscillate: { offset: { x: 20, y: 0, z: 0 }, period: 4 } };
+  const stepped = createMovingGate(definition);
+  for (let time = 0; time <= 1; time += 1 / 120) stepped.updateMotion(time);
+  stepped.updateMotion(1);
+
+  const jumped = createMovingGate(definition);
+  jumped.updateMotion(1);
+
+  assert.deepEqual(stepped.getObject().position.toArray(), jumped.getObject().position.toArray());
+  near(jumped.getObject().position.x, 20);
+});
+
+test('a pass is detected against the gate as it moves', () => {
+  const gate = createMovingGate({ oscillate: { offset: { x: 0, y: 0, z: -10 }, period: 4 } });
+
+  // The gate swings 10 units towards the aircraft within one step, onto a path that stays
+  // short of where the gate was
+  gate.updateMotion(1);
+  const pass = gate.getPass(new THREE.Vector3(0, 10, 88), new THREE.Vector3(0, 10, 89.5));
+  assert.ok(pass);
+  assert.deepEqual(pass.violations, []);
+});
+
+test('a closed iris blocks the opening and is solid', () => {
+  const gate = createMovingGate({ iris: { period: 6, open: 3 } });
+  const from = new THREE.Vector3(0, 10, 99);
+  const to = new THREE.Vector3(0, 10, 101);
+
+  // A pass is checked at the moment it happens within the latest step
+  const stepTo = time => {
+    gate.updateMotion(time - 1 / 120);
+    gate.updateMotion(time);
+  };
+
+  stepTo(4); // Closed
+  assert.equal(gate.getPass(from, to), null);
+  assert.equal(gate.getCollision(new THREE.Vector3(0, 10, 100), 1.5).part, 'iris');
+
+  stepTo(7.5); // Wide open
+  assert.ok(gate.getPass(from, to));
+  assert.equal(gate.getCollision(new THREE.Vector3(0, 10, 100), 1.5), null);
+});
+
+test('the loader only lets rings close with an iris and keeps pylons upright', () => {
+  const course = motion => ({
+    format: 'air-race-course',
+    version: 1,
+    id: 'motion-test',
+    start: { position: { x: 0, y: 20, z: -20 }, heading: 0 },
+    gates: [{ position: { x: 0, y: 15, z: 60 }, type: 'pylons', motion }],
+    finish: { type: 'bridge', position: { x: 0, y: -4, z: 240 } }
+  });
+
+  assert.equal(validateCourse(course({ oscillate: { offset: { x: 10, y: 0, z: 0 }, period: 4 } })).valid, true);
+  assert.match(validateCourse(course({ spin: { speed: 45 } })).errors.join('\n'), /cannot spin/);
+  assert.match(validateCourse(course({ iris: { period: 6, open: 3 } })).errors.join('\n'), /only a ring gate can have an iris/);
+  assert.match(validateCourse(course({ wobble: {} })).errors.join('\n'), /unknown motion "wobble"/);
+});
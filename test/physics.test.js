@@ -0,0 +1,70 @@
+// Swept gate detection: intersectSegmentWithDisc finds where the path between two positions
+// crosses a disc, however far apart the positions are
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { intersectSegmentWithDisc } from '../utils/physics.js';
+
+const RADIUS = 15;
+
+// Disc in the XY plane of an object at `position`, turned `yawDegrees` about Y
+function createDisc(position = new THREE.Vector3(), yawDegrees = 0) {
+  const disc = new THREE.Object3D();
+  disc.position.copy(position);
+  disc.rotation.y = yawDegrees * Math.PI / 180;
+  disc.updateMatrixWorld(true);
+  return disc;
+}
+
+const near = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not ${expected}`);
+
+test('finds the crossing point and time along the segment', () => {
+  const disc = createDisc(new THREE.Vector3(0, 10, 100));
+  const crossing = intersectSegmentWithDisc(new THREE.Vector3(3, 14, 99), new THREE.Vector3(3, 14, 103), disc, RADIUS);
+
+  near(crossing.time, 0.25);
+  assert.equal(crossing.direction, 1);
+  assert.deepEqual(crossing.point.toArray(), [3, 14, 100]);
+  near(crossing.offset.x, 3);
+  near(crossing.offset.y, 4);
+  near(crossing.distanceFromCentre, 5);
+  assert.equal(crossing.inside, true);
+});
+
+test('a step longer than the gate is deep still crosses it', () => {
+  const disc = createDisc(new THREE.Vector3(0, 10, 100));
+  const crossing = intersectSegmentWithDisc(new THREE.Vector3(0, 10, 40), new THREE.Vector3(0, 10, 160), disc, RADIUS);
+
+  near(crossing.time, 0.5);
+  assert.equal(crossing.inside, true);
+});
+
+test('tells the direction of travel and whether the opening was hit', () => {
+  const disc = createDisc(new THREE.Vector3(0, 10, 100));
+
+  const backwards = intersectSegmentWithDisc(new THREE.Vector3(0, 10, 101), new THREE.Vector3(0, 10, 99), disc, RADIUS);
+  assert.equal(backwards.direction, -1);
+
+  const outside = intersectSegmentWithDisc(new THREE.Vector3(20, 10, 99), new THREE.Vector3(20, 10, 101), disc, RADIUS);
+  assert.equal(outside.inside, false);
+  near(outside.distanceFromCentre, 20);
+});
+
+test('returns null when the segment stays on one side of the plane', () => {
+  const disc = createDisc(new THREE.Vector3(0, 10, 100));
+
+  assert.equal(intersectSegmentWithDisc(new THREE.Vector3(0, 10, 90), new THREE.Vector3(0, 10, 99), disc, RADIUS), null);
+  assert.equal(intersectSegmentWithDisc(new THREE.Vector3(0, 10, 101), new THREE.Vector3(0, 10, 110), disc, RADIUS), null);
+});
+
+test('works in the frame of a turned disc', () => {
+  // Turned 90° about Y: its +Z points along world +X
+  const disc = createDisc(new THREE.Vector3(50, 10, 0), 90);
+  const crossing = intersectSegmentWithDisc(new THREE.Vector3(45, 10, 2), new THREE.Vector3(55, 10, 2), disc, RADIUS);
+
+  assert.equal(crossing.direction, 1);
+  near(crossing.time, 0.5);
+  near(crossing.distanceFromCentre, 2);
+  assert.equal(intersectSegmentWithDisc(new THREE.Vector3(50, 10, -5), new THREE.Vector3(50, 10, 5), disc, RADIUS), null);
+});
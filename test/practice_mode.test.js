@@ -0,0 +1,90 @@
+// Practice mode: misses and crashes respawn the aircraft before the last gate passed, without
+// penalties, and any gate can be jumped to while the race runs
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RESPAWN_DISTANCE, RaceEvent, RaceState, createHeadlessRace } from '../core/race_simulation.js';
+
+const TICKS_PER_SECOND = 120;
+const DOWN = { up: false, down: true, left: false, right: false, rollLeft: false, rollRight: false, space: false };
+
+// Two gates straight ahead of the start, or the second one out of the way to be missed
+function createPracticeRace({ missSecondGate = false, practice = true } = {}) {
+  return createHeadlessRace({
+    course: {
+      format: 'air-race-course',
+      version: 1,
+      id: 'practice-test',
+      start: { position: { x: 0, y: 20, z: -20 }, heading: 0 },
+      gates: [
+        { position: { x: 0, y: 16, z: 20 } },
+        { position: { x: missSecondGate ? 60 : 0, y: 16, z: 60 } }
+      ],
+      finish: { type: 'bridge', position: { x: 0, y: -4, z: 160 } }
+    },
+    countdownSeconds: 0,
+    practice
+  });
+}
+
+test('a missed gate is flown again from before the last gate passed, without a penalty', () => {
+  const race = createPracticeRace({ missSecondGate: true });
+  const result = race.run(undefined, TICKS_PER_SECOND * 8);
+
+  const missed = race.getEvents(RaceEvent.GATE_MISSED);
+  assert.ok(missed.length >= 1);
+  assert.deepEqual(missed.map(miss => miss.penalty), missed.map(() => 0));
+
+  const respawned = race.getEvents(RaceEvent.RESPAWNED)[0];
+  assert.equal(respawned.reason, 'missedGate');
+  assert.equal(respawned.gateIndex, 0);
+  assert.ok(Math.abs(respawned.position.z - (20 - RESPAWN_DISTANCE)) < 1e-6);
+
+  // Still racing, the first gate the target again
+  assert.equal(race.state, RaceState.PLAYING);
+  assert.equal(result.penaltyTime, 0);
+  assert.equal(result.practice, true);
+  assert.ok(result.respawns >= 1);
+});
+
+test('a crash respawns a repaired aircraft instead of ending the run', () => {
+  const race = createPracticeRace();
+  race.run(() => DOWN, TICKS_PER_SECOND * 3);
+
+  const respawned = race.getEvents(RaceEvent.RESPAWNED);
+  assert.ok(respawned.length >= 1);
+  assert.equal(respawned[0].reason, 'Crash! Your aircraft hit the ground');
+  assert.equal(respawned[0].gateIndex, -1); // No gate passed yet: back to the start
+  assert.deepEqual(race.getEvents(RaceEvent.FINISHED), []);
+  assert.equal(race.state, RaceState.PLAYING);
+  assert.equal(race.aircraft.damage, 0);
+  assert.equal(race.getResult().penaltyTime, 0);
+});
+
+test('any gate can be jumped to once the practice race runs', () => {
+  const race = createPracticeRace();
+  assert.equal(race.jumpToGate(1), false); // Not started
+
+  race.start();
+  race.step();
+  assert.equal(race.state, RaceState.PLAYING);
+  assert.equal(race.jumpToGate(2), false); // No such gate
+  assert.equal(race.jumpToGate(1), true);
+  assert.equal(race.currentGateIndex, 1);
+  assert.ok(Math.abs(race.getAircraftPosition().z - (60 - RESPAWN_DISTANCE)) < 1e-6);
+
+  // Also from the pause menu
+  race.pause();
+  assert.equal(race.canJumpToGate(), true);
+  assert.equal(race.jumpToGate(0), true);
+  assert.equal(race.getResult().respawns, 2);
+});
+
+test('a race that is not practice crashes and cannot jump', () => {
+  const race = createPracticeRace({ practice: false });
+  const result = race.run(() => DOWN, TICKS_PER_SECOND * 3);
+
+  assert.equal(result.endCondition, 'crashed');
+  assert.equal(race.jumpToGate(0), false);
+  assert.deepEqual(race.getEvents(RaceEvent.RESPAWNED), []);
+});
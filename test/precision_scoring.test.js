@@ -0,0 +1,45 @@
+// Precision scoring: gate passes scored by ring, the run's precision rating, and equal final
+// times ranked by precision score
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MAX_GATE_POINTS, precisionRating, scoreGatePass } from '../core/precision_scoring.js';
+import { createRunRecord, rankForTime, sortRuns } from '../services/leaderboard.js';
+
+test('scores a pass by the ring it crossed', () => {
+  assert.deepEqual(scoreGatePass(0, 15), { ring: 'centre', label: 'PERFECT', points: 100, accuracy: 1 });
+  assert.equal(scoreGatePass(5, 15).ring, 'centre'); // On the ring boundary
+  assert.equal(scoreGatePass(6, 15).ring, 'middle');
+  assert.equal(scoreGatePass(6, 15).points, 50);
+  assert.equal(scoreGatePass(10, 15).ring, 'middle');
+  assert.equal(scoreGatePass(12, 15).label, 'OK');
+  assert.equal(scoreGatePass(12, 15).points, 0);
+  assert.equal(scoreGatePass(15, 15).accuracy, 0);
+
+  // The rings are shares of the radius, so a smaller gate needs a more precise pass
+  assert.equal(scoreGatePass(3, 8).ring, 'middle');
+});
+
+test('rates a run against the best possible score, missed gates counting zero', () => {
+  assert.equal(precisionRating(8 * MAX_GATE_POINTS, 8), 100);
+  assert.equal(precisionRating(4 * MAX_GATE_POINTS, 8), 50);
+  assert.equal(precisionRating(150, 8), 19);
+  assert.equal(precisionRating(0, 0), 0);
+});
+
+test('ranks equal final times by precision score, then by who set the time first', () => {
+  const run = (pilotId, rawTime, penaltyTime, precisionScore, finishedAt) =>
+    createRunRecord({ pilotId, rawTime, penaltyTime, precisionScore, finishedAt });
+  const runs = [
+    run('sloppy', 40, 0, 100, '2026-01-01T00:00:00Z'),
+    run('precise', 30, 10, 500, '2026-01-03T00:00:00Z'),
+    run('early', 40, 0, 500, '2026-01-02T00:00:00Z'),
+    run('fast', 35, 0, 0, '2026-01-04T00:00:00Z')
+  ];
+
+  assert.deepEqual(sortRuns(runs).map(stored => stored.pilotId), ['fast', 'early', 'precise', 'sloppy']);
+  assert.equal(rankForTime(runs, 40, 600), 2);
+  assert.equal(rankForTime(runs, 40, 500), 2);
+  assert.equal(rankForTime(runs, 40, 200), 4);
+  assert.equal(rankForTime(runs, 41, 800), 5);
+});
@@ -0,0 +1,97 @@
+// Pylon gates: passing between twin pylons wings level, knife-edge pylons rolled to about 90°,
+// a single pylon on its side, and never above the pylon tops - and the penalties a race adds
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { KnifeEdgeGate, PYLON_TOP, SinglePylonGate, TwinPylonGate } from '../entities/pylon_gate.js';
+import { GATE_RULE_PENALTIES, RaceEvent, createHeadlessRace } from '../core/race_simulation.js';
+
+const GATE_POSITION = { x: 0, y: 10, z: 100 };
+const degrees = value => value * Math.PI / 180;
+
+// Aircraft stand-in: getPass only reads the bank and the wing span
+const aircraft = (rollDegrees = 0) => ({ roll: degrees(rollDegrees), wingSpan: 5 });
+
+function createGate(GateType, options = {}) {
+  const gate = new GateType(0, { ...GATE_POSITION }, { x: 0, y: 0, z: 0 }, options);
+  gate.getObject().updateMatrixWorld(true);
+  return gate;
+}
+
+// Path from just before to just after the pylon line, at `x` and `height` above the gate position
+function flyThrough(gate, x, height, flyingAircraft) {
+  const from = new THREE.Vector3(x, GATE_POSITION.y + height, GATE_POSITION.z - 1);
+  const to = new THREE.Vector3(x, GATE_POSITION.y + height, GATE_POSITION.z + 1);
+  return gate.getPass(from, to, flyingAircraft);
+}
+
+test('twin pylons are passed between them with the wings level', () => {
+  const gate = createGate(TwinPylonGate);
+
+  assert.deepEqual(flyThrough(gate, 3, 0, aircraft(0)).violations, []);
+  assert.deepEqual(flyThrough(gate, 3, 0, aircraft(-10)).violations, []);
+  assert.deepEqual(flyThrough(gate, 3, 0, aircraft(30)).violations, ['incorrectLevel']);
+  assert.equal(flyThrough(gate, 3, 0, aircraft(0)).crossing.distanceFromCentre, 3);
+
+  // Outside the pylons, or through them backwards, is no pass
+  assert.equal(flyThrough(gate, gate.radius + 1, 0, aircraft(0)), null);
+  const backwards = gate.getPass(new THREE.Vector3(0, 10, 101), new THREE.Vector3(0, 10, 99), aircraft(0));
+  assert.equal(backwards, null);
+});
+
+test('knife-edge pylons are passed rolled to about 90° either way', () => {
+  const gate = createGate(KnifeEdgeGate);
+
+  assert.deepEqual(flyThrough(gate, 0, 0, aircraft(90)).violations, []);
+  assert.deepEqual(flyThrough(gate, 0, 0, aircraft(-75)).violations, []);
+  assert.deepEqual(flyThrough(gate, 0, 0, aircraft(60)).violations, ['noKnifeEdge']);
+  assert.deepEqual(flyThrough(gate, 0, 0, aircraft(0)).violations, ['noKnifeEdge']);
+});
+
+test('no wingtip may be above the pylon tops', () => {
+  const gate = createGate(TwinPylonGate);
+
+  assert.deepEqual(flyThrough(gate, 0, PYLON_TOP - 1, aircraft(0)).violations, []);
+  assert.deepEqual(flyThrough(gate, 0, PYLON_TOP + 1, aircraft(0)).violations, ['tooHigh']);
+
+  // Rolled to knife-edge the upper wingtip is half the span above the centre
+  const knifeEdge = createGate(KnifeEdgeGate);
+  assert.deepEqual(flyThrough(knifeEdge, 0, PYLON_TOP - 2, aircraft(90)).violations, ['tooHigh']);
+  assert.deepEqual(flyThrough(knifeEdge, 0, PYLON_TOP - 2, aircraft(0)).violations, ['noKnifeEdge']);
+  assert.deepEqual(flyThrough(knifeEdge, 0, PYLON_TOP + 1, aircraft(0)).violations, ['tooHigh', 'noKnifeEdge']);
+});
+
+test('a single pylon is kept on its side, at any bank', () => {
+  // Facing +Z the aircraft's left is +X, so a pylon kept on the left is passed at negative x
+  const left = createGate(SinglePylonGate, { side: 'left' });
+  assert.deepEqual(flyThrough(left, -10, 0, aircraft(30)).violations, []);
+  assert.deepEqual(flyThrough(left, 10, 0, aircraft(0)).violations, ['wrongSide']);
+
+  const right = createGate(SinglePylonGate, { side: 'right' });
+  assert.deepEqual(flyThrough(right, 10, 0, aircraft(0)).violations, []);
+  assert.equal(flyThrough(right, right.radius + 1, 0, aircraft(0)), null);
+});
+
+test('a broken rule still passes the gate, with a time penalty', () => {
+  const pylons = type => ({ position: { x: 0, y: 12, z: 60 }, orientation: { pitch: 0, yaw: 0, roll: 0 }, type });
+  const race = createHeadlessRace({
+    course: {
+      format: 'air-race-course',
+      version: 1,
+      id: 'pylon-test',
+      start: { position: { x: 0, y: 20, z: -20 }, heading: 0 },
+      gates: [pylons('pylons'), { ...pylons('knifeEdge'), position: { x: 0, y: 12, z: 140 } }],
+      finish: { type: 'bridge', position: { x: 0, y: -4, z: 240 } }
+    },
+    countdownSeconds: 0
+  });
+  const result = race.run();
+
+  const passes = race.getEvents(RaceEvent.GATE_PASSED);
+  assert.deepEqual(passes.map(pass => pass.gateType), ['pylons', 'knifeEdge']);
+  assert.deepEqual(passes.map(pass => pass.violations), [[], ['noKnifeEdge']]);
+  assert.deepEqual(race.getEvents(RaceEvent.PENALTY).map(penalty => penalty.reason), ['noKnifeEdge']);
+  assert.equal(result.gatesPassed, 2);
+  assert.equal(result.penaltyTime, GATE_RULE_PENALTIES.noKnifeEdge);
+});
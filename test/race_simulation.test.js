@@ -0,0 +1,149 @@
+// Headless races (createHeadlessRace) flown with scripted input: countdown, gate pass, missed
+// gate, finish and crash, checked through the events and getResult()
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  COUNTDOWN_SECONDS,
+  FALSE_START_PENALTY,
+  MISSED_GATE_PENALTY,
+  RaceEvent,
+  RaceState,
+  SIMULATION_STEP,
+  createHeadlessRace
+} from '../core/race_simulation.js';
+
+const CRUISE_HEIGHT = 20;
+
+// Straight along +Z: the first gate is on the line, the second one far off it, and the bridge
+// is low enough to be flown over at cruise height
+const COURSE = {
+  format: 'air-race-course',
+  version: 1,
+  id: 'headless-test',
+  name: 'Headless Test',
+  start: { position: { x: 0, y: CRUISE_HEIGHT, z: -20 }, heading: 0 },
+  gates: [
+    { position: { x: 0, y: CRUISE_HEIGHT, z: 60 }, orientation: { pitch: 0, yaw: 0, roll: 0 }, radius: 15, type: 'ring' },
+    { position: { x: 60, y: CRUISE_HEIGHT, z: 140 }, orientation: { pitch: 0, yaw: 0, roll: 0 }, radius: 15, type: 'ring' }
+  ],
+  finish: { type: 'bridge', position: { x: 0, y: -4, z: 240 } }
+};
+
+// Scripted input: nose up whenever the aircraft has sunk below cruise height, nothing during
+// the countdown unless `countdownInput` is given
+function altitudeHold(race, countdownInput = {}) {
+  return () => {
+    if (race.state === RaceState.COUNTDOWN) return countdownInput;
+    return { up: race.aircraft.getObject().position.y < CRUISE_HEIGHT };
+  };
+}
+
+test('counts down 3-2-1 and starts the race timer on GO', () => {
+  const race = createHeadlessRace({ course: COURSE });
+  race.start();
+  assert.equal(race.state, RaceState.COUNTDOWN);
+
+  const countdownTicks = COUNTDOWN_SECONDS / SIMULATION_STEP;
+  for (let tick = 0; tick < countdownTicks - 1; tick++) race.step();
+  assert.equal(race.state, RaceState.COUNTDOWN);
+  assert.equal(race.getRaceTime(), 0);
+  assert.equal(race.aircraft.getObject().position.z, COURSE.start.position.z); // Held at the start
+
+  race.step();
+  assert.equal(race.state, RaceState.PLAYING);
+  assert.deepEqual(race.getEvents(RaceEvent.COUNTDOWN).map(event => event.count), [3, 2, 1]);
+  assert.equal(race.getEvents(RaceEvent.GO)[0].tick, countdownTicks);
+
+  race.step();
+  assert.equal(race.getRaceTime(), SIMULATION_STEP);
+});
+
+test('the race timer stays at 0 while the countdown is paused', () => {
+  const race = createHeadlessRace({ course: COURSE });
+  race.run(altitudeHold(race));
+  race.reset();
+
+  // The next race's countdown, paused
+  race.start();
+  for (let tick = 0; tick < 1 / SIMULATION_STEP; tick++) race.step();
+  assert.equal(race.pause(), true);
+  race.step();
+  assert.equal(race.getRaceTime(), 0);
+
+  race.resume();
+  while (race.state === RaceState.COUNTDOWN) race.step();
+  assert.equal(race.getRaceTime(), 0);
+  race.step();
+  race.pause();
+  assert.equal(race.getRaceTime(), SIMULATION_STEP); // Paused while racing, the timer holds
+});
+
+test('passes a gate, misses a gate and finishes over the bridge', () => {
+  const race = createHeadlessRace({ course: COURSE });
+  const result = race.run(altitudeHold(race));
+
+  assert.equal(result.endCondition, 'completed');
+  assert.equal(result.reason, 'Flew over bridge');
+  assert.equal(result.gatesPassed, 1);
+  assert.equal(result.gatesMissed, 1);
+  assert.equal(result.gatesTotal, 2);
+  assert.equal(result.penaltyTime, MISSED_GATE_PENALTY);
+  assert.equal(result.finalTime, result.rawTime + MISSED_GATE_PENALTY);
+
+  // About 280 units at the minimum speed of 16, timed in whole simulation steps
+  assert.ok(result.rawTime > 15 && result.rawTime < 20, `raw time ${result.rawTime}`);
+  assert.ok(Math.abs(result.rawTime / SIMULATION_STEP - Math.round(result.rawTime / SIMULATION_STEP)) < 1e-6);
+
+  const [passed] = race.getEvents(RaceEvent.GATE_PASSED);
+  assert.equal(passed.gateId, 0);
+  assert.ok(passed.distanceFromCentre < 15);
+  const [missed] = race.getEvents(RaceEvent.GATE_MISSED);
+  assert.equal(missed.gateId, 1);
+  assert.equal(missed.penalty, MISSED_GATE_PENALTY);
+
+  assert.deepEqual(result.splits.map(split => split.point), ['gate', 'gate', 'bridge']);
+  assert.equal(race.getEvents(RaceEvent.FINISHED).length, 1);
+});
+
+test('a missed gate fades on race time, not while paused', () => {
+  const race = createHeadlessRace({ course: COURSE });
+  const input = altitudeHold(race);
+  race.start();
+  while (race.getEvents(RaceEvent.GATE_MISSED).length === 0) race.step(input());
+  const missedGate = race.gates[1];
+
+  race.pause();
+  for (let tick = 0; tick < 2 / SIMULATION_STEP; tick++) race.step(input());
+  assert.notEqual(missedGate.missedAt, null); // Still red
+
+  race.resume();
+  for (let tick = 0; tick < 1 / SIMULATION_STEP; tick++) race.step(input());
+  assert.equal(missedGate.missedAt, null);
+  assert.equal(missedGate.getObject().children[0].material.opacity, 0.5); // Faded to gray
+});
+
+test('the same input always gives the same result', () => {
+  const first = createHeadlessRace({ course: COURSE });
+  const second = createHeadlessRace({ course: COURSE });
+
+  assert.deepEqual(second.run(altitudeHold(second)), first.run(altitudeHold(first)));
+});
+
+test('control input before GO is a false start', () => {
+  const race = createHeadlessRace({ course: COURSE });
+  const result = race.run(altitudeHold(race, { left: true }));
+
+  assert.equal(race.getEvents(RaceEvent.FALSE_START).length, 1);
+  assert.equal(result.penaltyTime, FALSE_START_PENALTY + MISSED_GATE_PENALTY);
+});
+
+test('crashes into the ground when diving', () => {
+  const race = createHeadlessRace({ course: COURSE });
+  const result = race.run(() => (race.state === RaceState.PLAYING ? { down: true } : {}));
+
+  assert.equal(race.state, RaceState.CRASHED);
+  assert.equal(result.endCondition, 'crashed');
+  assert.equal(result.gatesPassed, 0);
+  assert.equal(race.getEvents(RaceEvent.CRASHED).length, 1);
+});
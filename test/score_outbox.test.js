@@ -0,0 +1,146 @@
+// Score outbox against the leaderboard stand-in server: runs stay queued (and persisted)
+// while the server is down, are deduplicated by runId and are uploaded once it is back; runs
+// the server rejects are parked instead. Both leaderboard backends keep the first record of a
+// run that is submitted again.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createLeaderboardServer } from '../server/leaderboard_server.js';
+import LeaderboardService, {
+  LeaderboardRequestError,
+  LocalLeaderboardBackend,
+  RestLeaderboardBackend
+} from '../services/leaderboard.js';
+import ScoreOutbox from '../services/score_outbox.js';
+
+// localStorage stand-in
+function createMemoryStorage() {
+  const items = new Map();
+  return {
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value))
+  };
+}
+
+function waitFor(condition, timeoutMs = 2000) {
+  const started = Date.now();
+  return new Promise((resolve, reject) => {
+    const check = () => {
+      if (condition()) {
+        resolve();
+      } else if (Date.now() - started > timeoutMs) {
+        reject(new Error(`Condition not met within ${timeoutMs}ms`));
+      } else {
+        setTimeout(check, 10);
+      }
+    };
+    check();
+  });
+}
+
+const RUN = {
+  runId: 'run-outbox-test',
+  pilotId: 'pilot-1',
+  pilotName: 'Maverick',
+  courseId: 'default',
+  rawTime: 42.5,
+  penaltyTime: 10,
+  gatesPassed: 7,
+  gatesTotal: 8
+};
+
+test('queues runs while the leaderboard is down and uploads them once it is back', async (t) => {
+  const server = await createLeaderboardServer({ port: 0 }).start();
+  const storage = createMemoryStorage();
+  const outbox = new ScoreOutbox(new LeaderboardService(new RestLeaderboardBackend(server.url)), {
+    storage,
+    baseRetryDelayMs: 20,
+    maxRetryDelayMs: 50
+  });
+  t.after(async () => {
+    outbox.dispose();
+    await server.stop();
+  });
+
+  server.setAvailable(false);
+  await assert.rejects(outbox.submit(RUN), /queued for upload/);
+  assert.equal(outbox.pendingCount, 1);
+
+  // The same run again (e.g. a retried submit) is not queued twice
+  await assert.rejects(outbox.submit(RUN), /queued for upload/);
+  assert.equal(outbox.pendingCount, 1);
+
+  // Queued runs survive a reload
+  const reloaded = new ScoreOutbox(null, { storage });
+  assert.deepEqual(reloaded.pending.map(run => run.runId), [RUN.runId]);
+  assert.equal(server.runs.length, 0);
+
+  // The retry uploads it once the server is back
+  server.setAvailable(true);
+  await waitFor(() => outbox.pendingCount === 0);
+  assert.deepEqual(server.runs.map(run => run.runId), [RUN.runId]);
+  assert.equal(server.runs[0].finalTime, 52.5);
+  assert.deepEqual(JSON.parse(storage.getItem('airRaceScoreOutbox')), []);
+
+  // Submitting the uploaded run again does not store it twice
+  await outbox.submit(RUN);
+  assert.equal(server.runs.length, 1);
+});
+
+test('parks runs that are rejected for good and uploads the runs behind them', async (t) => {
+  const server = await createLeaderboardServer({ port: 0 }).start();
+  t.after(() => server.stop());
+
+  // The server answers 400 to one run; another was queued by an older version of the game with
+  // a time that is no longer accepted
+  const fetchImpl = (url, options = {}) => (options.body && JSON.parse(options.body).runId === 'run-refused'
+    ? Promise.resolve({ ok: false, status: 400 })
+    : fetch(url, options));
+  const storage = createMemoryStorage();
+  storage.setItem('airRaceScoreOutbox', JSON.stringify([
+    { ...RUN, runId: 'run-refused' },
+    { ...RUN, runId: 'run-invalid', rawTime: -1 },
+    RUN
+  ]));
+
+  const leaderboard = new LeaderboardService(new RestLeaderboardBackend(server.url, { fetchImpl }));
+  const outbox = new ScoreOutbox(leaderboard, { storage });
+  t.after(() => outbox.dispose());
+  await outbox.flush();
+
+  assert.equal(outbox.pendingCount, 0);
+  assert.equal(outbox.retryTimer, null);
+  assert.deepEqual(server.runs.map(run => run.runId), [RUN.runId]);
+  assert.deepEqual(outbox.rejected.map(parked => [parked.run.runId, parked.status]), [['run-refused', 400], ['run-invalid', undefined]]);
+  assert.equal(JSON.parse(storage.getItem('airRaceScoreOutboxRejected')).length, 2);
+
+  // Submitting a refused run tells that it was rejected, not that it waits for the server
+  await assert.rejects(outbox.submit({ ...RUN, runId: 'run-refused' }), /rejected by the leaderboard/);
+});
+
+test('only 4xx answers other than a timeout or rate limit are permanent', () => {
+  const isPermanent = status => new LeaderboardRequestError('/runs', status).isPermanent;
+
+  assert.equal(isPermanent(400), true);
+  assert.equal(isPermanent(422), true);
+  assert.equal(isPermanent(408), false);
+  assert.equal(isPermanent(429), false);
+  assert.equal(isPermanent(503), false);
+});
+
+async function checkResubmission(leaderboard) {
+  const stored = await leaderboard.submitRun(RUN);
+  const resubmitted = await leaderboard.submitRun({ ...RUN, rawTime: 30 });
+
+  assert.deepEqual(resubmitted, stored);
+  assert.equal(resubmitted.finalTime, 52.5);
+  assert.deepEqual((await leaderboard.getTop('default')).map(run => run.runId), [RUN.runId]);
+}
+
+test('a run submitted again keeps its first record, locally and on the server', async (t) => {
+  await checkResubmission(new LeaderboardService(new LocalLeaderboardBackend(null)));
+
+  const server = await createLeaderboardServer({ port: 0 }).start();
+  t.after(() => server.stop());
+  await checkResubmission(new LeaderboardService(new RestLeaderboardBackend(server.url)));
+});
@@ -0,0 +1,67 @@
+// Split times: the race time at every gate flown and at the bridge, and the delta of each split
+// to the pilot's personal best on the course
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compareSplits, formatDelta, splitDelta, splitLabel } from '../core/split_times.js';
+import { MAX_SPLITS, normalizeSplits } from '../utils/splits.js';
+import { RaceEvent, createHeadlessRace } from '../core/race_simulation.js';
+
+const gate = (gateIndex, time, lap = 1) => ({ point: 'gate', gateIndex, lap, time });
+const bridge = (time, lap = 1) => ({ point: 'bridge', gateIndex: null, lap, time });
+
+test('a split is ahead of the best with a negative delta', () => {
+  const best = [gate(0, 5), gate(1, 10), bridge(15)];
+  const splits = [gate(0, 4.5), gate(1, 10.25), bridge(14)];
+
+  assert.equal(splitDelta(splits, best, 0), -0.5);
+  assert.equal(splitDelta(splits, best, 1), 0.25);
+  assert.equal(formatDelta(-0.5), '-0.50');
+  assert.equal(formatDelta(0.25), '+0.25');
+  assert.equal(formatDelta(0), '+0.00');
+
+  assert.deepEqual(compareSplits(splits, best).map(split => split.delta), [-0.5, 0.25, -1]);
+});
+
+test('there is no delta without a matching split of the best run', () => {
+  assert.equal(splitDelta([gate(0, 5)], null, 0), null);
+  assert.equal(splitDelta([gate(0, 5), gate(1, 9)], [gate(0, 6)], 1), null);
+  assert.equal(splitDelta([gate(0, 5, 2)], [gate(0, 6, 1)], 0), null); // Another lap
+  assert.deepEqual(compareSplits([gate(0, 5)]).map(split => split.delta), [null]);
+});
+
+test('labels a split by its gate, the lap line or the finish', () => {
+  assert.equal(splitLabel(gate(2, 10)), 'Gate 3');
+  assert.equal(splitLabel(bridge(20)), 'Finish');
+  assert.equal(splitLabel(gate(2, 10, 2), 3), 'Lap 2 · Gate 3');
+  assert.equal(splitLabel(bridge(20, 2), 3), 'Lap 2 · Lap line');
+  assert.equal(splitLabel(bridge(30, 3), 3), 'Lap 3 · Finish');
+});
+
+test('stores only well-formed splits, to the millisecond', () => {
+  const stored = normalizeSplits([gate(0, 4.12345), { point: 'loop', time: 3 }, null, gate(1, 'soon'), { point: 'bridge', time: '9.5' }]);
+  assert.deepEqual(stored, [gate(0, 4.123), bridge(9.5)]);
+
+  assert.deepEqual(normalizeSplits(undefined), []);
+  assert.equal(normalizeSplits(Array.from({ length: MAX_SPLITS + 5 }, (_, index) => gate(0, index))).length, MAX_SPLITS);
+});
+
+test('a race records a split at every gate and at the finish', () => {
+  const race = createHeadlessRace({
+    course: {
+      format: 'air-race-course',
+      version: 1,
+      id: 'split-test',
+      start: { position: { x: 0, y: 20, z: -20 }, heading: 0 },
+      gates: [{ position: { x: 0, y: 12, z: 60 } }, { position: { x: 0, y: 12, z: 140 } }],
+      finish: { type: 'bridge', position: { x: 0, y: -4, z: 240 } }
+    },
+    countdownSeconds: 0
+  });
+  const result = race.run();
+
+  assert.deepEqual(result.splits.map(split => split.point), ['gate', 'gate', 'bridge']);
+  assert.deepEqual(result.splits.map(split => split.gateIndex), [0, 1, null]);
+  assert.ok(result.splits[0].time < result.splits[1].time && result.splits[1].time <= result.rawTime);
+  assert.deepEqual(race.getEvents(RaceEvent.SPLIT).map(split => split.index), [0, 1, 2]);
+});
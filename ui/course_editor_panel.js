@@ -0,0 +1,176 @@
+// Course editor panel
+// Toolbar of the course editor: gate and bridge tools, camera mode, validation messages,
+// JSON export/import and leaving the editor
+
+class CourseEditorPanel {
+  constructor(parentElement, {
+    onAction = () => {}, // Called with the data-action of a button
+    onImport = () => {}, // Called with the text of the chosen JSON file
+    onClose = () => {}
+  } = {}) {
+    this.onAction = onAction;
+    this.onImport = onImport;
+    this.onClose = onClose;
+
+    this.createElements(parentElement);
+  }
+
+  createElements(parentElement) {
+    this.element = document.createElement('div');
+    this.element.id = 'course-editor-panel';
+    this.element.style.position = 'absolute';
+    this.element.style.top = '20px';
+    this.element.style.right = '20px';
+    this.element.style.width = '300px';
+    this.element.style.maxHeight = 'calc(100% - 40px)';
+    this.element.style.overflowY = 'auto';
+    this.element.style.backgroundColor = 'rgba(0, 0, 0, 0.8)';
+    this.element.style.padding = '15px 20px';
+    this.element.style.borderRadius = '10px';
+    this.element.style.fontFamily = 'Arial, sans-serif';
+    this.element.style.fontSize = '14px';
+    this.element.style.color = 'white';
+    this.element.style.zIndex = '1030';
+    this.element.style.pointerEvents = 'auto';
+    this.element.style.display = 'none';
+    this.element.innerHTML = `
+      <h3 style="margin: 0 0 4px;">Course Editor</h3>
+      <p class="editor-course" style="margin: 0 0 10px; color: #cccccc;"></p>
+      <p class="editor-selection" style="margin: 0 0 10px;"></p>
+      <div>
+        <button data-action="translate">Move (1)</button>
+        <button data-action="rotate">Rotate (2)</button>
+        <button data-action="focus">Focus (F)</button>
+      </div>
+      <div>
+        <button data-action="addGate">Add gate (N)</button>
+        <button data-action="deleteGate">Delete gate (Del)</button>
+      </div>
+      <div>
+        <button data-action="moveEarlier">Earlier ([)</button>
+        <button data-action="moveLater">Later (])</button>
+        <button data-action="orientGates">Orient along line (O)</button>
+        <button data-action="gateType">Type (T)</button>
+      </div>
+      <div>
+        <button data-action="camera">Camera: orbit (C)</button>
+        <button data-action="makeFlyable">Make flyable</button>
+      </div>
+      <div class="editor-messages" style="margin: 10px 0;"></div>
+      <div>
+        <button data-action="export">Export JSON</button>
+        <button data-action="import">Import JSON</button>
+        <input type="file" accept=".json,application/json" style="display: none;" />
+      </div>
+      <div>
+        <button data-action="fly">Fly this course</button>
+        <button data-action="close">Close (Esc)</button>
+      </div>
+      <p style="margin: 10px 0 0; font-size: 12px; color: #cccccc;">
+        Click a gate or the bridge to select it, then drag the handles.
+        Orbit camera: drag to rotate, right-drag to pan, wheel to zoom.
+        Free camera: WASD to move, R/F up/down, drag to look.
+      </p>
+    `;
+    this.element.querySelectorAll('button').forEach(button => {
+      button.style.margin = '3px 4px 3px 0';
+      button.style.padding = '5px 10px';
+      button.style.cursor = 'pointer';
+    });
+    parentElement.appendChild(this.element);
+
+    this.courseElement = this.element.querySelector('.editor-course');
+    this.selectionElement = this.element.querySelector('.editor-selection');
+    this.messagesElement = this.element.querySelector('.editor-messages');
+    this.fileInput = this.element.querySelector('input[type="file"]');
+
+    this.element.querySelectorAll('button[data-action]').forEach(button => {
+      button.addEventListener('click', () => {
+        const action = button.dataset.action;
+        if (action === 'import') {
+          this.fileInput.click();
+        } else if (action === 'close') {
+          this.onClose();
+        } else {
+          this.onAction(action);
+        }
+      });
+    });
+
+    this.fileInput.addEventListener('change', () => {
+      const [file] = this.fileInput.files;
+      this.fileInput.value = ''; // Importing the same file again still fires 'change'
+      if (!file) return;
+      file.text()
+        .then(text => this.onImport(text))
+        .catch(error => this.showMessage(`Could not read ${file.name}: ${error.message}`));
+    });
+  }
+
+  // state: CourseEditor.getState()
+  render(state) {
+    this.courseElement.textContent = state.courseName;
+    this.selectionElement.textContent = state.selectionLabel;
+
+    const selectedGate = Boolean(state.selection && state.selection.kind === 'gate');
+    this.element.querySelectorAll('button[data-action]').forEach(button => {
+      const action = button.dataset.action;
+      if (['rotate', 'deleteGate', 'moveEarlier', 'moveLater', 'gateType'].includes(action)) {
+        button.disabled = !selectedGate;
+      }
+      if (action === 'translate' || action === 'rotate') {
+        button.style.fontWeight = state.transformMode === action ? 'bold' : 'normal';
+      }
+      if (action === 'camera') {
+        button.textContent = `Camera: ${state.cameraMode} (C)`;
+      }
+      if (action === 'fly') {
+        button.disabled = !state.valid;
+      }
+      if (action === 'makeFlyable') {
+        button.disabled = state.flyable;
+      }
+    });
+
+    // Messages can quote imported text, so they go in as text rather than HTML
+    const lines = [
+      ...state.errors.map(text => ({ text, color: '#ff6666' })),
+      ...state.flightProblems.map(text => ({ text: `Not flyable: ${text}`, color: '#ff9966' })),
+      ...state.warnings.map(text => ({ text, color: '#ffcc66' }))
+    ];
+    if (lines.length === 0) {
+      this.messagesElement.innerHTML = '<span style="color: #66ff66;">Course is valid</span>';
+      return;
+    }
+    const list = document.createElement('ul');
+    list.style.margin = '0';
+    list.style.paddingLeft = '18px';
+    lines.forEach(({ text, color }) => {
+      const item = document.createElement('li');
+      item.style.color = color;
+      item.textContent = text;
+      list.appendChild(item);
+    });
+    this.messagesElement.innerHTML = '';
+    this.messagesElement.appendChild(list);
+  }
+
+  showMessage(message) {
+    this.messagesElement.innerHTML = `<span style="color: #ff6666;"></span>`;
+    this.messagesElement.firstChild.textContent = message;
+  }
+
+  show() {
+    this.element.style.display = 'block';
+  }
+
+  hide() {
+    this.element.style.display = 'none';
+  }
+
+  isVisible() {
+    return this.element.style.display !== 'none';
+  }
+}
+
+export default CourseEditorPanel;
@@ -0,0 +1,77 @@
+// Daily challenge panel
+// Calendar of daily challenge courses: today's official attempt and past days as practice
+
+class DailyChallengePanel {
+  constructor(dailyChallenges, parentElement, { onSelect = () => {}, onClose = null } = {}) {
+    this.dailyChallenges = dailyChallenges;
+    this.onSelect = onSelect; // Called with a date key, or null for the regular course
+    this.onClose = onClose;
+
+    this.createElements(parentElement);
+  }
+
+  createElements(parentElement) {
+    this.element = document.createElement('div');
+    this.element.className = 'daily-challenge-panel';
+    this.element.style.fontSize = '16px';
+    this.element.style.pointerEvents = 'auto';
+    this.element.style.display = 'none';
+    this.element.innerHTML = `
+      <h3 style="margin: 0 0 8px;">Daily Challenge</h3>
+      <p style="font-size: 14px; margin: 0 0 10px; color: #cccccc;">
+        Your first completed run today is your official score. Past days are practice.
+      </p>
+      <div class="daily-calendar" style="max-height: 320px; overflow-y: auto;"></div>
+      <button class="daily-regular" style="padding: 4px 12px; margin-top: 10px; cursor: pointer;">Regular course</button>
+      <button class="daily-close" style="padding: 4px 12px; margin: 10px 0 0 8px; cursor: pointer; display: none;">Close</button>
+    `;
+    parentElement.appendChild(this.element);
+
+    this.calendarElement = this.element.querySelector('.daily-calendar');
+    this.element.querySelector('.daily-regular').addEventListener('click', () => this.onSelect(null));
+
+    if (this.onClose) {
+      const closeButton = this.element.querySelector('.daily-close');
+      closeButton.style.display = 'inline-block';
+      closeButton.addEventListener('click', () => this.onClose());
+    }
+  }
+
+  // currentDateKey marks the daily course being flown right now (if any)
+  render(pilot, currentDateKey = null) {
+    const calendar = this.dailyChallenges.getCalendar(pilot ? pilot.id : null);
+    this.calendarElement.innerHTML = '';
+
+    calendar.forEach(({ dateKey, isToday, officialRunId }) => {
+      const status = isToday
+        ? (officialRunId ? 'official run done - practice' : 'official attempt')
+        : 'practice';
+
+      const button = document.createElement('button');
+      button.style.display = 'block';
+      button.style.width = '100%';
+      button.style.margin = '4px 0';
+      button.style.padding = '6px 12px';
+      button.style.cursor = 'pointer';
+      button.style.fontWeight = dateKey === currentDateKey ? 'bold' : 'normal';
+      button.textContent = `${isToday ? 'Today' : dateKey} · ${status}`;
+      button.addEventListener('click', () => this.onSelect(dateKey));
+      this.calendarElement.appendChild(button);
+    });
+  }
+
+  show(pilot, currentDateKey = null) {
+    this.render(pilot, currentDateKey);
+    this.element.style.display = 'block';
+  }
+
+  hide() {
+    this.element.style.display = 'none';
+  }
+
+  isVisible() {
+    return this.element.style.display !== 'none';
+  }
+}
+
+export default DailyChallengePanel;
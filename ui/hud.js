@@ -1,2 +1,472 @@
 // HUD (Heads-Up Display)
-// This will handle the UI elements like timer, gate counter, etc. 
\ No newline at end of file
+// Timer, penalty, lap panel, gate counter, split delta, pilot and practice badges, the centre
+// message and countdown, the pause button - and the notifications that pop up during a race.
+// Other overlays (result screen, ready screen menu, pause menu) are built inside its container.
+
+import { RaceState } from '../core/race_state_machine.js';
+import { formatDelta } from '../core/split_times.js';
+
+const READY_MESSAGE = 'Air Race Challenge<br><span style="font-size: 20px">Press SPACE to Start</span>';
+
+class Hud {
+  // timers: PausableTimers for the notification delays, so they wait while the game is paused
+  constructor(timers, { onSwitchPilot = () => {}, onPause = () => {} } = {}) {
+    this.timers = timers;
+    this.onSwitchPilot = onSwitchPilot;
+    this.onPause = onPause;
+    this.splitDeltaTimer = null;
+
+    this.createElements();
+  }
+
+  createElements() {
+    // Remove existing HUD if any (e.g., during restart)
+    const existingHUD = document.getElementById('hud-container');
+    if (existingHUD) {
+      existingHUD.remove();
+    }
+
+    // Create HUD container
+    this.container = document.createElement('div');
+    this.container.id = 'hud-container';
+    this.container.style.position = 'absolute';
+    this.container.style.top = '0';
+    this.container.style.left = '0';
+    this.container.style.width = '100%';
+    this.container.style.height = '100%'; // Cover whole screen for centering
+    this.container.style.pointerEvents = 'none'; // Allow clicks through
+    this.container.style.zIndex = '1000';
+    this.container.style.fontFamily = 'Arial, sans-serif';
+    this.container.style.color = 'white';
+    this.container.style.textShadow = '1px 1px 2px rgba(0,0,0,0.7)';
+    document.body.appendChild(this.container);
+
+    this.elements = {};
+
+    // Timer display (top-right)
+    const timerElement = document.createElement('div');
+    timerElement.id = 'timer-display';
+    timerElement.style.position = 'absolute';
+    timerElement.style.top = '20px';
+    timerElement.style.right = '20px';
+    timerElement.style.fontSize = '24px';
+    timerElement.textContent = 'Time: 0.0s';
+    this.container.appendChild(timerElement);
+    this.elements.timer = timerElement;
+
+    // Penalty display (below timer? or maybe integrated)
+    // Let's add it below the timer for now.
+    const penaltyElement = document.createElement('div');
+    penaltyElement.id = 'penalty-display';
+    penaltyElement.style.position = 'absolute';
+    penaltyElement.style.top = '50px'; // Below timer
+    penaltyElement.style.right = '20px';
+    penaltyElement.style.fontSize = '18px';
+    penaltyElement.style.color = '#ffdddd'; // Light red
+    penaltyElement.textContent = 'Penalty: 0s';
+    this.container.appendChild(penaltyElement);
+    this.elements.penalty = penaltyElement;
+
+    // Lap panel (below the penalty) - circuits only: current lap, lap times and best lap
+    const lapsElement = document.createElement('div');
+    lapsElement.id = 'lap-display';
+    lapsElement.style.position = 'absolute';
+    lapsElement.style.top = '80px';
+    lapsElement.style.right = '20px';
+    lapsElement.style.fontSize = '18px';
+    lapsElement.style.textAlign = 'right';
+    lapsElement.style.display = 'none';
+    this.container.appendChild(lapsElement);
+    this.elements.laps = lapsElement;
+
+    // Split delta to the personal best (top-center, below the pilot badge) - shown for a few
+    // seconds after every gate and lap line
+    const splitDeltaElement = document.createElement('div');
+    splitDeltaElement.id = 'split-delta';
+    splitDeltaElement.style.position = 'absolute';
+    splitDeltaElement.style.top = '60px';
+    splitDeltaElement.style.left = '50%';
+    splitDeltaElement.style.transform = 'translateX(-50%)';
+    splitDeltaElement.style.fontSize = '32px';
+    splitDeltaElement.style.fontWeight = 'bold';
+    splitDeltaElement.style.display = 'none';
+    this.container.appendChild(splitDeltaElement);
+    this.elements.splitDelta = splitDeltaElement;
+
+    // Practice badge (below the pending uploads) - shown whenever practice mode is on
+    const practiceElement = document.createElement('div');
+    practiceElement.id = 'practice-badge';
+    practiceElement.style.position = 'absolute';
+    practiceElement.style.top = '75px';
+    practiceElement.style.left = '20px';
+    practiceElement.style.fontSize = '18px';
+    practiceElement.style.fontWeight = 'bold';
+    practiceElement.style.color = '#66ccff';
+    practiceElement.textContent = 'PRACTICE – no penalties, not ranked';
+    practiceElement.style.display = 'none';
+    this.container.appendChild(practiceElement);
+    this.elements.practice = practiceElement;
+
+    // Gate counter (top-left)
+    const gateElement = document.createElement('div');
+    gateElement.id = 'gate-counter';
+    gateElement.style.position = 'absolute';
+    gateElement.style.top = '20px';
+    gateElement.style.left = '20px';
+    gateElement.style.fontSize = '20px';
+    gateElement.textContent = 'Gates: 0/0';
+    this.container.appendChild(gateElement);
+    this.elements.gates = gateElement;
+
+    // Pending upload indicator (below gate counter) - shown while runs wait in the outbox
+    const pendingElement = document.createElement('div');
+    pendingElement.id = 'pending-uploads';
+    pendingElement.style.position = 'absolute';
+    pendingElement.style.top = '50px';
+    pendingElement.style.left = '20px';
+    pendingElement.style.fontSize = '14px';
+    pendingElement.style.color = '#ffd966'; // Soft yellow
+    pendingElement.style.display = 'none';
+    this.container.appendChild(pendingElement);
+    this.elements.pendingUploads = pendingElement;
+
+    // Pilot badge (top-center) with a button to switch profile
+    const pilotElement = document.createElement('div');
+    pilotElement.id = 'pilot-badge';
+    pilotElement.style.position = 'absolute';
+    pilotElement.style.top = '20px';
+    pilotElement.style.left = '50%';
+    pilotElement.style.transform = 'translateX(-50%)';
+    pilotElement.style.fontSize = '18px';
+    pilotElement.style.display = 'none';
+    pilotElement.innerHTML = `
+      Pilot: <span id="pilot-callsign"></span>
+      <button id="switch-pilot-button" style="margin-left: 10px; padding: 2px 8px; font-size: 14px; cursor: pointer; pointer-events: auto;">Switch</button>
+    `;
+    this.container.appendChild(pilotElement);
+    this.elements.pilot = pilotElement;
+    pilotElement.querySelector('#switch-pilot-button').addEventListener('click', () => this.onSwitchPilot());
+
+    // Game state message (center)
+    const messageElement = document.createElement('div');
+    messageElement.id = 'game-message';
+    messageElement.style.position = 'absolute';
+    messageElement.style.top = '40%';
+    messageElement.style.left = '50%';
+    messageElement.style.transform = 'translate(-50%, -50%)';
+    messageElement.style.fontSize = '36px';
+    messageElement.style.textAlign = 'center';
+    messageElement.style.display = 'block'; // Show initially
+    messageElement.innerHTML = READY_MESSAGE;
+    this.container.appendChild(messageElement);
+    this.elements.message = messageElement;
+
+    // Countdown (center, large) - 3, 2, 1, GO!
+    const countdownElement = document.createElement('div');
+    countdownElement.id = 'countdown-display';
+    countdownElement.style.position = 'absolute';
+    countdownElement.style.top = '35%';
+    countdownElement.style.left = '50%';
+    countdownElement.style.transform = 'translate(-50%, -50%)';
+    countdownElement.style.fontSize = '96px';
+    countdownElement.style.fontWeight = 'bold';
+    countdownElement.style.textShadow = '3px 3px 6px rgba(0,0,0,0.7)';
+    countdownElement.style.display = 'none';
+    this.container.appendChild(countdownElement);
+    this.elements.countdown = countdownElement;
+
+    // Pause button (bottom-right) - only shown during a race
+    const pauseButton = document.createElement('button');
+    pauseButton.id = 'pause-button';
+    pauseButton.textContent = 'Pause (Esc)';
+    pauseButton.style.position = 'absolute';
+    pauseButton.style.bottom = '20px';
+    pauseButton.style.right = '20px';
+    pauseButton.style.padding = '8px 16px';
+    pauseButton.style.fontSize = '16px';
+    pauseButton.style.cursor = 'pointer';
+    pauseButton.style.pointerEvents = 'auto';
+    pauseButton.style.display = 'none';
+    pauseButton.addEventListener('click', () => {
+      pauseButton.blur(); // Keep Space/arrow keys from re-triggering the button
+      this.onPause();
+    });
+    this.container.appendChild(pauseButton);
+    this.elements.pauseButton = pauseButton;
+  }
+
+  // Per-frame values of the race in `simulation` (a RaceSimulation)
+  update(simulation) {
+    // Gate counter - endless runs count the gates cleared, the distance and the misses left
+    if (simulation.endless) {
+      const { gatesPassed, gatesMissed, distance } = simulation;
+      this.elements.gates.textContent = `Gates: ${gatesPassed} · ${Math.round(distance)} m · Misses: ${gatesMissed}/${simulation.endless.missLimit}`;
+    } else {
+      this.elements.gates.textContent = `Gates: ${simulation.currentGateIndex}/${simulation.gates.length}`;
+    }
+
+    // Update Timer and Penalty only if playing
+    if (simulation.state === RaceState.PLAYING) {
+      const { penaltyTime } = simulation;
+      this.elements.timer.textContent = `Time: ${simulation.getRaceTime().toFixed(1)}s`;
+      this.elements.penalty.textContent = `Penalty: ${penaltyTime}s`;
+      this.elements.penalty.style.display = penaltyTime > 0 ? 'block' : 'none'; // Show only if penalty > 0
+    }
+
+    this.updateLapDisplay(simulation);
+  }
+
+  // Current lap with its running time, the completed laps and the best of them (best in green)
+  updateLapDisplay(simulation) {
+    const lapsElement = this.elements.laps;
+    if (!simulation.isCircuit()) {
+      lapsElement.style.display = 'none';
+      return;
+    }
+
+    const { laps, lapTimes, lapStartTime } = simulation;
+    const bestLap = simulation.getBestLap();
+    const currentLap = Math.min(simulation.currentLap, laps);
+    const lines = lapTimes.map((lapTime, index) => {
+      const color = lapTime === bestLap ? '#66ff66' : 'white';
+      return `<span style="color: ${color};">Lap ${index + 1}: ${lapTime.toFixed(2)}s</span>`;
+    });
+    if (simulation.currentLap <= laps) {
+      const lapTime = simulation.state === RaceState.PLAYING ? simulation.getRaceTime() - lapStartTime : 0;
+      lines.unshift(`<span style="font-size: 22px;">Lap ${currentLap}/${laps}: ${lapTime.toFixed(1)}s</span>`);
+    }
+    if (bestLap !== null) {
+      lines.push(`Best lap: ${bestLap.toFixed(2)}s`);
+    }
+
+    const html = lines.join('<br>');
+    if (lapsElement.innerHTML !== html) {
+      lapsElement.innerHTML = html;
+    }
+    lapsElement.style.display = 'block';
+  }
+
+  // Show/Hide elements for a race state - the ready prompt needs a pilot
+  applyState(state, hasPilot) {
+    switch (state) {
+      case RaceState.MENU:
+        // The start screen takes the centre until a pilot is chosen
+        this.elements.message.style.display = hasPilot ? 'block' : 'none';
+        // Reset timer/penalty display for the menu
+        this.elements.timer.textContent = 'Time: 0.0s';
+        this.elements.penalty.textContent = 'Penalty: 0s';
+        this.elements.penalty.style.display = 'none';
+        this.elements.splitDelta.style.display = 'none';
+        break;
+      case RaceState.COUNTDOWN:
+      case RaceState.PLAYING:
+        if (state === RaceState.COUNTDOWN) {
+          this.elements.countdown.style.display = 'block'; // Back from a pause
+        }
+        this.elements.message.style.display = 'none';
+        this.elements.pauseButton.style.display = 'block';
+        return;
+      default: // Paused, crashed, finished or replaying
+        this.elements.message.style.display = 'none';
+        break;
+    }
+
+    // Outside a running race there is nothing to pause or count down
+    this.elements.pauseButton.style.display = 'none';
+    this.showCountdown(null);
+  }
+
+  // Ready screen: the start prompt and the gate counter of the course about to be flown
+  showReady(gatesTotal) {
+    this.elements.message.innerHTML = READY_MESSAGE;
+    this.elements.gates.textContent = `Gates: 0/${gatesTotal}`;
+  }
+
+  setPilot(pilot) {
+    this.elements.pilot.querySelector('#pilot-callsign').textContent = pilot ? pilot.callsign : '';
+    this.elements.pilot.style.display = pilot ? 'block' : 'none';
+  }
+
+  setPractice(enabled) {
+    this.elements.practice.style.display = enabled ? 'block' : 'none';
+  }
+
+  setPendingUploads(count) {
+    this.elements.pendingUploads.textContent = `⇡ ${count} result${count === 1 ? '' : 's'} pending upload`;
+    this.elements.pendingUploads.style.display = count > 0 ? 'block' : 'none';
+  }
+
+  // Show a countdown step ('3', '2', '1', 'GO!'), or hide the countdown with null
+  showCountdown(text) {
+    const countdownElement = this.elements.countdown;
+    countdownElement.textContent = text || '';
+    countdownElement.style.display = text ? 'block' : 'none';
+    countdownElement.style.color = text === 'GO!' ? '#66ff66' : 'white';
+  }
+
+  // '-0.84' in green when ahead of the personal best, '+0.12' in red when behind
+  showSplitDelta(delta) {
+    const deltaElement = this.elements.splitDelta;
+    deltaElement.textContent = formatDelta(delta);
+    deltaElement.style.color = delta <= 0 ? '#66ff66' : '#ff6666';
+    deltaElement.style.display = 'block';
+
+    this.timers.clearTimeout(this.splitDeltaTimer);
+    this.splitDeltaTimer = this.timers.setTimeout(() => {
+      deltaElement.style.display = 'none';
+    }, 3000);
+  }
+
+  showPenaltyNotification(message) {
+    // Create a notification element
+    const notificationElement = document.createElement('div');
+    notificationElement.textContent = message;
+    notificationElement.style.position = 'absolute';
+    notificationElement.style.color = 'red';
+    notificationElement.style.fontSize = '24px';
+    notificationElement.style.fontWeight = 'bold';
+    notificationElement.style.textShadow = '1px 1px 2px rgba(0, 0, 0, 0.7)';
+    notificationElement.style.zIndex = '1010'; // Above other HUD elements
+    notificationElement.style.opacity = '0'; // Start faded out
+    notificationElement.style.transition = 'opacity 0.3s ease-in-out, top 2.5s ease-out';
+    notificationElement.style.textAlign = 'center';
+    notificationElement.style.width = '100%'; // Center horizontally
+    notificationElement.style.pointerEvents = 'none'; // Don't block clicks
+
+    document.body.appendChild(notificationElement);
+
+    // Top-center, below potential top HUD
+    notificationElement.style.left = '0';
+    notificationElement.style.top = '15%';
+
+    // Fade in, hold, fade out
+    this.timers.setTimeout(() => {
+      notificationElement.style.opacity = '1'; // Fade in
+    }, 10); // Small delay to allow transition
+
+    this.timers.setTimeout(() => {
+      notificationElement.style.opacity = '0'; // Start fade out
+    }, 2500); // Hold for 2.5 seconds before fading out
+
+    // Remove element after animation
+    this.timers.setTimeout(() => {
+      if (notificationElement.parentNode) {
+        notificationElement.parentNode.removeChild(notificationElement);
+      }
+    }, 3000); // Remove after 3 seconds (0.3s fade in + 2.5s hold + 0.2s buffer/fadeout)
+  }
+
+  // Guidance/instruction notifications, styled apart from the penalties
+  showGuidanceNotification(message) {
+    // Create a notification element
+    const notificationElement = document.createElement('div');
+    notificationElement.textContent = message;
+    notificationElement.style.position = 'absolute';
+    notificationElement.style.color = '#00BFFF'; // Light blue color
+    notificationElement.style.fontSize = '24px';
+    notificationElement.style.fontWeight = 'bold';
+    notificationElement.style.textShadow = '1px 1px 2px rgba(0, 0, 0, 0.7)';
+    notificationElement.style.zIndex = '1010'; // Above other HUD elements
+    notificationElement.style.opacity = '0'; // Start faded out
+    notificationElement.style.transition = 'opacity 0.3s ease-in-out, top 2.5s ease-out';
+    notificationElement.style.textAlign = 'center';
+    notificationElement.style.width = '100%'; // Center horizontally
+    notificationElement.style.pointerEvents = 'none'; // Don't block clicks
+
+    document.body.appendChild(notificationElement);
+
+    // Position calculation
+    notificationElement.style.left = '0';
+    notificationElement.style.top = '30%'; // Position in middle of screen for better visibility
+
+    // Fade in, hold, fade out
+    this.timers.setTimeout(() => {
+      notificationElement.style.opacity = '1'; // Fade in
+    }, 10); // Small delay to allow transition
+
+    this.timers.setTimeout(() => {
+      notificationElement.style.opacity = '0'; // Start fade out
+    }, 5000); // Hold for 5 seconds before fading out (longer than penalty notification)
+
+    // Remove element after animation
+    this.timers.setTimeout(() => {
+      if (notificationElement.parentNode) {
+        notificationElement.parentNode.removeChild(notificationElement);
+      }
+    }, 5500); // Remove after 5.5 seconds
+  }
+
+  // Floating "PERFECT +100" style label at a screen position (see core/precision_scoring.js)
+  showPrecisionLabel(screenPosition, precision) {
+    if (!precision) return;
+
+    const labelElement = document.createElement('div');
+    labelElement.textContent = precision.points > 0 ? `${precision.label} +${precision.points}` : precision.label;
+    labelElement.style.position = 'absolute';
+    labelElement.style.color = precision.ring === 'centre' ? 'gold' : precision.ring === 'middle' ? '#66ff66' : 'white';
+    labelElement.style.fontSize = '24px';
+    labelElement.style.fontWeight = 'bold';
+    labelElement.style.fontFamily = 'Arial, sans-serif';
+    labelElement.style.textShadow = '2px 2px 4px rgba(0, 0, 0, 0.7)';
+    labelElement.style.transform = 'translate(-50%, -50%)';
+    labelElement.style.zIndex = '1000';
+    labelElement.style.opacity = '1';
+    labelElement.style.transition = 'top 1s ease-out, opacity 1s ease-out';
+    labelElement.style.pointerEvents = 'none';
+    document.body.appendChild(labelElement);
+
+    labelElement.style.left = `${screenPosition.x}px`;
+    labelElement.style.top = `${screenPosition.y}px`;
+
+    // Float up and fade out
+    this.timers.setTimeout(() => {
+      labelElement.style.top = `${screenPosition.y - 100}px`;
+      labelElement.style.opacity = '0';
+    }, 10);
+
+    this.timers.setTimeout(() => {
+      if (labelElement.parentNode) {
+        labelElement.parentNode.removeChild(labelElement);
+      }
+    }, 1000);
+  }
+
+  // Show message about end condition
+  showEndConditionMessage(endCondition, reason) {
+    let message = '';
+
+    if (endCondition === 'crashed') {
+      message = `CRASHED: ${reason}`;
+    } else {
+      message = `FINISH: ${reason}`;
+    }
+
+    const notificationElement = document.createElement('div');
+    notificationElement.textContent = message;
+    notificationElement.style.position = 'absolute';
+    notificationElement.style.top = '30%';
+    notificationElement.style.left = '50%';
+    notificationElement.style.transform = 'translate(-50%, -50%)';
+    notificationElement.style.color = endCondition === 'crashed' ? 'red' : 'green';
+    notificationElement.style.fontSize = '36px';
+    notificationElement.style.fontWeight = 'bold';
+    notificationElement.style.textAlign = 'center';
+    notificationElement.style.textShadow = '2px 2px 4px rgba(0, 0, 0, 0.5)';
+    notificationElement.style.zIndex = '1000';
+    notificationElement.style.fontFamily = 'Arial, sans-serif';
+    notificationElement.style.padding = '20px';
+    notificationElement.style.borderRadius = '10px';
+    notificationElement.style.backgroundColor = 'rgba(0, 0, 0, 0.7)';
+
+    document.body.appendChild(notificationElement);
+
+    // Remove notification after 5 seconds
+    setTimeout(() => {
+      if (document.body.contains(notificationElement)) {
+        document.body.removeChild(notificationElement);
+      }
+    }, 5000);
+  }
+}
+
+export default Hud;
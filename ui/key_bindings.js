@@ -0,0 +1,19 @@
+// Key bindings
+// Game keys outside the flight controls (see utils/input.js): one action per KeyboardEvent.code,
+// e.g. Space to start or Escape to pause. The keys are ignored while isEnabled() is false.
+
+class KeyBindings {
+  constructor(bindings, { isEnabled = () => true } = {}) {
+    this.bindings = bindings; // KeyboardEvent.code -> action
+    this.isEnabled = isEnabled;
+
+    document.addEventListener('keydown', (event) => {
+      const action = this.bindings[event.code];
+      if (action && this.isEnabled()) {
+        action(event);
+      }
+    });
+  }
+}
+
+export default KeyBindings;
@@ -0,0 +1,176 @@
+// Leaderboard panel
+// Lists the top final times of a course from whatever leaderboard backend is configured;
+// equal times are ordered by precision score. Endless runs list gates cleared and distance.
+
+const TOP_RUN_COUNT = 10;
+
+const RACE_COLUMNS = ['#', 'Pilot', 'Time', 'Penalty', 'Final', 'Precision'];
+const ENDLESS_COLUMNS = ['#', 'Pilot', 'Gates', 'Distance', 'Time'];
+
+function formatTime(seconds) {
+  return `${seconds.toFixed(2)}s`;
+}
+
+// What a run is ranked by: its final time, or gates and distance for an endless run
+function formatScore(run) {
+  return run.mode === 'endless' ? `${run.gatesPassed} gates, ${run.distance} m` : formatTime(run.finalTime);
+}
+
+class LeaderboardPanel {
+  constructor(leaderboard, parentElement, { title = 'Leaderboard', onClose = null } = {}) {
+    this.leaderboard = leaderboard;
+    this.onClose = onClose;
+    this.requestId = 0; // Ignore answers to requests that were superseded
+    this.lastQuery = null;
+
+    this.createElements(parentElement, title);
+  }
+
+  createElements(parentElement, title) {
+    this.element = document.createElement('div');
+    this.element.className = 'leaderboard-panel';
+    this.element.style.marginTop = '15px';
+    this.element.style.fontSize = '16px';
+    this.element.style.pointerEvents = 'auto';
+    this.element.style.display = 'none';
+    this.element.innerHTML = `
+      <h3 style="margin: 0 0 8px;"></h3>
+      <p class="leaderboard-status" style="margin: 8px 0;"></p>
+      <table class="leaderboard-table" style="border-collapse: collapse; margin: 0 auto; display: none;">
+        <thead>
+          <tr style="font-size: 14px; color: #cccccc;"></tr>
+        </thead>
+        <tbody></tbody>
+      </table>
+      <p class="leaderboard-own-rank" style="margin: 8px 0; display: none;"></p>
+      <button class="leaderboard-retry" style="padding: 4px 12px; cursor: pointer; display: none;">Retry</button>
+      <button class="leaderboard-close" style="padding: 4px 12px; margin-left: 8px; cursor: pointer; display: none;">Close</button>
+    `;
+    this.element.querySelector('h3').textContent = title;
+    parentElement.appendChild(this.element);
+
+    this.statusElement = this.element.querySelector('.leaderboard-status');
+    this.tableElement = this.element.querySelector('.leaderboard-table');
+    this.headElement = this.element.querySelector('thead tr');
+    this.bodyElement = this.element.querySelector('tbody');
+    this.ownRankElement = this.element.querySelector('.leaderboard-own-rank');
+    this.retryButton = this.element.querySelector('.leaderboard-retry');
+    this.closeButton = this.element.querySelector('.leaderboard-close');
+
+    this.retryButton.addEventListener('click', () => {
+      if (this.lastQuery) this.load(this.lastQuery.courseId, this.lastQuery.highlight);
+    });
+
+    if (this.onClose) {
+      this.closeButton.style.display = 'inline-block';
+      this.closeButton.addEventListener('click', () => this.onClose());
+    }
+  }
+
+  // Fetch and show the top runs. `highlight` marks the run that was just finished:
+  // { runId, rank, finalTime } - with mode, gatesPassed and distance for an endless run
+  async load(courseId, highlight = null) {
+    const requestId = ++this.requestId;
+    this.lastQuery = { courseId, highlight };
+    this.show();
+    this.showStatus('Loading leaderboard...');
+
+    try {
+      const runs = await this.leaderboard.getTop(courseId, TOP_RUN_COUNT);
+      if (requestId !== this.requestId) return;
+      this.renderRuns(runs, highlight);
+    } catch (error) {
+      if (requestId !== this.requestId) return;
+      console.error('Error loading leaderboard:', error);
+      this.showStatus('Leaderboard unavailable. Check your connection.', true);
+    }
+  }
+
+  showStatus(message, isError = false) {
+    this.statusElement.textContent = message;
+    this.statusElement.style.color = isError ? '#ff6666' : 'white';
+    this.statusElement.style.display = 'block';
+    this.tableElement.style.display = 'none';
+    this.ownRankElement.style.display = 'none';
+    this.retryButton.style.display = isError ? 'inline-block' : 'none';
+  }
+
+  renderHeader(columns) {
+    this.headElement.innerHTML = columns
+      .map(column => `<th style="padding: 2px 8px;${column === 'Pilot' ? ' text-align: left;' : ''}">${column}</th>`)
+      .join('');
+  }
+
+  renderRuns(runs, highlight) {
+    this.retryButton.style.display = 'none';
+    this.bodyElement.innerHTML = '';
+    const endless = runs.some(run => run.mode === 'endless') || Boolean(highlight && highlight.mode === 'endless');
+    this.renderHeader(endless ? ENDLESS_COLUMNS : RACE_COLUMNS);
+
+    if (runs.length === 0) {
+      this.showStatus('No times yet - be the first!');
+    } else {
+      this.statusElement.style.display = 'none';
+      this.tableElement.style.display = 'table';
+    }
+
+    let highlightShown = false;
+    runs.forEach((run, index) => {
+      const isHighlighted = highlight && run.runId === highlight.runId;
+      highlightShown = highlightShown || isHighlighted;
+
+      const row = document.createElement('tr');
+      if (isHighlighted) {
+        row.style.backgroundColor = 'rgba(255, 215, 0, 0.35)';
+        row.style.fontWeight = 'bold';
+      }
+
+      // textContent throughout - pilot names come from other players
+      const cells = endless ? [
+        `${index + 1}`,
+        run.pilotName,
+        `${run.gatesPassed}`,
+        `${run.distance} m`,
+        formatTime(run.rawTime)
+      ] : [
+        `${index + 1}`,
+        run.pilotName,
+        formatTime(run.rawTime),
+        run.penaltyTime > 0 ? `+${run.penaltyTime}s` : '-',
+        formatTime(run.finalTime),
+        `${run.precisionScore || 0}`
+      ];
+      cells.forEach((text, cellIndex) => {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        cell.style.padding = '2px 8px';
+        cell.style.textAlign = cellIndex === 1 ? 'left' : 'center';
+        row.appendChild(cell);
+      });
+      this.bodyElement.appendChild(row);
+    });
+
+    // The finished run may be outside the top 10 or slower than the pilot's best
+    if (highlight && highlight.rank && !highlightShown) {
+      this.ownRankElement.textContent = `Your run: #${highlight.rank} (${formatScore(highlight)})`;
+      this.ownRankElement.style.display = 'block';
+    } else {
+      this.ownRankElement.style.display = 'none';
+    }
+  }
+
+  show() {
+    this.element.style.display = 'block';
+  }
+
+  hide() {
+    this.requestId++; // Drop any pending answer
+    this.element.style.display = 'none';
+  }
+
+  isVisible() {
+    return this.element.style.display !== 'none';
+  }
+}
+
+export default LeaderboardPanel;
@@ -0,0 +1,129 @@
+// Main menu
+// Ready screen buttons (leaderboard, daily challenge, course editor, practice) and the
+// leaderboard and daily challenge overlays they open
+
+import LeaderboardPanel from './leaderboard_panel.js';
+import DailyChallengePanel from './daily_challenge_panel.js';
+
+class MainMenu {
+  constructor(parentElement, {
+    leaderboard,
+    dailyChallenges,
+    leaderboardTitle = 'Top 10 - Fastest Pilots',
+    showPractice = true, // Endless runs have no gate to go back to
+    onLeaderboard = () => {},
+    onDailyChallenges = () => {},
+    onSelectDailyChallenge = () => {}, // Called with a date key, or null for the regular course
+    onEditor = () => {},
+    onPractice = () => {}
+  } = {}) {
+    this.onLeaderboard = onLeaderboard;
+    this.onDailyChallenges = onDailyChallenges;
+    this.onSelectDailyChallenge = onSelectDailyChallenge;
+    this.onEditor = onEditor;
+    this.onPractice = onPractice;
+
+    this.createElements(parentElement, { leaderboard, dailyChallenges, leaderboardTitle, showPractice });
+  }
+
+  createElements(parentElement, { leaderboard, dailyChallenges, leaderboardTitle, showPractice }) {
+    // Leaderboard that can be opened from the ready screen (button or L key)
+    this.leaderboardElement = document.createElement('div');
+    this.leaderboardElement.id = 'menu-leaderboard';
+    this.leaderboardElement.style.position = 'absolute';
+    this.leaderboardElement.style.top = '50%';
+    this.leaderboardElement.style.left = '50%';
+    this.leaderboardElement.style.transform = 'translate(-50%, -50%)';
+    this.leaderboardElement.style.backgroundColor = 'rgba(0, 0, 0, 0.8)';
+    this.leaderboardElement.style.padding = '20px 30px';
+    this.leaderboardElement.style.borderRadius = '10px';
+    this.leaderboardElement.style.textAlign = 'center';
+    this.leaderboardElement.style.zIndex = '1020'; // Above the ready message
+    this.leaderboardElement.style.display = 'none';
+    parentElement.appendChild(this.leaderboardElement);
+    this.leaderboardPanel = new LeaderboardPanel(leaderboard, this.leaderboardElement, {
+      title: leaderboardTitle,
+      onClose: () => this.onLeaderboard(false)
+    });
+
+    // Daily challenge calendar, opened from the ready screen (button or D key)
+    this.dailyElement = this.leaderboardElement.cloneNode(false);
+    this.dailyElement.id = 'menu-daily';
+    parentElement.appendChild(this.dailyElement);
+    this.dailyChallengePanel = new DailyChallengePanel(dailyChallenges, this.dailyElement, {
+      onSelect: (dateKey) => this.onSelectDailyChallenge(dateKey),
+      onClose: () => this.onDailyChallenges(false)
+    });
+
+    // Ready screen buttons (bottom-center)
+    this.buttons = document.createElement('div');
+    this.buttons.id = 'menu-buttons';
+    this.buttons.style.position = 'absolute';
+    this.buttons.style.bottom = '40px';
+    this.buttons.style.left = '50%';
+    this.buttons.style.transform = 'translateX(-50%)';
+    this.buttons.style.display = 'none';
+    parentElement.appendChild(this.buttons);
+
+    this.addButton('leaderboard-button', 'Leaderboard (L)', () => this.onLeaderboard());
+    this.addButton('daily-button', 'Daily Challenge (D)', () => this.onDailyChallenges());
+    this.addButton('editor-button', 'Course Editor (E)', () => this.onEditor());
+    this.practiceButton = showPractice ? this.addButton('practice-button', '', () => this.onPractice()) : null;
+    this.setPractice(false);
+  }
+
+  addButton(id, label, onClick) {
+    const button = document.createElement('button');
+    button.id = id;
+    button.textContent = label;
+    button.style.margin = '0 6px';
+    button.style.padding = '8px 16px';
+    button.style.fontSize = '16px';
+    button.style.cursor = 'pointer';
+    button.style.pointerEvents = 'auto';
+    button.addEventListener('click', onClick);
+    this.buttons.appendChild(button);
+    return button;
+  }
+
+  setPractice(enabled) {
+    if (this.practiceButton) {
+      this.practiceButton.textContent = `Practice: ${enabled ? 'on' : 'off'} (R)`;
+    }
+  }
+
+  // The buttons are shown on the ready screen only
+  setVisible(visible) {
+    this.buttons.style.display = visible ? 'block' : 'none';
+  }
+
+  showLeaderboard(courseId) {
+    this.leaderboardElement.style.display = 'block';
+    this.leaderboardPanel.load(courseId);
+  }
+
+  hideLeaderboard() {
+    this.leaderboardPanel.hide();
+    this.leaderboardElement.style.display = 'none';
+  }
+
+  isLeaderboardVisible() {
+    return this.leaderboardPanel.isVisible();
+  }
+
+  showDailyChallenges(pilot, currentDateKey) {
+    this.dailyElement.style.display = 'block';
+    this.dailyChallengePanel.show(pilot, currentDateKey);
+  }
+
+  hideDailyChallenges() {
+    this.dailyChallengePanel.hide();
+    this.dailyElement.style.display = 'none';
+  }
+
+  isDailyChallengesVisible() {
+    return this.dailyChallengePanel.isVisible();
+  }
+}
+
+export default MainMenu;
@@ -0,0 +1,138 @@
+// Pause menu
+// Overlay shown while the race is paused: Resume, Restart, Settings and Quit to menu - and in
+// practice mode a list of gates to jump to
+
+class PauseMenu {
+  constructor(parentElement, {
+    onResume = () => {},
+    onRestart = () => {},
+    onQuit = () => {},
+    getSettings = () => ({}),
+    onSettingChange = () => {},
+    getJumpGates = () => [], // Labels of the gates that can be jumped to - none hides the list
+    onJumpToGate = () => {} // Called with the index of the chosen gate
+  } = {}) {
+    this.onResume = onResume;
+    this.onRestart = onRestart;
+    this.onQuit = onQuit;
+    this.getSettings = getSettings;
+    this.onSettingChange = onSettingChange;
+    this.getJumpGates = getJumpGates;
+    this.onJumpToGate = onJumpToGate;
+
+    this.createElements(parentElement);
+  }
+
+  createElements(parentElement) {
+    this.element = document.createElement('div');
+    this.element.id = 'pause-menu';
+    this.element.style.position = 'absolute';
+    this.element.style.top = '50%';
+    this.element.style.left = '50%';
+    this.element.style.transform = 'translate(-50%, -50%)';
+    this.element.style.backgroundColor = 'rgba(0, 0, 0, 0.8)';
+    this.element.style.padding = '30px 50px';
+    this.element.style.borderRadius = '10px';
+    this.element.style.textAlign = 'center';
+    this.element.style.zIndex = '1030'; // Above notifications
+    this.element.style.pointerEvents = 'auto';
+    this.element.style.display = 'none';
+    this.element.innerHTML = `
+      <h2 style="margin: 0 0 20px;">PAUSED</h2>
+      <div class="pause-main">
+        <button data-action="resume">Resume</button>
+        <button data-action="restart">Restart</button>
+        <button data-action="gates">Jump to gate</button>
+        <button data-action="settings">Settings</button>
+        <button data-action="quit">Quit to menu</button>
+        <p style="font-size: 14px; margin: 15px 0 0;">Press ESC or P to resume</p>
+      </div>
+      <div class="pause-settings" style="display: none; text-align: left;">
+        <label style="display: block; margin: 10px 0; font-size: 18px; cursor: pointer;">
+          <input type="checkbox" data-setting="showTargetArrow" /> Show target arrow
+        </label>
+        <button data-action="back">Back</button>
+      </div>
+      <div class="pause-gates" style="display: none;">
+        <div class="pause-gate-list" style="max-height: 300px; overflow-y: auto;"></div>
+        <button data-action="back">Back</button>
+      </div>
+    `;
+    this.element.querySelectorAll('button').forEach(button => this.styleButton(button));
+    parentElement.appendChild(this.element);
+
+    this.mainSection = this.element.querySelector('.pause-main');
+    this.settingsSection = this.element.querySelector('.pause-settings');
+    this.gatesSection = this.element.querySelector('.pause-gates');
+    this.gateList = this.element.querySelector('.pause-gate-list');
+    this.gatesButton = this.element.querySelector('button[data-action="gates"]');
+
+    const actions = {
+      resume: () => this.onResume(),
+      restart: () => this.onRestart(),
+      gates: () => this.showSection('gates'),
+      settings: () => this.showSection('settings'),
+      quit: () => this.onQuit(),
+      back: () => this.showSection('main')
+    };
+    this.element.querySelectorAll('button[data-action]').forEach(button => {
+      button.addEventListener('click', () => actions[button.dataset.action]());
+    });
+
+    this.element.querySelectorAll('input[data-setting]').forEach(input => {
+      input.addEventListener('change', () => this.onSettingChange(input.dataset.setting, input.checked));
+    });
+  }
+
+  styleButton(button) {
+    button.style.display = 'block';
+    button.style.width = '220px';
+    button.style.margin = '10px auto';
+    button.style.padding = '10px 20px';
+    button.style.fontSize = '18px';
+    button.style.cursor = 'pointer';
+  }
+
+  // section: 'main', 'settings' or 'gates'
+  showSection(section) {
+    if (section === 'settings') {
+      const settings = this.getSettings();
+      this.element.querySelectorAll('input[data-setting]').forEach(input => {
+        input.checked = Boolean(settings[input.dataset.setting]);
+      });
+    }
+    if (section === 'gates') {
+      this.renderGateList();
+    }
+    this.mainSection.style.display = section === 'main' ? 'block' : 'none';
+    this.settingsSection.style.display = section === 'settings' ? 'block' : 'none';
+    this.gatesSection.style.display = section === 'gates' ? 'block' : 'none';
+  }
+
+  renderGateList() {
+    this.gateList.innerHTML = '';
+    this.getJumpGates().forEach((label, index) => {
+      const button = document.createElement('button');
+      button.textContent = label;
+      this.styleButton(button);
+      button.addEventListener('click', () => this.onJumpToGate(index));
+      this.gateList.appendChild(button);
+    });
+  }
+
+  show() {
+    this.showSection('main');
+    this.gatesButton.style.display = this.getJumpGates().length > 0 ? 'block' : 'none';
+    this.element.style.display = 'block';
+  }
+
+  hide() {
+    this.element.style.display = 'none';
+  }
+
+  isVisible() {
+    return this.element.style.display !== 'none';
+  }
+}
+
+export default PauseMenu;
@@ -0,0 +1,160 @@
+// Result screen
+// Shown when a race is over: times, gates, precision, laps, the split table against the
+// personal best, the run's rank and the course's top 10
+
+import { compareSplits, formatDelta, splitLabel } from '../core/split_times.js';
+import LeaderboardPanel from './leaderboard_panel.js';
+
+class ResultScreen {
+  constructor(leaderboard, parentElement, { onRestart = () => {} } = {}) {
+    this.onRestart = onRestart;
+
+    this.createElements(leaderboard, parentElement);
+  }
+
+  createElements(leaderboard, parentElement) {
+    this.element = document.createElement('div');
+    this.element.id = 'result-screen';
+    this.element.style.position = 'absolute';
+    this.element.style.top = '50%';
+    this.element.style.left = '50%';
+    this.element.style.transform = 'translate(-50%, -50%)';
+    this.element.style.backgroundColor = 'rgba(0, 0, 0, 0.7)';
+    this.element.style.padding = '30px';
+    this.element.style.borderRadius = '10px';
+    this.element.style.fontSize = '20px';
+    this.element.style.textAlign = 'center';
+    this.element.style.display = 'none'; // Hidden initially
+    this.element.style.pointerEvents = 'auto'; // Allow clicks on button
+    this.element.innerHTML = `
+      <h2 id="result-title">FINISH!</h2>
+      <p id="result-reason" style="font-size: 18px; margin-bottom: 20px; display: none;"></p>
+      <p>Time: <span id="result-time">0.0s</span></p>
+      <p>Penalty: <span id="result-penalty">0s</span></p>
+      <p style="font-weight: bold;">Final Time: <span id="result-final-time">0.0s</span></p>
+      <p>Gates: <span id="result-gates">0/0</span></p>
+      <p>Precision: <span id="result-precision">0</span></p>
+      <p id="result-laps" style="display: none;"></p>
+      <div id="result-splits" style="display: none; max-height: 180px; overflow-y: auto; margin: 10px auto; font-size: 16px;"></div>
+      <p>Pilot: <span id="result-pilot">-</span></p>
+      <p style="font-size: 16px;">Course: <span id="result-course">-</span></p>
+      <p id="result-record" style="font-size: 18px; display: none;"></p>
+      <div id="result-leaderboard"></div>
+      <button id="restart-button" style="padding: 10px 20px; margin-top: 20px; font-size: 18px; cursor: pointer;">Restart Race</button>
+    `;
+    parentElement.appendChild(this.element);
+
+    this.recordElement = this.element.querySelector('#result-record');
+    this.splitsElement = this.element.querySelector('#result-splits');
+
+    // Top 10 of the current course
+    this.leaderboardPanel = new LeaderboardPanel(
+      leaderboard,
+      this.element.querySelector('#result-leaderboard'),
+      { title: 'Top 10' }
+    );
+
+    // Make button visually interactive to show it's clickable
+    const restartButton = this.element.querySelector('#restart-button');
+    restartButton.style.transition = 'background-color 0.3s';
+    restartButton.addEventListener('click', () => this.onRestart());
+    restartButton.addEventListener('mouseover', () => {
+      restartButton.style.backgroundColor = '#4CAF50';
+    });
+    restartButton.addEventListener('mouseout', () => {
+      restartButton.style.backgroundColor = '';
+    });
+  }
+
+  // Fill in a finished run's result (RaceEvent.FINISHED). bestSplits are the splits of the
+  // personal best the run started with, courseLabel names the course.
+  show(result, { pilot = null, courseLabel = '-', bestSplits = null } = {}) {
+    const { endCondition, reason } = result;
+    const field = name => this.element.querySelector(`#result-${name}`);
+
+    // Set result title based on end condition
+    const resultTitle = field('title');
+    if (endCondition === 'crashed') {
+      resultTitle.textContent = 'CRASHED!';
+      resultTitle.style.color = 'red';
+    } else {
+      resultTitle.textContent = 'FINISH!';
+      resultTitle.style.color = 'green';
+    }
+
+    // Set reason text if provided
+    const resultReason = field('reason');
+    resultReason.textContent = reason || '';
+    resultReason.style.display = reason ? 'block' : 'none';
+
+    field('time').textContent = `${result.rawTime.toFixed(1)}s`;
+    field('penalty').textContent = `${result.penaltyTime}s`;
+    field('final-time').textContent = `${result.finalTime.toFixed(1)}s`;
+    let gatesText = `${result.gatesPassed + result.gatesMissed}/${result.gatesTotal}`; // Flown, passed or missed
+    if (result.practice) {
+      gatesText = `${result.gatesPassed} passed, ${result.respawns} respawn${result.respawns === 1 ? '' : 's'}`; // Gates can be flown again
+    } else if (result.endless) {
+      gatesText = `${result.gatesPassed} cleared, ${result.gatesMissed} missed · ${Math.round(result.distance)} m flown`;
+    }
+    field('gates').textContent = gatesText;
+    field('precision').textContent = `${result.precisionScore} pts (${result.precisionRating}%)`;
+    const resultLaps = field('laps');
+    resultLaps.textContent = result.bestLap !== null
+      ? `Laps: ${result.lapTimes.length}/${result.laps}, best lap ${result.bestLap.toFixed(2)}s`
+      : `Laps: 0/${result.laps}`;
+    resultLaps.style.display = result.laps > 1 ? 'block' : 'none';
+    this.renderSplitTable(result, bestSplits);
+    field('pilot').textContent = pilot ? pilot.callsign : '-';
+    field('course').textContent = courseLabel;
+    this.element.style.display = 'block';
+  }
+
+  // Table of every split with its delta to the personal best
+  renderSplitTable(result, bestSplits) {
+    const rows = compareSplits(result.splits, bestSplits);
+    if (rows.length === 0) {
+      this.splitsElement.style.display = 'none';
+      return;
+    }
+
+    const cellStyle = 'padding: 2px 10px;';
+    this.splitsElement.innerHTML = `
+      <table style="margin: 0 auto; border-collapse: collapse;">
+        <tr style="color: #cccccc;"><th style="${cellStyle}">Split</th><th style="${cellStyle}">Time</th><th style="${cellStyle}">Δ Best</th></tr>
+        ${rows.map(row => {
+          const deltaColor = row.delta === null ? '#cccccc' : row.delta <= 0 ? '#66ff66' : '#ff6666';
+          const delta = row.delta === null ? '–' : formatDelta(row.delta);
+          return `<tr>
+            <td style="${cellStyle} text-align: left;">${splitLabel(row, result.laps)}</td>
+            <td style="${cellStyle} text-align: right;">${row.time.toFixed(2)}s</td>
+            <td style="${cellStyle} text-align: right; color: ${deltaColor};">${delta}</td>
+          </tr>`;
+        }).join('')}
+      </table>
+    `;
+    this.splitsElement.style.display = 'block';
+  }
+
+  // Rank / personal best line, or why the run was not ranked
+  showRecord(text) {
+    this.recordElement.textContent = text;
+    this.recordElement.style.display = 'block';
+  }
+
+  // Top 10 of courseId, highlighting the run just flown if given (see LeaderboardPanel.load)
+  loadLeaderboard(courseId, highlight) {
+    this.leaderboardPanel.load(courseId, highlight);
+  }
+
+  // Clear the last run's record and leaderboard before the next race
+  reset() {
+    this.recordElement.style.display = 'none';
+    this.leaderboardPanel.hide();
+  }
+
+  setVisible(visible) {
+    this.element.style.display = visible ? 'block' : 'none';
+  }
+}
+
+export default ResultScreen;
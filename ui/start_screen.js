@@ -0,0 +1,113 @@
+// Start screen
+// Asks for a callsign before the race and lets the player pick one of the recent pilots
+
+import { MAX_CALLSIGN_LENGTH } from '../services/pilot_profile.js';
+
+class StartScreen {
+  constructor(profileService, { onPilotSelected = () => {} } = {}) {
+    this.profileService = profileService;
+    this.onPilotSelected = onPilotSelected;
+
+    this.createElements();
+  }
+
+  createElements() {
+    this.container = document.createElement('div');
+    this.container.id = 'start-screen';
+    this.container.style.position = 'absolute';
+    this.container.style.top = '50%';
+    this.container.style.left = '50%';
+    this.container.style.transform = 'translate(-50%, -50%)';
+    this.container.style.backgroundColor = 'rgba(0, 0, 0, 0.75)';
+    this.container.style.padding = '30px 50px';
+    this.container.style.borderRadius = '15px';
+    this.container.style.textAlign = 'center';
+    this.container.style.color = 'white';
+    this.container.style.fontFamily = 'Arial, sans-serif';
+    this.container.style.zIndex = '2000'; // Above the HUD
+    this.container.style.display = 'none';
+    this.container.innerHTML = `
+      <h1 style="margin: 0 0 10px; font-size: 40px;">Air Race Challenge</h1>
+      <p style="font-size: 18px; margin: 0 0 20px;">Enter your callsign to race</p>
+      <input id="callsign-input" type="text" maxlength="${MAX_CALLSIGN_LENGTH}" placeholder="Callsign"
+        style="padding: 10px; font-size: 20px; width: 220px; text-align: center;" />
+      <button id="callsign-submit" style="padding: 10px 20px; font-size: 20px; margin-left: 10px; cursor: pointer;">Fly</button>
+      <p id="callsign-error" style="color: #ff6666; font-size: 16px; min-height: 20px; margin: 10px 0;"></p>
+      <div id="recent-pilots-section">
+        <p style="font-size: 16px; margin: 10px 0;">Recent pilots</p>
+        <div id="recent-pilots-list"></div>
+      </div>
+      <p style="font-size: 14px; margin: 20px 0 0;">Use arrow keys to control the aircraft, A/D to roll to knife-edge</p>
+    `;
+    document.body.appendChild(this.container);
+
+    this.input = this.container.querySelector('#callsign-input');
+    this.errorElement = this.container.querySelector('#callsign-error');
+    this.recentSection = this.container.querySelector('#recent-pilots-section');
+    this.recentList = this.container.querySelector('#recent-pilots-list');
+
+    this.container.querySelector('#callsign-submit').addEventListener('click', () => this.handleSubmit());
+
+    // Keep typing out of the game's key handlers (Space starts the race, arrows fly)
+    this.input.addEventListener('keydown', (event) => {
+      event.stopPropagation();
+      if (event.key === 'Enter') {
+        this.handleSubmit();
+      }
+    });
+  }
+
+  renderRecentPilots() {
+    const recentPilots = this.profileService.getRecentPilots();
+    this.recentList.innerHTML = '';
+    this.recentSection.style.display = recentPilots.length > 0 ? 'block' : 'none';
+
+    recentPilots.forEach(pilot => {
+      const button = document.createElement('button');
+      button.textContent = pilot.callsign; // textContent - callsigns come from storage
+      button.title = pilot.id;
+      button.style.padding = '6px 14px';
+      button.style.margin = '4px';
+      button.style.fontSize = '16px';
+      button.style.cursor = 'pointer';
+      button.addEventListener('click', () => this.selectPilot(pilot));
+      this.recentList.appendChild(button);
+    });
+  }
+
+  handleSubmit() {
+    try {
+      // Re-use the identity of a recent pilot with the same callsign
+      const existingPilot = this.profileService.findByCallsign(this.input.value);
+      const pilot = existingPilot || this.profileService.createPilot(this.input.value);
+      this.selectPilot(pilot);
+    } catch (error) {
+      this.errorElement.textContent = error.message;
+    }
+  }
+
+  selectPilot(pilot) {
+    this.profileService.selectPilot(pilot);
+    this.hide();
+    this.onPilotSelected(pilot);
+  }
+
+  show() {
+    this.errorElement.textContent = '';
+    this.input.value = '';
+    this.renderRecentPilots();
+    this.container.style.display = 'block';
+    this.input.focus();
+  }
+
+  hide() {
+    this.container.style.display = 'none';
+    this.input.blur();
+  }
+
+  isVisible() {
+    return this.container.style.display !== 'none';
+  }
+}
+
+export default StartScreen;
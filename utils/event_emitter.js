@@ -0,0 +1,55 @@
+// Event emitter
+// Minimal publish/subscribe helper that works the same in the browser and in Node
+
+class EventEmitter {
+  constructor() {
+    this.listeners = new Map();
+  }
+
+  // Subscribe to an event. Returns a function that removes the listener again.
+  on(type, listener) {
+    if (!this.listeners.has(type)) {
+      this.listeners.set(type, []);
+    }
+    this.listeners.get(type).push(listener);
+    return () => this.off(type, listener);
+  }
+
+  once(type, listener) {
+    const unsubscribe = this.on(type, (payload) => {
+      unsubscribe();
+      listener(payload);
+    });
+    return unsubscribe;
+  }
+
+  off(type, listener) {
+    const listeners = this.listeners.get(type);
+    if (!listeners) return;
+    const index = listeners.indexOf(listener);
+    if (index !== -1) {
+      listeners.splice(index, 1);
+    }
+  }
+
+  // Listeners for '*' receive every event as (payload, type), e.g. to forward or record them
+  emit(type, payload) {
+    const listeners = (this.listeners.get(type) || [])
+      .concat(type === '*' ? [] : this.listeners.get('*') || []);
+
+    // Copy (concat) so listeners can unsubscribe while being called
+    listeners.forEach(listener => {
+      try {
+        listener(payload, type);
+      } catch (error) {
+        console.error(`Error in '${type}' listener:`, error);
+      }
+    });
+  }
+
+  removeAllListeners() {
+    this.listeners.clear();
+  }
+}
+
+export default EventEmitter;
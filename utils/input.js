@@ -9,6 +9,8 @@ class InputHandler {
       down: false,
       left: false,
       right: false,
+      rollLeft: false, // A - roll towards knife-edge
+      rollRight: false, // D
       space: false
     };
     
@@ -51,6 +53,14 @@ class InputHandler {
       case 'ArrowRight':
         this.keys.right = true;
         break;
+      case 'a':
+      case 'A':
+        this.keys.rollLeft = true;
+        break;
+      case 'd':
+      case 'D':
+        this.keys.rollRight = true;
+        break;
       case ' ': // Space bar
         this.keys.space = true;
         break;
@@ -72,6 +82,14 @@ class InputHandler {
       case 'ArrowRight':
         this.keys.right = false;
         break;
+      case 'a':
+      case 'A':
+        this.keys.rollLeft = false;
+        break;
+      case 'd':
+      case 'D':
+        this.keys.rollRight = false;
+        break;
       case ' ': // Space bar
         this.keys.space = false;
         break;
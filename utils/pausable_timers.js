@@ -0,0 +1,61 @@
+// Pausable timers
+// setTimeout replacement for game-time delays (notifications etc.) that stop counting
+// down while the game is paused and continue with the remaining time on resume
+
+class PausableTimers {
+  constructor() {
+    this.timers = new Map(); // id -> { callback, remaining, startedAt, handle }
+    this.nextId = 1;
+    this.paused = false;
+  }
+
+  setTimeout(callback, delay = 0) {
+    const id = this.nextId++;
+    const timer = { callback, remaining: delay, startedAt: 0, handle: null };
+    this.timers.set(id, timer);
+    if (!this.paused) {
+      this.schedule(id, timer);
+    }
+    return id;
+  }
+
+  clearTimeout(id) {
+    const timer = this.timers.get(id);
+    if (!timer) return;
+    clearTimeout(timer.handle);
+    this.timers.delete(id);
+  }
+
+  schedule(id, timer) {
+    timer.startedAt = Date.now();
+    timer.handle = setTimeout(() => {
+      this.timers.delete(id);
+      timer.callback();
+    }, timer.remaining);
+  }
+
+  // Stop all countdowns, remembering how long each one still had to go
+  pause() {
+    if (this.paused) return;
+    this.paused = true;
+
+    const now = Date.now();
+    this.timers.forEach(timer => {
+      clearTimeout(timer.handle);
+      timer.handle = null;
+      timer.remaining = Math.max(0, timer.remaining - (now - timer.startedAt));
+    });
+  }
+
+  resume() {
+    if (!this.paused) return;
+    this.paused = false;
+    this.timers.forEach((timer, id) => this.schedule(id, timer));
+  }
+
+  get size() {
+    return this.timers.size;
+  }
+}
+
+export default PausableTimers;
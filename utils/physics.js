@@ -1,2 +1,75 @@
 // Physics utilities
-// This will handle collision detection and other physics calculations 
\ No newline at end of file
+// Collision detection: swept trigger planes and distances to solid parts
+
+import * as THREE from 'three';
+
+// Where the segment from -> to (world positions) crosses the disc of `radius` around the origin
+// of `object`'s local XY plane - e.g. a gate's entry plane. A fast object can go right through a
+// thin trigger volume between two steps; the segment between its positions cannot.
+// Returns null when the segment does not cross the plane, otherwise
+// { time (0..1 along the segment), direction (1 along the plane's +Z, -1 against it),
+//   point (world), offset { x, y } (in the plane), distanceFromCentre, inside }.
+function intersectSegmentWithDisc(from, to, object, radius) {
+  const a = object.worldToLocal(from.clone());
+  const b = object.worldToLocal(to.clone());
+
+  const crosses = (a.z < 0 && b.z >= 0) || (a.z > 0 && b.z <= 0);
+  if (!crosses) return null;
+
+  const time = a.z / (a.z - b.z);
+  const local = a.clone().lerp(b, time);
+  const distanceFromCentre = Math.hypot(local.x, local.y);
+
+  return {
+    time,
+    direction: b.z > a.z ? 1 : -1,
+    point: new THREE.Vector3().copy(from).lerp(to, time),
+    offset: { x: local.x, y: local.y },
+    distanceFromCentre,
+    inside: distanceFromCentre <= radius
+  };
+}
+
+// Distance from a point to the surface of a solid part (negative inside it), all in the same
+// local frame. Parts are plain descriptions, e.g. a gate's colliders (Gate.colliders):
+//   { shape: 'torus', centre, radius, tube } - ring in the XY plane around the Z axis
+//   { shape: 'capsule', start, end, radius } - rod between two points with rounded ends
+//   { shape: 'box', centre, halfSize } - axis-aligned box
+//   { shape: 'disc', centre, radius, innerRadius } - flat ring in the XY plane (innerRadius 0 = a
+//     full disc), e.g. the closed part of an iris
+function distanceToPart(point, part) {
+  if (part.shape === 'torus') {
+    const x = point.x - part.centre.x;
+    const y = point.y - part.centre.y;
+    const z = point.z - part.centre.z;
+    return Math.hypot(Math.hypot(x, y) - part.radius, z) - part.tube;
+  }
+
+  if (part.shape === 'capsule') {
+    const axis = new THREE.Vector3().subVectors(part.end, part.start);
+    const lengthSq = axis.lengthSq();
+    const t = lengthSq > 0
+      ? THREE.MathUtils.clamp(new THREE.Vector3().subVectors(point, part.start).dot(axis) / lengthSq, 0, 1)
+      : 0;
+    const closest = part.start.clone().addScaledVector(axis, t);
+    return point.distanceTo(closest) - part.radius;
+  }
+
+  if (part.shape === 'box') {
+    const dx = Math.abs(point.x - part.centre.x) - part.halfSize.x;
+    const dy = Math.abs(point.y - part.centre.y) - part.halfSize.y;
+    const dz = Math.abs(point.z - part.centre.z) - part.halfSize.z;
+    const outside = Math.hypot(Math.max(dx, 0), Math.max(dy, 0), Math.max(dz, 0));
+    return outside + Math.min(Math.max(dx, dy, dz), 0);
+  }
+
+  if (part.shape === 'disc') {
+    const radial = Math.hypot(point.x - part.centre.x, point.y - part.centre.y);
+    const outside = Math.max(part.innerRadius - radial, radial - part.radius, 0);
+    return Math.hypot(outside, point.z - part.centre.z);
+  }
+
+  throw new Error(`Unknown collision shape: ${part.shape}`);
+}
+
+export { distanceToPart, intersectSegmentWithDisc };
@@ -0,0 +1,51 @@
+// Seeded random numbers
+// Deterministic stand-in for Math.random: the same seed always produces the same sequence,
+// so a course and its scenery can be rebuilt exactly from a single number.
+
+const MAX_SEED = 0xFFFFFFFF;
+
+// mulberry32 - tiny and fast, plenty for level generation (not for anything security related)
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return function random() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// 32-bit FNV-1a hash, used to turn text into a seed
+function hashSeed(text) {
+  let hash = 0x811C9DC5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// Seed of an independent stream per consumer ('gates', 'clouds', ...), so that changing how
+// many clouds are drawn does not move the gates
+function deriveSeed(seed, name) {
+  return hashSeed(`${seed}:${name}`);
+}
+
+// Seed typed by a player or passed in the URL: whole numbers are used as they are,
+// any other text is hashed. Returns null when there is no seed.
+function parseSeed(value) {
+  if (value === null || value === undefined) return null;
+  const text = String(value).trim();
+  if (text === '') return null;
+  if (/^\d+$/.test(text) && Number(text) <= MAX_SEED) return Number(text);
+  return hashSeed(text);
+}
+
+function randomSeed() {
+  return Math.floor(Math.random() * MAX_SEED);
+}
+
+export { MAX_SEED, createRandom, deriveSeed, hashSeed, parseSeed, randomSeed };
+
+export default createRandom;
@@ -0,0 +1,25 @@
+// Stored splits
+// The splits a run record keeps (see core/split_times.js for what a split is). Shared by the
+// leaderboard service and the leaderboard server, which both build run records, so neither
+// depends on the game core.
+
+const MAX_SPLITS = 500; // Keeps stored run records small (20 laps of a long course fit)
+
+// Splits as stored in a run record: only well-formed ones, times rounded to the millisecond
+function normalizeSplits(splits) {
+  if (!Array.isArray(splits)) return [];
+
+  return splits
+    .filter(split => split && ['gate', 'bridge'].includes(split.point) && Number.isFinite(Number(split.time)))
+    .slice(0, MAX_SPLITS)
+    .map(split => ({
+      point: split.point,
+      gateIndex: Number.isInteger(split.gateIndex) ? split.gateIndex : null,
+      lap: Number.isInteger(split.lap) ? split.lap : 1,
+      time: Math.round(Number(split.time) * 1000) / 1000
+    }));
+}
+
+export { MAX_SPLITS, normalizeSplits };
+
+export default normalizeSplits;